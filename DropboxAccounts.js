@@ -0,0 +1,295 @@
+/** @typedef {any} ignore */
+/** @typedef {{ [key: String]: any }} APIResult */
+/** @typedef {{ '.tag': 'root', root: String }|{ '.tag': 'namespace_id', namespace_id: String }} PathRoot */
+/**
+ @typedef {{
+    access_token: String?,
+    expires_at: Number?,
+    refresh_token: String?,
+    account_id: String?,
+    scopes: String[]?
+ }} TokenSet
+ */
+/**
+ @typedef {{
+    tokens: TokenSet?,
+    name: String?,
+    email: String?,
+    pathRoot: PathRoot?
+ }} StoredAccount
+ */
+/** @typedef {{ active: String?, accounts: { [accountId: String]: StoredAccount } }} AccountsState */
+/**
+ @typedef {{
+    loadAccounts: () => AccountsState?|Promise<AccountsState?>,
+    saveAccounts: (state: AccountsState?) => ignore|Promise<ignore>
+ }} AccountsStorage
+ */
+/** @typedef {{ accountId: String, name: String?, email: String?, active: Boolean }} LinkedAccount */
+
+/**
+ * Several linked Dropbox accounts, e.g. a personal and a work one, each with its own `DropboxCloud`.
+ * Every account's tokens are kept by account id in a single storage, along with which account is active.
+ * Emits `CustomEvent`s:
+ * - `link`, detail `{ accountId }`, when an account is linked, or linked again
+ * - `unlink`, detail `{ accountId }`, when an account is unlinked, or its `DropboxCloud` logged out
+ * - `switch`, detail `{ accountId }`, when the active account changes, `accountId` null if none is left
+ */
+class DropboxAccounts extends EventTarget {
+    /** @type {String} */
+    #clientId;
+    /** @type {String?} */
+    #redirectURI;
+    /** @type {String|any|null} */
+    #appId;
+    /** @type {AccountsStorage} */
+    #storage;
+    /** @type {Boolean} */
+    #offlineToken;
+    /** @type {Boolean|Object} */
+    #popupRedirect;
+    /** @type {String[]?} */
+    #scopes;
+    /** @type {Map<String, DropboxCloud>} */
+    #clouds = new Map();
+    /** @type {String?} */
+    #activeId = null;
+    /** @type {Promise<AccountsState>?} */
+    #state = null;
+    /** @type {Promise<ignore>} Last write to the storage, writes go in order */
+    #saved = Promise.resolve();
+
+    /**
+     * @param {String} type
+     * @param {Object} detail
+     */
+    #dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+
+    /** @returns {Promise<AccountsState>} The stored state, loaded once, with a `DropboxCloud` per account */
+    #load() {
+        this.#state ??= Promise.resolve(this.#storage.loadAccounts())
+            .then( async (state) => {
+                state ??= { active: null, accounts: {} };
+                for (const [ accountId, account ] of Object.entries(state.accounts)) {
+                    this.#clouds.set(accountId, await this.#createCloud(accountId, account.pathRoot));
+                }
+                this.#activeId = this.#clouds.has(state.active) ? state.active : null;
+                return state;
+            })
+            .catch( (reason) => {
+                this.#state = null;
+                throw new Error('Error loading accounts from storage.', { cause: reason });
+            })
+        ;
+        return this.#state;
+    }
+    /**
+     * @param {(state: AccountsState) => ignore} change Applied to the state before it's saved
+     * @returns {Promise<undefined>}
+     */
+    async #update(change) {
+        const state = await this.#load();
+        change(state);
+        const snapshot = structuredClone(state);
+        const saved = this.#saved.then( () => this.#storage.saveAccounts(snapshot) );
+        this.#saved = saved.catch( (reason) => null );
+        return saved;
+    }
+    /**
+     * @param {String?} accountId null for an account about to be linked, known once logged in
+     * @param {PathRoot?} pathRoot
+     * @returns {Promise<DropboxCloud>} Client whose tokens are kept under its account id, rooted at `pathRoot`
+     */
+    async #createCloud(accountId, pathRoot) {
+        let key = accountId;
+        const tokenStorage = {
+            loadTokens: async () => key ? (await this.#load()).accounts[key]?.tokens ?? null : null,
+            saveTokens: async (tokens) => {
+                key ??= tokens?.account_id ?? null;
+                if (key) {
+                    // Tokens are cleared on logout, but also when a refresh token stops working: keep the account to log in again
+                    await this.#update( (state) => { state.accounts[key] = { ...state.accounts[key], tokens: tokens }; } );
+                }
+            },
+        };
+        const cloud = new DropboxCloud(this.#clientId, this.#redirectURI, this.#appId, tokenStorage, this.#offlineToken, this.#popupRedirect, this.#scopes);
+        if (pathRoot) {
+            await cloud.setPathRoot(pathRoot);
+        }
+        // Logged out directly rather than through `unlink`
+        cloud.addEventListener('logout', () => {
+            if (key && this.#clouds.get(key) === cloud) {
+                this.#forget(key).catch( (reason) => console.debug(new Error(`Error forgetting account ${key}.`, { cause: reason })) );
+            }
+        });
+        return cloud;
+    }
+    /**
+     * @param {String} accountId
+     * @returns {Promise<undefined>}
+     */
+    async #forget(accountId) {
+        this.#clouds.delete(accountId);
+        const switched = this.#activeId === accountId;
+        if (switched) {
+            // Any other account will do
+            this.#activeId = this.#clouds.keys().next().value ?? null;
+        }
+        await this.#update( (state) => {
+            delete state.accounts[accountId];
+            state.active = this.#activeId;
+        });
+        this.#dispatch('unlink', { accountId: accountId });
+        if (switched) {
+            this.#dispatch('switch', { accountId: this.#activeId });
+        }
+    }
+
+    ////////////////////////////
+    // PUBLIC API STARTS HERE //
+    ////////////////////////////
+
+    /**
+     * Takes the same arguments as `DropboxCloud`'s constructor, which each account's client is created with.
+     * @param {String} clientId App key for your Dropbox app.
+     * @param {String?} redirectURI
+     * @param {String?} appId
+     * @param {AccountsStorage} storage An object with `loadAccounts` and `saveAccounts` methods, sync or async, that persist every account's tokens and which one is active,
+     * e.g. an `IndexedDBTokenStorage` or `LocalStorageTokenStorage` with a key of its own. `EncryptedTokenStorage` keeps them encrypted.
+     * @param {Boolean} offlineToken Optional.
+     * @param {Boolean|Object} popupRedirect Optional.
+     * @param {String[]?} scopes Optional.
+     */
+    constructor(clientId, redirectURI, appId, storage, offlineToken = true, popupRedirect = true, scopes = null) {
+        super();
+        if (!storage) {
+            throw new Error('You must provide a storage for the accounts\' tokens!');
+        }
+        this.#clientId = clientId;
+        this.#redirectURI = redirectURI;
+        this.#appId = appId;
+        this.#storage = storage;
+        this.#offlineToken = offlineToken;
+        this.#popupRedirect = popupRedirect;
+        this.#scopes = scopes;
+    }
+
+    /** @returns {DropboxCloud?} Client of the active account, null if none is linked or the accounts aren't loaded yet, see `listAccounts` */
+    get active() { return this.#clouds.get(this.#activeId) ?? null; }
+    /** @returns {String?} Account id of the active account */
+    get activeAccountId() { return this.#activeId; }
+
+    /**
+     * @param {String} accountId
+     * @returns {DropboxCloud?} Client of a linked account, null if it isn't linked or the accounts aren't loaded yet
+     */
+    get(accountId) { return this.#clouds.get(accountId) ?? null; }
+
+    /**
+     * Loads the linked accounts from storage on first call
+     * @returns {Promise<LinkedAccount[]>}
+     */
+    async listAccounts() {
+        const state = await this.#load();
+        return Array.from(this.#clouds.keys(), (accountId) => ({
+            accountId: accountId,
+            name: state.accounts[accountId]?.name ?? null,
+            email: state.accounts[accountId]?.email ?? null,
+            active: accountId === this.#activeId,
+        }));
+    }
+
+    /**
+     * Logs in to Dropbox with another account, and makes it the active one.
+     * Linking an account again replaces its client.
+     * With same-page navigation redirects, the page navigates to Dropbox: call `link` again once back to finish.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @returns {Promise<DropboxCloud?>} Client of the linked account, null if navigating to Dropbox
+     */
+    async link(timeout = null) {
+        const stored = await this.#load();
+        const cloud = await this.#createCloud(null, null);
+        await cloud.OAuth(timeout);
+        const accountId = cloud.accountId;
+        if (!accountId) {
+            return null;
+        }
+        const account = await cloud.getAccount(timeout);
+        const pathRoot = stored.accounts[accountId]?.pathRoot ?? null;
+        if (pathRoot) {
+            await cloud.setPathRoot(pathRoot);
+        }
+
+        this.#clouds.set(accountId, cloud);
+        const switched = this.#activeId !== accountId;
+        this.#activeId = accountId;
+        await this.#update( (state) => {
+            state.accounts[accountId] = { ...state.accounts[accountId], name: account.name.display_name, email: account.email };
+            state.active = accountId;
+        });
+        this.#dispatch('link', { accountId: accountId });
+        if (switched) {
+            this.#dispatch('switch', { accountId: accountId });
+        }
+        return cloud;
+    }
+
+    /**
+     * @param {String} accountId A linked account
+     * @returns {Promise<DropboxCloud>} Its client, now the active one
+     */
+    async switchTo(accountId) {
+        await this.#load();
+        if (!this.#clouds.has(accountId)) {
+            throw new Error(`Account ${accountId} isn't linked.`);
+        }
+        if (this.#activeId !== accountId) {
+            this.#activeId = accountId;
+            await this.#update( (state) => { state.active = accountId; } );
+            this.#dispatch('switch', { accountId: accountId });
+        }
+        return this.#clouds.get(accountId);
+    }
+
+    /**
+     * Logs the account out, revoking its tokens, and forgets it. Another account becomes active if it was.
+     * @param {String?} accountId Optional. Defaults to the active account.
+     * @returns {Promise<Boolean>} true if the server revoked the tokens, false if they were already unusable
+     */
+    async unlink(accountId = null) {
+        await this.#load();
+        accountId ??= this.#activeId;
+        const cloud = this.#clouds.get(accountId);
+        if (!cloud) {
+            throw new Error(`Account ${accountId} isn't linked.`);
+        }
+        // Out of the map first, so the logout listener leaves it to us
+        this.#clouds.delete(accountId);
+        try {
+            return await cloud.logout();
+        } finally {
+            await this.#forget(accountId);
+        }
+    }
+
+    /**
+     * Picks the namespace an account's paths are relative to, e.g. its team space, and remembers it for next time.
+     * @param {'home'|'team'|PathRoot} root See `DropboxCloud.setPathRoot`.
+     * @param {String?} accountId Optional. Defaults to the active account.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @returns {Promise<PathRoot?>} The account's new `pathRoot`
+     */
+    async setPathRoot(root, accountId = null, timeout = null) {
+        await this.#load();
+        accountId ??= this.#activeId;
+        const cloud = this.#clouds.get(accountId);
+        if (!cloud) {
+            throw new Error(`Account ${accountId} isn't linked.`);
+        }
+        const pathRoot = await cloud.setPathRoot(root, timeout);
+        await this.#update( (state) => { state.accounts[accountId] = { ...state.accounts[accountId], pathRoot: pathRoot }; } );
+        return pathRoot;
+    }
+}
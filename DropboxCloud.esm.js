@@ -1,5 +1,3 @@
-import { Dropbox, DropboxResponseError } from 'https://cdn.skypack.dev/dropbox';
-
 /** @typedef {any} ignore */
 /** @typedef {(value: any) => ignore} Resolver */
 /** @typedef {(reason: Error|any) => ignore} Rejector */
@@ -14,26 +12,270 @@ import { Dropbox, DropboxResponseError } from 'https://cdn.skypack.dev/dropbox';
     expires_in: Number
  }} TokenInfo
  */
-/** @typedef {{ loadToken: () => Token, saveToken: (token: Token) => ignore }} TokenStorage */
+/**
+ @typedef {{
+    access_token: Token?,
+    expires_at: Number?,
+    refresh_token: Token?,
+    account_id: String?,
+    scopes: String[]?
+ }} TokenSet
+ */
+/**
+ @typedef {{
+    loadToken: () => Token,
+    saveToken: (token: Token) => ignore
+ }|{
+    loadTokens: () => TokenSet?|Promise<TokenSet?>,
+    saveTokens: (tokens: TokenSet?) => ignore|Promise<ignore>
+ }} TokenStorage
+ */
+/**
+ * OAuth without a browser window: `getCode` shows `OAuthURL` to the user somehow, and resolves with the authorization code,
+ * or with the URL Dropbox redirected to, whose state is then checked.
+ @typedef {{
+    usesRedirectURI: Boolean,
+    getCode: (OAuthURL: String, redirectURI: String?, timeout: Number) => Promise<String|URL>
+ }} HeadlessRedirect
+ */
+/** @typedef {{ '.tag': 'root', root: String }|{ '.tag': 'namespace_id', namespace_id: String }} PathRoot */
+/** @typedef {{ Dropbox: Function, DropboxResponseError: Function }} DropboxSDK */
+/** @typedef {{ session_id: String, offset: Number }} UploadSession */
+/** @typedef {(progress: { loaded: Number, total: Number }) => ignore} ProgressCallback */
+/** @typedef {{ name: String, size: Number, slice: (start: Number, end: Number) => Blob|Promise<Blob> }} ChunkSource Stands for a `File` whose bytes are produced as they're read, e.g. encrypted */
+/**
+ @typedef {{
+    signal: AbortSignal?,
+    priority: Number?,
+    idempotent: Boolean?
+ }} RequestOptions
+ */
+/**
+ @typedef {{
+    request: () => Promise<any>,
+    priority: Number,
+    signal: AbortSignal?,
+    resolve: Resolver,
+    reject: Rejector
+ }} ScheduledRequest
+ */
+/** @typedef {'add'|'overwrite'|'update'} WriteMode */
+/**
+ @typedef {{
+    writeMode: String|{ '.tag': 'update', update: String },
+    autorename: Boolean,
+    strictConflict: Boolean,
+    onProgress: ProgressCallback?,
+    signal: AbortSignal?,
+    priority: Number,
+    session: UploadSession?,
+    onSession: ((session: UploadSession) => ignore)?
+ }} UploadOptions
+ */
+/**
+ @typedef {{
+    recursive: Boolean?,
+    includeDeleted: Boolean?,
+    limit: Number?,
+    cursor: String?,
+    timeout: Number?,
+    signal: AbortSignal?,
+    priority: Number?
+ }} ListFolderOptions
+ */
+/** @typedef {AsyncIterable<APIResult> & { cursor: String? }} FolderListing */
+/**
+ * What the app needs from a storage provider, implemented by `DropboxCloud`, `OPFSCloud` and `EncryptedCloud`.
+ * Defined here only: the other modules' JSDoc refers to it, and to `ChunkSource`, `FolderListing`, `WriteMode` and `ProgressCallback`.
+ * Paths start with `/`, `''` is the root folder, and lookups ignore case. Metadata is shaped like Dropbox's:
+ * `.tag`, `name`, `path_lower` and `path_display`, plus `rev`, `size`, `content_hash` and `server_modified` for files.
+ * Failures reject with `DropboxCloudError` subclasses and Dropbox's tags, e.g. a `NotFoundError` tagged `path/not_found`.
+ * Cancelled operations reject with the signal's `AbortError`.
+ @typedef {EventTarget & {
+    OAuth: (timeout: Number?) => Promise<undefined>,
+    isLoggedIn: () => Promise<Boolean>,
+    logout: () => Promise<Boolean>,
+    listFolder: (path: String, options: { recursive: Boolean?, timeout: Number?, signal: AbortSignal? }?) => FolderListing,
+    fetchFileList: (path: String, timeout: Number?, options: { recursive: Boolean?, cursor: String?, signal: AbortSignal? }?) => Promise<APIResult>,
+    getMetadata: (path: String, timeout: Number?, options: { signal: AbortSignal? }?) => Promise<APIResult?>,
+    downloadFile: (path: String, timeout: Number?, options: { signal: AbortSignal? }?) => Promise<APIResult>,
+    uploadFile: (file: File|ChunkSource, dir: String, timeout: Number?, options: { onProgress: ProgressCallback?, signal: AbortSignal?, mode: WriteMode?, rev: String?, autorename: Boolean?, strictConflict: Boolean? }?) => Promise<APIResult>,
+    delete: (path: String, timeout: Number?, options: { signal: AbortSignal? }?) => Promise<APIResult>
+ }} CloudStorage
+ */
+/** @typedef {'image'|'document'|'pdf'|'spreadsheet'|'presentation'|'audio'|'video'|'folder'|'paper'|'others'} FileCategory */
+/**
+ @typedef {{
+    path: String?,
+    extensions: String[]?,
+    fileCategories: FileCategory[]?,
+    maxResults: Number?,
+    timeout: Number?,
+    signal: AbortSignal?,
+    priority: Number?
+ }} SearchOptions
+ */
+/** @typedef {{ from_path: String, to_path: String }} RelocationPath */
+/** @typedef {'public'|'team_only'|'password'} LinkVisibility */
+/** @typedef {(value: any) => Boolean|void|Promise<Boolean|void>} JSONValidator Rejects a document by returning false or throwing */
+/** @typedef {'w32h32'|'w64h64'|'w128h128'|'w256h256'|'w480h320'|'w640h480'|'w960h640'|'w1024h768'|'w2048h1536'} ThumbnailSize */
+/**
+ @typedef {{
+    size: ThumbnailSize?,
+    format: 'jpeg'|'png'|'webp'|null,
+    mode: 'strict'|'bestfit'|'fit_one_bestfit'|null,
+    timeout: Number?,
+    signal: AbortSignal?,
+    priority: Number?
+ }} ThumbnailOptions
+ */
+/**
+ @typedef {{
+    path: String,
+    thumbnail: Blob?,
+    error: DropboxCloudError?
+ }} ThumbnailResult
+ */
+/** @typedef {File|FileSystemEntry|FileSystemHandle} UploadItem */
+/** @typedef {UploadItem|FileList|Iterable<UploadItem>} UploadSource */
+/**
+ @typedef {{
+    file: File,
+    path: String,
+    metadata: APIResult?,
+    error: DropboxCloudError?
+ }} UploadResult
+ */
 
 /**
- * @param {String|any} message
- * @returns { (reason: any) => never } Callback that raises an error
+ @typedef {{
+    cause: any,
+    status: Number?,
+    tag: String?,
+    error: APIResult|String|null,
+    path: String?
+ }} DropboxCloudErrorDetails
  */
-const catchCallback = function (message) {
-    return ( (reason) => {
-        if (reason instanceof DropboxResponseError) {
-            throw new Error(
-                `${message}\nDropboxResponseError(${reason.error.error}): ${reason.error.error_description}.`,
-                { cause: reason }
-            );
-        } else {
-            throw new Error(message, { cause: reason });
-        }
-    });
+
+/** Base of every error raised by `DropboxCloud` */
+export class DropboxCloudError extends Error {
+    /** @type {Number?} HTTP status of the failed request, null if no response was received */
+    status;
+    /** @type {String?} Dropbox error tags, e.g. `path/not_found`, null if the API didn't give any */
+    tag;
+    /** @type {APIResult|String|null} Structured Dropbox error, as the API returned it */
+    error;
+    /** @type {String?} Path the failed operation was about */
+    path;
+
+    /**
+     * @param {String} message
+     * @param {DropboxCloudErrorDetails} details
+     */
+    constructor(message, { cause, status = null, tag = null, error = null, path = null } = {}) {
+        super(message, { cause });
+        this.name = new.target.name;
+        this.status = status;
+        this.tag = tag;
+        this.error = error;
+        this.path = path;
+    }
+}
+/** The user isn't logged in, or their token was rejected */
+export class AuthError extends DropboxCloudError {}
+/** The token lacks a scope the operation needs, and it couldn't be granted */
+export class MissingScopeError extends AuthError {
+    /** @type {String[]} The missing scopes */
+    scopes;
+
+    /**
+     * @param {String} message
+     * @param {DropboxCloudErrorDetails & { scopes: String[] }} details
+     */
+    constructor(message, { scopes = [], ...details } = {}) {
+        super(message, details);
+        this.scopes = scopes;
+    }
+}
+/** The path doesn't exist */
+export class NotFoundError extends DropboxCloudError {}
+/** Raised when a write is rejected because the file was changed elsewhere */
+export class ConflictError extends DropboxCloudError {
+    /** @type {APIResult?} Current server metadata of the conflicting path, null if it couldn't be fetched */
+    metadata;
+
+    /**
+     * @param {String} message
+     * @param {DropboxCloudErrorDetails & { metadata: APIResult? }} details
+     */
+    constructor(message, { metadata = null, ...details } = {}) {
+        super(message, details);
+        this.metadata = metadata;
+    }
+}
+/** The document isn't valid JSON, or its validator rejected it */
+export class InvalidDocumentError extends DropboxCloudError {}
+/** The user's Dropbox is full */
+export class InsufficientSpaceError extends DropboxCloudError {}
+/** The folder is beyond what a zip download allows: `tag` is `too_large` or `too_many_files` */
+export class ZipLimitError extends DropboxCloudError {}
+/** Too many requests, retried too many times already */
+export class RateLimitError extends DropboxCloudError {
+    /** @type {Number?} Seconds the server asked us to wait before trying again */
+    retry_after;
+
+    /**
+     * @param {String} message
+     * @param {DropboxCloudErrorDetails & { retry_after: Number? }} details
+     */
+    constructor(message, { retry_after = null, ...details } = {}) {
+        super(message, details);
+        this.retry_after = retry_after;
+    }
+}
+/** The request didn't reach Dropbox, or its response didn't reach us */
+export class NetworkError extends DropboxCloudError {}
+
+/**
+ * Live changes of a Dropbox folder, from `DropboxCloud.watch()`.
+ * Emits `CustomEvent`s:
+ * - `change`, detail `{ added, modified, deleted }`, metadata of the entries as `listFolder` gives them
+ * - `error`, detail `{ error }`, when watching stopped on an error
+ */
+export class FolderWatch extends EventTarget {
+    /** @type {String?} Cursor of the last changes seen, to carry on with `listFolder` later */
+    cursor = null;
+    /** @type {AbortController} */
+    #controller;
+
+    /** @param {AbortController} controller Aborted to stop watching */
+    constructor(controller) {
+        super();
+        this.#controller = controller;
+    }
+
+    /** @returns {Boolean} true once stopped, by `stop()`, the `signal` given to `watch()` or an error */
+    get stopped() { return this.#controller.signal.aborted; }
+    /** Stops watching, abandoning the pending longpoll */
+    stop() { this.#controller.abort(); }
 }
 
-export class DropboxCloud {
+/**
+ * Emits `CustomEvent`s about the authentication state:
+ * - `login`, detail `{ accountId, offlineToken, scopes }`, after a successful OAuth flow
+ * - `tokenrefresh`, detail `{ expiresAt }`, after the access token was refreshed
+ * - `logout`, detail `{ revoked }`, after `logout()`
+ * - `autherror`, detail `{ error }`, when an OAuth flow fails or a refresh token is rejected
+ * @implements {CloudStorage}
+ */
+export class DropboxCloud extends EventTarget {
+    /** @type {DropboxSDK?} */
+    static #SDK = null;
+    /** @type {Error|any} Why the last `init()` failed, reported by the constructor */
+    static #SDKError = null;
+    /** @const SDK_URL Where the Dropbox js SDK is imported from when none is injected */
+    static #SDK_URL = 'https://cdn.skypack.dev/dropbox';
+
     /** @type {Object} */
     #dbx;
     /** @type {String} */
@@ -42,32 +284,536 @@ export class DropboxCloud {
     #appId;
     /** @type {Boolean} */
     #useOfflineToken;
-    /** @type {Boolean} */
+    /** @type {Boolean|HeadlessRedirect} */
     #usePopupRedirect;
     /** @type {TokenStorage} */
     #tokenStorage;
+    /** @type {Promise<undefined>?} */
+    #tokensLoaded = null;
+    /** @type {Token?} Last refresh token handed to a `saveToken` storage */
+    #storedRefreshToken = null;
+    /** @type {String?} */
+    #accountId = null;
+    /** @type {String[]?} Scopes requested at login, null for all of the app's */
+    #scopes;
+    /** @type {String[]?} Scopes of the current access token, null if unknown */
+    #grantedScopes = null;
+    /** @type {Set<String>} Scopes `authorize` asked for but didn't get, e.g. not enabled in the app's permissions */
+    #unavailableScopes = new Set();
+    /** @type {PathRoot?} Namespace paths are relative to, null for the user's home */
+    #pathRoot = null;
+    /** @type {Promise<undefined>?} OAuth run shared by every caller waiting for it */
+    #pendingOAuth = null;
+    /** @type {Token?} Access token `checkUser` last accepted */
+    #checkedToken = null;
+    /** @type {Map<String, Blob>} Thumbnails by rev and settings, least recently used first */
+    #thumbnails = new Map();
+    /** @type {ScheduledRequest[]} Requests waiting for a free slot, highest priority first */
+    #queue = [];
+    /** @type {Number} Requests in flight */
+    #running = 0;
+
+    /**
+     * @param {String|any} message
+     * @param {String?} path Path the operation is about
+     * @returns { (reason: any) => never } Callback that raises a `DropboxCloudError`
+     */
+    static #catchCallback (message, path = null) {
+        return ( (reason) => {
+            throw DropboxCloud.#toError(message, path, reason);
+        });
+    }
+    /**
+     * @param {String|any} message
+     * @param {String?} path
+     * @param {Error|any} reason
+     * @returns {DropboxCloudError|DOMException} `reason` as the matching `DropboxCloudError` subclass
+     */
+    static #toError(message, path, reason) {
+        if (reason instanceof DropboxCloudError || reason?.name === 'AbortError') {
+            // Cancellations surface as the signal's own AbortError, as with fetch
+            return reason;
+        }
+        if (!(reason instanceof DropboxCloud.#SDK.DropboxResponseError)) {
+            // fetch rejects with a TypeError on network failure
+            const ErrorClass = reason instanceof TypeError ? NetworkError : DropboxCloudError;
+            return new ErrorClass(message, { cause: reason, path: path });
+        }
+
+        const status = reason.status;
+        const error = reason.error;
+        if (typeof error === 'string') {
+            return new DropboxCloudError(`${message}\nDropboxResponseError(${status}): ${error}`, { cause: reason, status, error, path });
+        }
+        if (typeof error?.error === 'string') {
+            // OAuth endpoints report errors as { error, error_description }
+            const details = { cause: reason, status: status, tag: error.error, error: error, path: path };
+            return new AuthError(`${message}\nDropboxResponseError(${error.error}): ${error.error_description}.`, details);
+        }
+
+        const tag = error?.error_summary?.replace(/[/.]+$/, '') ?? null;
+        const details = { cause: reason, status: status, tag: tag, error: error?.error ?? null, path: path };
+        const fullMessage = `${message}\nDropboxResponseError(${status}): ${error?.error_summary ?? reason.message}`;
+        if (tag === 'missing_scope') {
+            return new MissingScopeError(fullMessage, { ...details, scopes: [ error.error.required_scope ] });
+        } else if (status === 401) {
+            return new AuthError(fullMessage, details);
+        } else if (status === 429) {
+            return new RateLimitError(fullMessage, { ...details, retry_after: DropboxCloud.#retryAfter(reason) });
+        } else if (/(^|\/|_)not_found(\/|$)/.test(tag ?? '')) {
+            return new NotFoundError(fullMessage, details);
+        } else if (/(^|\/)conflict(\/|$)/.test(tag ?? '')) {
+            return new ConflictError(fullMessage, details);
+        } else if (/(^|\/)insufficient_space(\/|$)/.test(tag ?? '')) {
+            return new InsufficientSpaceError(fullMessage, details);
+        } else if (tag === 'too_large' || tag === 'too_many_files') {
+            return new ZipLimitError(fullMessage, details);
+        } else {
+            return new DropboxCloudError(fullMessage, details);
+        }
+    }
+    /**
+     * @param {Error|any} reason
+     * @returns {Number?} Seconds a rate limited request should wait before being sent again
+     */
+    static #retryAfter(reason) {
+        const header = typeof reason.headers?.get === 'function' ? reason.headers.get('Retry-After') : reason.headers?.['retry-after'];
+        const retryAfter = reason.error?.error?.retry_after ?? (header ? Number(header) : null);
+        return Number.isFinite(retryAfter) ? retryAfter : null;
+    }
+
+    /**
+     * @param {Number} seconds
+     * @param {AbortSignal?} signal
+     * @returns {Promise<undefined>} Rejects with `signal.reason` if aborted
+     */
+    static #sleep(seconds, signal) {
+        return new Promise( (resolve, reject) => {
+            signal?.throwIfAborted();
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout( () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, seconds * 1000);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+    /**
+     * @param {Promise<any>} promise
+     * @param {AbortSignal?} signal
+     * @returns {Promise<any>} Settles like `promise`, or rejects with `signal.reason` as soon as it's aborted
+     */
+    static #abortable(promise, signal) {
+        if (!signal) {
+            return promise;
+        }
+        return new Promise( (resolve, reject) => {
+            signal.throwIfAborted();
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(resolve, reject).finally( () => signal.removeEventListener('abort', onAbort) );
+        });
+    }
+    /**
+     * @param {AbortSignal} signal
+     * @returns {Promise<undefined>} Resolves once the page is visible, right away outside browsers
+     */
+    static #pageVisible(signal) {
+        const document = globalThis.document;
+        if (document?.visibilityState !== 'hidden') {
+            return Promise.resolve();
+        }
+        return new Promise( (resolve, reject) => {
+            const cleanup = () => {
+                document.removeEventListener('visibilitychange', onChange);
+                signal.removeEventListener('abort', onAbort);
+            };
+            const onChange = () => {
+                if (document.visibilityState !== 'hidden') {
+                    cleanup();
+                    resolve();
+                }
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(signal.reason);
+            };
+            document.addEventListener('visibilitychange', onChange);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+    /**
+     * @param {String} OAuthURL
+     * @param {Number} timeout in seconds
+     * @returns {Promise<String>} The code the user typed in, with `prompt()` where available, else on the standard input
+     */
+    static async #askCodeInTerminal(OAuthURL, timeout) {
+        const question = `Open ${OAuthURL} in a browser, allow access, then paste the code here: `;
+        if (typeof globalThis.prompt === 'function') {
+            return globalThis.prompt(question);
+        }
+        const readline = await import('node:readline/promises');
+        const terminal = readline.createInterface({ input: process.stdin, output: process.stdout });
+        const { promise, resolve, reject } = Promise.withResolvers();
+        terminal.once('close', () => reject(new Error('The standard input closed before a code was entered.')));
+        terminal.question(question, { signal: AbortSignal.timeout(timeout * 1000) })
+            .then(resolve, () => reject(new Error(`OAuth timed out after ${timeout} seconds.`)))
+        ;
+        return promise.finally( () => terminal.close() );
+    }
+    /**
+     * Serves `redirectURI` until Dropbox redirects the user's browser to it
+     * @param {String} redirectURI A loopback address, e.g. `http://127.0.0.1:8080/`
+     * @param {Number} timeout in seconds
+     * @param {() => ignore} onListening Called once the redirect can be received
+     * @returns {Promise<URL>} The URL Dropbox redirected to
+     */
+    static async #awaitLoopbackRedirect(redirectURI, timeout, onListening) {
+        const expected = new URL(redirectURI);
+        if (![ 'localhost', '127.0.0.1', '[::1]' ].includes(expected.hostname)) {
+            throw new Error(`Loopback redirects need a localhost redirect URI, not ${redirectURI}.`);
+        }
+        const { createServer } = await import('node:http');
+        const { promise, resolve, reject } = Promise.withResolvers();
+        const server = createServer( (request, response) => {
+            const url = new URL(request.url, expected);
+            if (url.pathname !== expected.pathname) {
+                response.writeHead(404, { Connection: 'close' }).end();
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'text/plain', Connection: 'close' })
+                .end('You can close this window and go back to the app.')
+            ;
+            resolve(url);
+        });
+        server.on('error', reject);
+        server.listen(Number(expected.port || 80), expected.hostname.replace(/^\[|\]$/g, ''), onListening);
+        const timer = setTimeout( () => reject(new Error(`OAuth timed out after ${timeout} seconds.`)), timeout * 1000);
+        return promise.finally( () => {
+            clearTimeout(timer);
+            server.close();
+        });
+    }
+    /**
+     * @param {Error|any} reason
+     * @param {Boolean} idempotent Whether sending the request twice does the same as sending it once
+     * @returns {Boolean} true if the request may succeed when sent again
+     */
+    static #isTransient(reason, idempotent = true) {
+        if (reason instanceof DropboxCloud.#SDK.DropboxResponseError && reason.status === 429) {
+            // Rate limited requests weren't carried out
+            return true;
+        } else if (!idempotent) {
+            // A server error or a lost response may come after the request was carried out: sending it again could, e.g., make a second copy
+            return false;
+        } else if (reason instanceof DropboxCloud.#SDK.DropboxResponseError) {
+            return reason.status >= 500;
+        } else {
+            // fetch rejects with a TypeError on network failure
+            return reason instanceof TypeError;
+        }
+    }
+    /**
+     * @param {Error|any} reason
+     * @returns {Number?} Offset the server has received for the upload session, if `reason` is an incorrect offset error
+     */
+    static #correctOffset(reason) {
+        if (!(reason instanceof DropboxCloud.#SDK.DropboxResponseError)) {
+            return null;
+        }
+        const error = reason.error?.error;
+        const lookupError = error?.['.tag'] === 'lookup_failed' ? error.lookup_failed : error;
+        return lookupError?.['.tag'] === 'incorrect_offset' ? lookupError.correct_offset : null;
+    }
+    /**
+     * @param {() => Promise<any>} request
+     * @param {AbortSignal?} signal
+     * @param {Boolean} idempotent false to retry only when rate limited
+     * @returns {Promise<any>} Result of `request`, retried up to `MAX_RETRIES` times on transient failures
+     */
+    static async #retryTransient(request, signal = null, idempotent = true) {
+        for (let attempt = 0; ; attempt++) {
+            signal?.throwIfAborted();
+            try {
+                return await request();
+            } catch (reason) {
+                if (attempt >= DropboxCloud.MAX_RETRIES || !DropboxCloud.#isTransient(reason, idempotent)) {
+                    throw reason;
+                }
+                const backoff = Math.min(DropboxCloud.RETRY_DELAY * 2 ** attempt, DropboxCloud.RETRY_MAX_DELAY);
+                const retryAfter = reason instanceof DropboxCloud.#SDK.DropboxResponseError ? DropboxCloud.#retryAfter(reason) : null;
+                await DropboxCloud.#sleep(Math.max(backoff, retryAfter ?? 0), signal);
+            }
+        }
+    }
+
+    /**
+     * @param {WriteMode|{ '.tag': 'update', update: String }} writeMode
+     * @param {Boolean} autorename
+     * @param {Boolean} strictConflict
+     * @returns {Boolean} true if committing a file twice this way leaves it as committing it once, e.g. not renamed next to itself
+     */
+    static #isIdempotentCommit(writeMode, autorename, strictConflict) {
+        return writeMode !== 'add' && !autorename && !strictConflict;
+    }
+    /**
+     * @param {Error|any} reason
+     * @returns {Boolean} true if `reason` is a write conflict reported by the API
+     */
+    static #isConflict(reason) {
+        return reason instanceof DropboxCloud.#SDK.DropboxResponseError
+            && reason.status === 409
+            && /^path\/conflict\//.test(reason.error?.error_summary ?? '');
+    }
+    /**
+     * @param {Error|any} reason
+     * @returns {Boolean} true if `reason` is the API reporting that a path doesn't exist
+     */
+    static #isNotFound(reason) {
+        return reason instanceof DropboxCloud.#SDK.DropboxResponseError
+            && reason.status === 409
+            && /^path\/not_found\//.test(reason.error?.error_summary ?? '');
+    }
+    /**
+     * @param {String} path Starts with `/`
+     * @returns {String} `path` as the API expects it, where the root folder is `''`
+     */
+    static #apiPath(path) {
+        return path === '/' ? '' : path;
+    }
+    /**
+     * @param {UploadSource} source
+     * @param {String} folder Relative path of the folder `source` is in, ends with `/` unless empty
+     * @returns {Promise<{ file: File, relativePath: String }[]>} Every file of `source`, with its path relative to the upload folder
+     */
+    static async #collectFiles(source, folder = '') {
+        if (source instanceof Blob) {
+            // <input type="file" webkitdirectory> keeps each file's folder in webkitRelativePath
+            return [ { file: source, relativePath: source.webkitRelativePath || `${folder}${source.name}` } ];
+        }
+        if (source.kind === 'file') {
+            // FileSystemFileHandle, e.g. from DataTransferItem.getAsFileSystemHandle()
+            return [ { file: await source.getFile(), relativePath: `${folder}${source.name}` } ];
+        }
+        if (source.kind === 'directory') {
+            const files = [];
+            for await (const handle of source.values()) {
+                files.push(...await DropboxCloud.#collectFiles(handle, `${folder}${source.name}/`));
+            }
+            return files;
+        }
+        if (source.isFile) {
+            // FileSystemFileEntry, e.g. from DataTransferItem.webkitGetAsEntry()
+            const file = await new Promise( (resolve, reject) => source.file(resolve, reject) );
+            return [ { file: file, relativePath: source.fullPath.replace(/^\//, '') } ];
+        }
+        if (source.isDirectory) {
+            const files = [];
+            const reader = source.createReader();
+            for (;;) {
+                // readEntries returns the folder's entries a batch at a time, then an empty batch
+                const entries = await new Promise( (resolve, reject) => reader.readEntries(resolve, reject) );
+                if (entries.length === 0) {
+                    return files;
+                }
+                for (const entry of entries) {
+                    files.push(...await DropboxCloud.#collectFiles(entry));
+                }
+            }
+        }
+        const files = [];
+        for (const item of source) {
+            files.push(...await DropboxCloud.#collectFiles(item, folder));
+        }
+        return files;
+    }
+
+    /**
+     * @param {String} type
+     * @param {Object} detail
+     */
+    #dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+    /**
+     * @param {Error} error
+     * @returns {never} Rethrows `error` once `autherror` has been dispatched
+     */
+    #authFailed(error) {
+        this.#dispatch('autherror', { error: error });
+        throw error;
+    }
+
+    /**
+     * Queues `request` until fewer than `MAX_CONCURRENT_REQUESTS` are in flight.
+     * Aborting `signal` drops it from the queue, or stops waiting for it once sent.
+     * @param {() => Promise<any>} request
+     * @param {Number} priority Higher goes first, equal priorities go in order
+     * @param {AbortSignal?} signal
+     * @returns {Promise<any>} Result of `request`
+     */
+    #schedule(request, priority, signal) {
+        let onAbort = null;
+        return new Promise( (resolve, reject) => {
+            signal?.throwIfAborted();
+            const scheduled = { request: request, priority: priority, signal: signal, resolve: resolve, reject: reject };
+            const index = this.#queue.findIndex( (queued) => queued.priority < priority );
+            this.#queue.splice(index === -1 ? this.#queue.length : index, 0, scheduled);
+            onAbort = () => {
+                const queuedIndex = this.#queue.indexOf(scheduled);
+                if (queuedIndex !== -1) {
+                    this.#queue.splice(queuedIndex, 1);
+                }
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.#runQueue();
+        }).finally( () => signal?.removeEventListener('abort', onAbort) );
+    }
+    /** Sends queued requests while slots are free */
+    #runQueue() {
+        while (this.#running < DropboxCloud.MAX_CONCURRENT_REQUESTS && this.#queue.length > 0) {
+            const { request, resolve, reject } = this.#queue.shift();
+            this.#running++;
+            // An aborted request keeps its slot until it settles, so the cap holds
+            Promise.resolve().then(request).then(resolve, reject).finally( () => {
+                this.#running--;
+                this.#runQueue();
+            });
+        }
+    }
+    /**
+     * Sends `request` through the scheduler, retrying transient failures. Waiting for a retry doesn't hold a slot.
+     * Requests that aren't `idempotent` are only retried when rate limited.
+     * @param {() => Promise<any>} request
+     * @param {RequestOptions} options
+     * @returns {Promise<any>} Result of `request`
+     */
+    #request(request, { signal = null, priority = 0, idempotent = true } = {}) {
+        return DropboxCloud.#retryTransient( () => this.#schedule(request, priority ?? 0, signal), signal, idempotent )
+            .catch( (reason) => {
+                if (reason instanceof DropboxCloud.#SDK.DropboxResponseError && reason.status === 401) {
+                    // Revoked or expired early: have the next OAuth() check the token again
+                    this.#checkedToken = null;
+                }
+                throw reason;
+            })
+        ;
+    }
+    /**
+     * Logs in if needed. Missing scopes aren't requested here, that takes `authorize`: an operation doesn't open a popup for them.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {AbortSignal?} signal Stops waiting for OAuth, which carries on for other callers
+     * @param {String[]?} scopes The operation's required scopes
+     * @returns {Promise<undefined>}
+     * @throws {MissingScopeError} If some of `scopes` are known not to be granted. If the granted scopes are unknown, the server tells instead.
+     */
+    async #authorize(timeout, signal, scopes = null) {
+        await DropboxCloud.#abortable(this.OAuth(timeout), signal);
+        const missing = this.#missingScopes(scopes);
+        if (missing.length > 0) {
+            throw this.#missingScopeError(missing);
+        }
+    }
+    /**
+     * @param {String[]} missing
+     * @returns {MissingScopeError}
+     */
+    #missingScopeError(missing) {
+        const scopes = `the ${missing.join(', ')} scope${missing.length > 1 ? 's' : ''}`;
+        const message = missing.some( (scope) => this.#unavailableScopes.has(scope) )
+            ? `Missing ${scopes}, enable ${missing.length > 1 ? 'them' : 'it'} in your Dropbox app's permissions.`
+            : `Missing ${scopes}, request ${missing.length > 1 ? 'them' : 'it'} with authorize().`
+        ;
+        return new MissingScopeError(message, { scopes: missing });
+    }
+    /**
+     * @param {String[]?} scopes
+     * @returns {String[]} Those of `scopes` that weren't granted, none if the granted scopes are unknown
+     */
+    #missingScopes(scopes) {
+        return this.#grantedScopes ? (scopes ?? []).filter( (scope) => !this.#grantedScopes.includes(scope) ) : [];
+    }
+
+    /** @returns {Promise<undefined>} */
+    async #restoreTokens() {
+        if (this.#tokenStorage?.loadTokens) {
+            const tokens = await this.#tokenStorage.loadTokens();
+            this.#dbx.auth.setAccessToken(tokens?.access_token ?? null);
+            this.#dbx.auth.setAccessTokenExpiresAt(tokens?.expires_at ? new Date(tokens.expires_at) : null);
+            this.#dbx.auth.setRefreshToken(tokens?.refresh_token ?? null);
+            this.#accountId = tokens?.account_id ?? null;
+            this.#grantedScopes = tokens?.scopes ?? null;
+        } else {
+            this.#storedRefreshToken = await this.#tokenStorage?.loadToken() ?? null;
+            this.#dbx.auth.setRefreshToken(this.#storedRefreshToken);
+        }
+    }
+    /** @returns {Promise<undefined>} Resolves once the stored tokens have been handed to the SDK */
+    #loadTokens() {
+        this.#tokensLoaded ??= this.#restoreTokens().catch( (reason) => {
+            this.#tokensLoaded = null;
+            return DropboxCloud.#catchCallback('Error loading tokens from storage.')(reason);
+        });
+        return this.#tokensLoaded;
+    }
+    /**
+     * Persists the current tokens.
+     * Storages with `saveToken` only keep the refresh token, and only hear about it when it changes.
+     * @returns {Promise<undefined>}
+     */
+    async #saveTokens() {
+        const auth = this.#dbx.auth;
+        if (this.#tokenStorage?.saveTokens) {
+            const tokens = {
+                access_token: auth.getAccessToken() ?? null,
+                expires_at: auth.getAccessTokenExpiresAt()?.valueOf() ?? null,
+                refresh_token: auth.getRefreshToken() ?? null,
+                account_id: this.#accountId,
+                scopes: this.#grantedScopes,
+            };
+            await this.#tokenStorage.saveTokens(tokens.access_token || tokens.refresh_token ? tokens : null);
+        } else if (this.#tokenStorage && this.#storedRefreshToken !== (auth.getRefreshToken() ?? null)) {
+            this.#storedRefreshToken = auth.getRefreshToken() ?? null;
+            await this.#tokenStorage.saveToken(this.#storedRefreshToken);
+        }
+    }
 
     /** @returns {Promise<Boolean>} true if our access token is fresh */
     async #OAuthRefreshToken() {
+        await this.#loadTokens();
         if (this.#dbx.auth.getRefreshToken()) {
+            const previousToken = this.#dbx.auth.getAccessToken();
             return this.#dbx.auth.checkAndRefreshAccessToken()
-                .then( (response) => true )
+                .then( async (response) => {
+                    if (this.#dbx.auth.getAccessToken() !== previousToken) {
+                        await this.#saveTokens();
+                        this.#dispatch('tokenrefresh', { expiresAt: this.#dbx.auth.getAccessTokenExpiresAt() });
+                    }
+                    return true;
+                })
                 .catch( (reason) => {
-                    if (reason instanceof DropboxResponseError && reason.error.error === 'invalid_grant') {
-                        console.debug(new Error(
+                    if (reason instanceof DropboxCloud.#SDK.DropboxResponseError && reason.error.error === 'invalid_grant') {
+                        const error = new Error(
                             `Error refreshing token: ${reason.error.error_description}. Removing refresh token.`,
                             { cause: reason }
-                        ));
+                        );
+                        console.debug(error);
+                        this.#dispatch('autherror', { error: error });
 
                         this.#dbx.auth.setRefreshToken(null);
-                        this.#tokenStorage?.saveToken(null);
+                        this.#dbx.auth.setAccessToken(null);
+                        this.#dbx.auth.setAccessTokenExpiresAt(null);
 
-                        return false;
+                        return this.#saveTokens().then( () => false );
                     } else {
                         throw reason;
                     }
                 })
-                .catch(catchCallback('Error refreshing token!'))
+                .catch(DropboxCloud.#catchCallback('Error refreshing token!'))
             ;
         } else {
             return true;
@@ -76,10 +822,17 @@ export class DropboxCloud {
     /** @returns {Promise<Boolean>} true if our access token is valid (we're logged in) */
     async #OAuthCheckToken() {
         if (await this.#OAuthRefreshToken()) {
+            const accessToken = this.#dbx.auth.getAccessToken();
+            if (accessToken && accessToken === this.#checkedToken) {
+                return true;
+            }
             const query = crypto.randomUUID();
             return this.#dbx.checkUser({ query })
                 .then(
-                    (response) => (response.result.result === query),
+                    (response) => {
+                        this.#checkedToken = (response.result.result === query) ? accessToken : null;
+                        return this.#checkedToken !== null;
+                    },
                     (reason) => (false)
                 )
             ;
@@ -96,6 +849,10 @@ export class DropboxCloud {
      */
     #OAuthRedirectHandler(OAuthState, OAuthResolve, OAuthReject, redirectURL) {
         const redirect = redirectURL.searchParams;
+        if (redirect.has('error')) {
+            OAuthReject(new Error(`Authorization was refused: ${redirect.get('error_description') ?? redirect.get('error')}.`));
+            return;
+        }
         const stateObj = JSON.parse(redirect.get('state'));
         const redirectState = Object.getOwnPropertyDescriptor(stateObj, 'state')?.value;
 
@@ -200,26 +957,54 @@ export class DropboxCloud {
         return null;
     }
 
+    /**
+     * @param {String} OAuthState
+     * @param {String} OAuthURL
+     * @param {HeadlessRedirect} headless
+     * @param {String?} redirectURI
+     * @param {Number} timeout
+     * @returns {Promise<String>} OAuthCode
+     */
+    async #OAuthHeadlessRedirect(OAuthState, OAuthURL, headless, redirectURI, timeout) {
+        const received = await headless.getCode(OAuthURL, redirectURI, timeout);
+        if (!(received instanceof URL)) {
+            return received;
+        }
+        const { promise: OAuthPromise, resolve: OAuthResolve, reject: OAuthReject } = Promise.withResolvers();
+        this.#OAuthRedirectHandler(OAuthState, OAuthResolve, OAuthReject, received);
+        return OAuthPromise;
+    }
+
     /**
      * @param {Number} timeout
+     * @param {Boolean} offlineToken
+     * @param {Boolean|HeadlessRedirect} popupRedirect
+     * @param {String?} redirectURI null if Dropbox shows the code to the user instead of redirecting
+     * @param {String[]?} scopes null for all of the app's
+     * @param {Boolean} incremental Keep the scopes already granted
      * @return {Promise<String>?} OAuthCode, unless we same-page navigate to Dropbox
      */
-    async #OAuthGetCode(timeout, offlineToken, popupRedirect) {
-        const currentURL = new URL(window.location);
-        const redirect = currentURL.searchParams;
+    async #OAuthGetCode(timeout, offlineToken, popupRedirect, redirectURI, scopes, incremental) {
+        const headless = typeof popupRedirect === 'object' ? popupRedirect : null;
+        const currentURL = !headless && globalThis.window ? new URL(window.location) : null;
+        const redirect = currentURL?.searchParams;
 
-        if (redirect.has('code') && redirect.has('state')) {
+        if (redirect?.has('code') && redirect.has('state')) {
             return this.#navigationRedirectHandler(currentURL);
+        } else if (!headless && !globalThis.window) {
+            throw new Error('Popup and navigation redirects need a browser window, pass a headless redirect like DropboxCloud.pasteCode() instead.');
+        } else if (!redirectURI && headless?.usesRedirectURI !== false) {
+            throw new Error('This redirect needs a redirectURI, none was given to the constructor.');
         } else {
             const state = crypto.randomUUID();
             const authType = 'code';
             const tokenType = offlineToken ? 'offline' : 'online';
-            const scope = null;
-            const includeGrantedScopes = 'none';
+            const scope = scopes;
+            const includeGrantedScopes = incremental ? 'user' : 'none';
             const usePKCE = true;
 
             const OAuthURL = await this.#dbx.auth.getAuthenticationUrl(
-                this.#redirectURI,
+                redirectURI,
                 JSON.stringify({ state, appId: this.#appId }),
                 authType,
                 tokenType,
@@ -228,7 +1013,9 @@ export class DropboxCloud {
                 usePKCE
             );
 
-            if (popupRedirect) {
+            if (headless) {
+                return this.#OAuthHeadlessRedirect(state, OAuthURL, headless, redirectURI, timeout);
+            } else if (popupRedirect) {
                 return this.#OAuthPopupRedirect(state, OAuthURL, timeout);
             } else {
                 return this.#OAuthNavigationRedirect(state, OAuthURL);
@@ -238,153 +1025,1633 @@ export class DropboxCloud {
 
     /**
      * @param {String} OAuthCode
+     * @param {String?} redirectURI The one the code was requested with
      * @return {Promise<TokenInfo>}
      */
-    async #OAuthGetTokenInfo(OAuthCode) {
-        return this.#dbx.auth.getAccessTokenFromCode(this.#redirectURI, OAuthCode)
+    async #OAuthGetTokenInfo(OAuthCode, redirectURI) {
+        return this.#dbx.auth.getAccessTokenFromCode(redirectURI, OAuthCode)
             .then( (response) => response.result )
         ;
     }
 
     /**
-     * @param {File} file
+     * @param {File|ChunkSource} file
      * @param {String} filepath Starts with `/`
+     * @param {UploadOptions} options
      * @returns {Promise<undefined>}
      */
-    async #uploadSmallFile(file, filepath) {
-        return this.#dbx.filesUpload({ path: filepath, mode: 'overwrite', mute: true, contents: file });
+    async #uploadSmallFile(file, filepath, { writeMode, autorename, strictConflict, onProgress, signal, priority }) {
+        const contents = file instanceof Blob ? file : await file.slice(0, file.size);
+        const response = await this.#request(
+            () => this.#dbx.filesUpload({ path: filepath, mode: writeMode, autorename: autorename, strict_conflict: strictConflict, mute: true, contents: contents }),
+            { signal, priority, idempotent: DropboxCloud.#isIdempotentCommit(writeMode, autorename, strictConflict) }
+        );
+        onProgress?.({ loaded: file.size, total: file.size });
+        return response;
     }
     /**
-     * @param {File} file
+     * @param {File|ChunkSource} file
      * @param {String} filepath Starts with `/`
+     * @param {UploadOptions} options
      * @returns {Promise<undefined>}
      */
-    async #uploadLargeFile(file, filepath) {
-        const fileChunks = Array.from({ length: Math.ceil(file.size / DropboxCloud.CHUNK_SIZE) })
-            .map( (_, chunkIdx) => file.slice(chunkIdx * DropboxCloud.CHUNK_SIZE, (chunkIdx + 1) * DropboxCloud.CHUNK_SIZE) )
-        ;
+    async #uploadLargeFile(file, filepath, { writeMode, autorename, strictConflict, onProgress, signal, priority, session, onSession }) {
+        const uploadSession = session ? { ...session } : await this.#request(
+            () => this.#dbx.filesUploadSessionStart({ close: false }),
+            { signal, priority }
+        ).then( (response) => ({ session_id: response.result.session_id, offset: 0 }) );
+        onSession?.({ ...uploadSession });
 
-        const uploadSession = await this.#dbx.filesUploadSessionStart({ close: false }).then( (response) => response.result.session_id );
+        const commit = { path: filepath, mode: writeMode, autorename: autorename, strict_conflict: strictConflict, mute: true };
+        for (;;) {
+            while (uploadSession.offset < file.size) {
+                const cursor = { session_id: uploadSession.session_id, offset: uploadSession.offset };
+                const chunk = await file.slice(cursor.offset, cursor.offset + DropboxCloud.CHUNK_SIZE);
+                try {
+                    await this.#request(
+                        () => this.#dbx.filesUploadSessionAppendV2({ cursor: cursor, close: false, contents: chunk }),
+                        { signal, priority }
+                    );
+                    uploadSession.offset = cursor.offset + chunk.size;
+                } catch (reason) {
+                    const correctOffset = DropboxCloud.#correctOffset(reason);
+                    if (correctOffset === null) {
+                        throw reason;
+                    }
+                    // The server tells us how much it has actually received, carry on from there
+                    uploadSession.offset = correctOffset;
+                }
+                onSession?.({ ...uploadSession });
+                onProgress?.({ loaded: uploadSession.offset, total: file.size });
+            }
 
-        for (const chunkIdx in fileChunks) {
-            const cursor = { session_id: uploadSession, offset: chunkIdx * DropboxCloud.CHUNK_SIZE };
-            await this.#dbx.filesUploadSessionAppendV2({ cursor: cursor, close: false, contents: fileChunks[chunkIdx] });
+            const cursor = { session_id: uploadSession.session_id, offset: file.size };
+            try {
+                return await this.#request(
+                    () => this.#dbx.filesUploadSessionFinish({ cursor: cursor, commit: commit }),
+                    { signal, priority, idempotent: DropboxCloud.#isIdempotentCommit(writeMode, autorename, strictConflict) }
+                );
+            } catch (reason) {
+                const correctOffset = DropboxCloud.#correctOffset(reason);
+                if (correctOffset === null) {
+                    throw reason;
+                }
+                uploadSession.offset = correctOffset;
+                onSession?.({ ...uploadSession });
+            }
         }
-
-        const cursor = { session_id: uploadSession, offset: file.size };
-        const commit = { path: filepath, mode: 'overwrite', mute: true };
-        return this.#dbx.filesUploadSessionFinish({ cursor: cursor, commit: commit });
     }
 
-    ////////////////////////////
-    // PUBLIC API STARTS HERE //
-    ////////////////////////////
-
-    /** @const CHUNK_SIZE 8MB - Dropbox JavaScript API suggested chunk size */
-    static CHUNK_SIZE = 12 * 1024 * 1024;
-    /** @property Small file size limit */
-    static FILE_SIZE_LIMIT = 150 * 1024 * 1024;
-    /** @property Default timeout in seconds */
-    static OAUTH_TIMEOUT = 120;
-
     /**
-     * @param {String} clientId App key for your Dropbox app.
-     * @param {String} redirectURI Must be included in your Dropbox app's Redirect URIs, must call `window.opener.OAuthRedirect(window.location)` if `popupRedirect` is `true`.
-     * @param {String?} appId Optional. String to identify your app on OAuthRedirect message event.
-     * @param {TokenStorage?} tokenStorage Optional. An object with `loadToken` and `saveToken` methods that persist the refresh token. Only applies when `offlineToken` is `true`.
-     * @param {Boolean} offlineToken Optional. Sets default access token type for OAuth: offline or online. All access tokens expire in a few hours, but offline access tokens can have their duration refreshed.
-     * @param {Boolean} popupRedirect Optional. Sets default redirect type: popup or same-page-navigation.
+     * @param {Blob} zip
+     * @returns {Promise<Array<{ name: String, method: Number, compressedSize: Number, offset: Number }>>} Entries of `zip`'s central directory
      */
-    constructor(clientId, redirectURI = ' ', appId = null, tokenStorage = null, offlineToken = true, popupRedirect = true) {
-        if (!clientId) {
-            throw new Error(`You must provide your Client ID (your Dropbox App key)!`);
+    static async #zipEntries(zip) {
+        const tailStart = Math.max(0, zip.size - (22 + 0xFFFF));
+        const tail = new DataView(await zip.slice(tailStart).arrayBuffer());
+        // The end of central directory record is last, followed only by a comment of up to 64KB
+        let end = tail.byteLength - 22;
+        while (end >= 0 && tail.getUint32(end, true) !== 0x06054b50) {
+            end--;
+        }
+        if (end < 0) {
+            throw new Error('Not a zip archive.');
+        }
+        let count = tail.getUint16(end + 10, true);
+        let size = tail.getUint32(end + 12, true);
+        let start = tail.getUint32(end + 16, true);
+        if (count === 0xFFFF || size === 0xFFFFFFFF || start === 0xFFFFFFFF) {
+            // ZIP64: the real values are in a ZIP64 end record, located by the 20 bytes before this one
+            const locator = new DataView(await zip.slice(tailStart + end - 20, tailStart + end).arrayBuffer());
+            const record = Number(locator.getBigUint64(8, true));
+            const zip64End = new DataView(await zip.slice(record, record + 56).arrayBuffer());
+            count = Number(zip64End.getBigUint64(32, true));
+            size = Number(zip64End.getBigUint64(40, true));
+            start = Number(zip64End.getBigUint64(48, true));
         }
-        this.#dbx = new Dropbox({ clientId: clientId });
-        this.#redirectURI = redirectURI;
-        this.#appId = appId;
-        this.#useOfflineToken = offlineToken;
-        this.#usePopupRedirect = popupRedirect;
-        this.#tokenStorage = tokenStorage;
 
-        this.#dbx.auth.setRefreshToken(tokenStorage?.loadToken());
+        const directory = new DataView(await zip.slice(start, start + size).arrayBuffer());
+        const entries = [];
+        for (let position = 0; entries.length < count; ) {
+            const nameLength = directory.getUint16(position + 28, true);
+            const extraLength = directory.getUint16(position + 30, true);
+            const entry = {
+                name: new TextDecoder().decode(new Uint8Array(directory.buffer, position + 46, nameLength)),
+                method: directory.getUint16(position + 10, true),
+                compressedSize: directory.getUint32(position + 20, true),
+                offset: directory.getUint32(position + 42, true),
+            };
+            const uncompressedSize = directory.getUint32(position + 24, true);
+            for (let extra = position + 46 + nameLength; extra < position + 46 + nameLength + extraLength; extra += 4 + directory.getUint16(extra + 2, true)) {
+                if (directory.getUint16(extra, true) === 0x0001) {
+                    // ZIP64 extra field: 64-bit values for the 32-bit fields that overflowed, in this order
+                    let field = extra + 4;
+                    if (uncompressedSize === 0xFFFFFFFF) {
+                        field += 8;
+                    }
+                    if (entry.compressedSize === 0xFFFFFFFF) {
+                        entry.compressedSize = Number(directory.getBigUint64(field, true));
+                        field += 8;
+                    }
+                    if (entry.offset === 0xFFFFFFFF) {
+                        entry.offset = Number(directory.getBigUint64(field, true));
+                    }
+                }
+            }
+            entries.push(entry);
+            position += 46 + nameLength + extraLength + directory.getUint16(position + 32, true);
+        }
+        return entries;
     }
-
     /**
-     * @param {Number?} timeout in seconds, defaults to DropboxCloud.OAUTH_TIMEOUT
-     * @param {Boolean?} offlineToken Override default access token type
-     * @param {Boolean?} popupRedirect Override default redirect type
-     * @returns {Promise<undefined>}
+     * @param {Blob} zip
+     * @param {AbortSignal?} signal
+     * @returns {Promise<Map<String, Blob>>} Each file of `zip` by its path in the archive, folders left out
      */
-    async OAuth(timeout = null, offlineToken = null, popupRedirect = null) {
-        if (await this.#OAuthCheckToken()) { return; }
-
-        timeout ??= DropboxCloud.OAUTH_TIMEOUT;
-        offlineToken ??= this.#useOfflineToken;
-        popupRedirect ??= this.#usePopupRedirect;
-
-        const OAuthCode = await this.#OAuthGetCode(timeout, offlineToken, popupRedirect)
-            .catch(catchCallback(`Error fetching OAuth Code.`))
-        ;
-        if (!OAuthCode && !popupRedirect) {
-            // Navigating for authentication
-        } else {
-            const tokenInfo = await this.#OAuthGetTokenInfo(OAuthCode)
-                .catch(catchCallback(`Error converting the OAuth Code to an OAuth Token.`))
-            ;
-
-            this.#dbx.auth.setAccessToken(tokenInfo.access_token);
-            if (offlineToken) {
-                this.#dbx.auth.setRefreshToken(tokenInfo.refresh_token);
-                this.#dbx.auth.setAccessTokenExpiresAt(Date.now() + tokenInfo.expires_in);
-                this.#tokenStorage?.saveToken(tokenInfo.refresh_token);
+    static async #extractZip(zip, signal) {
+        const files = new Map();
+        for (const entry of await DropboxCloud.#zipEntries(zip)) {
+            signal?.throwIfAborted();
+            if (entry.name.endsWith('/')) {
+                continue;
+            }
+            const header = new DataView(await zip.slice(entry.offset, entry.offset + 30).arrayBuffer());
+            const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+            const data = zip.slice(dataStart, dataStart + entry.compressedSize);
+            if (entry.method === 0) {
+                files.set(entry.name, data);
+            } else if (entry.method === 8) {
+                files.set(entry.name, await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob());
+            } else {
+                throw new Error(`Unsupported compression method ${entry.method} for ${entry.name} in the zip archive.`);
             }
         }
+        return files;
     }
-
     /**
-     * @param {String} path Starts with `/`
+     * @param {FileSystemDirectoryHandle} directory
+     * @param {Map<String, Blob>} files By path relative to `directory`
+     * @param {AbortSignal?} signal
+     * @returns {Promise<undefined>}
+     */
+    static async #writeFiles(directory, files, signal) {
+        for (const [ path, blob ] of files) {
+            signal?.throwIfAborted();
+            const names = path.split('/').filter(Boolean);
+            const name = names.pop();
+            let folder = directory;
+            for (const folderName of names) {
+                folder = await folder.getDirectoryHandle(folderName, { create: true });
+            }
+            const writable = await (await folder.getFileHandle(name, { create: true })).createWritable();
+            await writable.write(blob);
+            await writable.close();
+        }
+    }
+
+    /**
+     * Sends `file` through an upload session closed by its last chunk, ready for a batch commit
+     * @param {File} file
+     * @param {RequestOptions & { onProgress: ((loaded: Number) => ignore)? }} options
+     * @returns {Promise<UploadSession>} Cursor to commit the session with
+     */
+    async #uploadSessionContent(file, { signal, priority, onProgress }) {
+        const first = file.slice(0, DropboxCloud.CHUNK_SIZE);
+        const sessionId = await this.#request(
+            () => this.#dbx.filesUploadSessionStart({ close: first.size >= file.size, contents: first }),
+            { signal, priority }
+        ).then( (response) => response.result.session_id );
+        let offset = first.size;
+        onProgress?.(offset);
+        while (offset < file.size) {
+            const cursor = { session_id: sessionId, offset: offset };
+            const chunk = file.slice(offset, offset + DropboxCloud.CHUNK_SIZE);
+            const close = offset + chunk.size >= file.size;
+            try {
+                await this.#request(
+                    () => this.#dbx.filesUploadSessionAppendV2({ cursor: cursor, close: close, contents: chunk }),
+                    { signal, priority }
+                );
+                offset += chunk.size;
+            } catch (reason) {
+                const correctOffset = DropboxCloud.#correctOffset(reason);
+                if (correctOffset === null) {
+                    throw reason;
+                }
+                offset = correctOffset;
+            }
+            onProgress?.(offset);
+        }
+        return { session_id: sessionId, offset: file.size };
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {ListFolderOptions} options
+     * @returns {AsyncGenerator<APIResult>} Each page of the listing, until `has_more` is false
+     */
+    async *#listFolderPages(path, { recursive, includeDeleted, limit, cursor, timeout, signal, priority }) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.listFolder);
+        let page;
+        if (cursor) {
+            page = await this.#request( () => this.#dbx.filesListFolderContinue({ cursor: cursor }), { signal, priority } )
+                .catch(DropboxCloud.#catchCallback(`Error continuing file list from ${path}.`, path))
+            ;
+        } else {
+            const args = { path: DropboxCloud.#apiPath(path), recursive: recursive, include_deleted: includeDeleted };
+            if (limit) {
+                args.limit = limit;
+            }
+            page = await this.#request( () => this.#dbx.filesListFolder(args), { signal, priority } )
+                .catch(DropboxCloud.#catchCallback(`Error fetching file list from ${path}.`, path))
+            ;
+        }
+        yield page.result;
+
+        while (page.result.has_more) {
+            const { cursor } = page.result;
+            page = await this.#request( () => this.#dbx.filesListFolderContinue({ cursor: cursor }), { signal, priority } )
+                .catch(DropboxCloud.#catchCallback(`Error continuing file list from ${path}.`, path))
+            ;
+            yield page.result;
+        }
+    }
+
+    /**
+     * @param {String} query
+     * @param {SearchOptions} options
+     * @returns {AsyncGenerator<APIResult>} Metadata of each match, following the result pages, up to `maxResults`
+     */
+    async *#searchMatches(query, { path, extensions, fileCategories, maxResults, timeout, signal, priority }) {
+        if (maxResults !== null && maxResults < 1) {
+            // The API rejects max_results 0
+            return;
+        }
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.search);
+        const options = { max_results: Math.min(maxResults ?? Infinity, DropboxCloud.SEARCH_PAGE_SIZE) };
+        if (path && path !== '/') {
+            options.path = path;
+        }
+        if (extensions) {
+            options.file_extensions = extensions.map( (extension) => extension.replace(/^\./, '') );
+        }
+        if (fileCategories) {
+            options.file_categories = fileCategories.map( (category) => ({ '.tag': category }) );
+        }
+
+        let page = await this.#request( () => this.#dbx.filesSearchV2({ query: query, options: options }), { signal, priority } )
+            .catch(DropboxCloud.#catchCallback(`Error searching for "${query}".`, path))
+        ;
+        let found = 0;
+        for (;;) {
+            for (const match of page.result.matches) {
+                if (found === maxResults) {
+                    return;
+                }
+                found++;
+                yield match.metadata.metadata;
+            }
+            if (!page.result.has_more || found === maxResults) {
+                return;
+            }
+            const { cursor } = page.result;
+            page = await this.#request( () => this.#dbx.filesSearchContinueV2({ cursor: cursor }), { signal, priority } )
+                .catch(DropboxCloud.#catchCallback(`Error continuing search for "${query}".`, path))
+            ;
+        }
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {RequestOptions} options
+     * @returns {Promise<APIResult?>} Metadata of `path`, null if it doesn't exist
+     */
+    async #getMetadata(path, options = {}) {
+        return this.#request( () => this.#dbx.filesGetMetadata({ path: path }), options )
+            .then( (response) => response.result )
+            .catch( (reason) => {
+                if (DropboxCloud.#isNotFound(reason)) {
+                    return null;
+                }
+                throw reason;
+            })
+        ;
+    }
+    /**
+     * @param {String} path Starts with `/`
      * @param {Number?} timeout for OAuth, in seconds
-     * @return {Promise<APIResult>}
+     * @param {RequestOptions & { validate: JSONValidator? }} options
+     * @returns {Promise<{ value: any, metadata: APIResult }>} The parsed document and the metadata of its file
+     */
+    async #readJSON(path, timeout, { validate, signal, priority }) {
+        const { fileBlob, ...metadata } = await this.downloadFile(path, timeout, { signal, priority });
+        const text = await fileBlob.text();
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (reason) {
+            throw new InvalidDocumentError(`${path} isn't a valid JSON document.`, { cause: reason, path: path });
+        }
+        await DropboxCloud.#validateJSON(value, validate, `${path} was rejected by its validator.`, path);
+        return { value: value, metadata: metadata };
+    }
+    /**
+     * @param {String} path Starts with `/`, the JSON file
+     * @param {any} value
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {RequestOptions & { mode: WriteMode, rev: String? }} options
+     * @returns {Promise<APIResult>} Metadata of the written file
+     */
+    async #writeJSON(path, value, timeout, { mode, rev, signal, priority }) {
+        const name = path.slice(path.lastIndexOf('/') + 1);
+        const file = new File([ JSON.stringify(value) ], name, { type: 'application/json' });
+        // Strict, or writing what another writer just wrote would pass as the current revision
+        return this.uploadFile(file, path.slice(0, -name.length), timeout, { mode, rev, strictConflict: mode !== 'overwrite', signal, priority });
+    }
+    /**
+     * Lists `path`, then longpolls for changes and dispatches them on `watcher` until `signal` is aborted
+     * @param {FolderWatch} watcher
+     * @param {AbortController} controller Stops `watcher`
+     * @param {String} path Starts with `/`
+     * @param {{ recursive: Boolean, timeout: Number?, priority: Number }} options
+     * @returns {Promise<undefined>}
+     */
+    async #watch(watcher, controller, path, { recursive, timeout, priority }) {
+        const signal = controller.signal;
+        try {
+            // Known entries tell additions from modifications, and which deletions concern us
+            const known = new Map();
+            const listing = this.listFolder(path, { recursive, timeout, signal, priority });
+            for await (const entry of listing) {
+                known.set(entry.path_lower, entry);
+            }
+            watcher.cursor = listing.cursor;
+
+            for (;;) {
+                // Changes made while hidden are picked up in one go once visible again
+                await DropboxCloud.#pageVisible(signal);
+                await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.watch);
+                // Not scheduled: a longpoll would hold its slot for up to LONGPOLL_TIMEOUT
+                const poll = await DropboxCloud.#abortable(DropboxCloud.#retryTransient(
+                    () => this.#dbx.filesListFolderLongpoll({ cursor: watcher.cursor, timeout: DropboxCloud.LONGPOLL_TIMEOUT }),
+                    signal
+                ), signal).then( (response) => response.result );
+
+                if (poll.changes) {
+                    const changes = { added: [], modified: [], deleted: [] };
+                    const changed = this.listFolder(path, { recursive, timeout, signal, priority, cursor: watcher.cursor });
+                    for await (const entry of changed) {
+                        const previous = known.get(entry.path_lower);
+                        if (entry['.tag'] === 'deleted') {
+                            if (previous) {
+                                changes.deleted.push(entry);
+                                // A deleted folder may be reported alone, without its contents
+                                for (const path_lower of known.keys()) {
+                                    if (path_lower === entry.path_lower || path_lower.startsWith(`${entry.path_lower}/`)) {
+                                        known.delete(path_lower);
+                                    }
+                                }
+                            }
+                        } else if (!previous) {
+                            changes.added.push(entry);
+                            known.set(entry.path_lower, entry);
+                        } else if (entry['.tag'] === 'file' && entry.rev !== previous.rev) {
+                            changes.modified.push(entry);
+                            known.set(entry.path_lower, entry);
+                        }
+                    }
+                    watcher.cursor = changed.cursor;
+                    if (changes.added.length || changes.modified.length || changes.deleted.length) {
+                        watcher.dispatchEvent(new CustomEvent('change', { detail: changes }));
+                    }
+                }
+                if (poll.backoff) {
+                    await DropboxCloud.#sleep(poll.backoff, signal);
+                }
+            }
+        } catch (reason) {
+            if (!signal.aborted) {
+                const error = DropboxCloud.#toError(`Error watching ${path} for changes, stopped watching.`, path, reason);
+                controller.abort(error);
+                watcher.dispatchEvent(new CustomEvent('error', { detail: { error: error } }));
+            }
+        }
+    }
+    /**
+     * @param {String} key rev and settings
+     * @param {Blob} thumbnail
+     */
+    #cacheThumbnail(key, thumbnail) {
+        this.#thumbnails.delete(key);
+        this.#thumbnails.set(key, thumbnail);
+        while (this.#thumbnails.size > DropboxCloud.THUMBNAIL_CACHE_SIZE) {
+            this.#thumbnails.delete(this.#thumbnails.keys().next().value);
+        }
+    }
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number} limit
+     * @param {RequestOptions} options
+     * @returns {Promise<APIResult[]>} Metadata of the file's revisions, newest first
+     */
+    async #listRevisions(path, limit, options) {
+        return this.#request( () => this.#dbx.filesListRevisions({ path: path, mode: 'path', limit: limit }), options )
+            .then( (response) => response.result.entries )
+        ;
+    }
+    /**
+     * @param {String?} path Starts with `/`, null for every link of the user
+     * @param {RequestOptions} options
+     * @returns {Promise<APIResult[]>} Metadata of the shared links to exactly `path`
      */
-    async fetchFileList(path, timeout = null) {
-        await this.OAuth(timeout);
-        return this.#dbx.filesListFolder({ path: path })
+    async #listSharedLinks(path, options) {
+        const links = [];
+        const args = path ? { path: path, direct_only: true } : {};
+        for (;;) {
+            const page = await this.#request( () => this.#dbx.sharingListSharedLinks(args), options )
+                .then( (response) => response.result )
+            ;
+            links.push(...page.links);
+            if (!page.has_more) {
+                return links;
+            }
+            args.cursor = page.cursor;
+        }
+    }
+    /**
+     * @param {Error|any} reason
+     * @param {String} filepath Starts with `/`
+     * @returns {Promise<never>} Rejects with a `ConflictError` carrying the current metadata of `filepath` if `reason` is a write conflict, else with `reason`
+     */
+    async #raiseConflict(reason, filepath) {
+        if (!DropboxCloud.#isConflict(reason)) {
+            throw reason;
+        }
+        const conflict = DropboxCloud.#toError(`Conflict writing ${filepath}, it was changed elsewhere.`, filepath, reason);
+        conflict.metadata = await this.#getMetadata(filepath).catch( (reason) => null );
+        throw conflict;
+    }
+
+    /**
+     * @param {APIResult} launch Result of starting a batch job
+     * @param {(arg: { async_job_id: String }) => Promise<{ result: APIResult }>} check Checks the job's status
+     * @param {RequestOptions} options
+     * @returns {Promise<APIResult[]>} Per-entry results, once the job is complete
+     */
+    async #awaitJob(launch, check, options) {
+        if (launch['.tag'] === 'complete') {
+            return launch.entries;
+        }
+        for (;;) {
+            const status = await this.#request( () => check({ async_job_id: launch.async_job_id }), options )
+                .then( (response) => response.result )
+            ;
+            switch (status['.tag']) {
+                case 'in_progress':
+                    await DropboxCloud.#sleep(DropboxCloud.BATCH_POLL_INTERVAL, options.signal);
+                    break;
+                case 'complete':
+                    return status.entries;
+                default:
+                    throw new Error(`Batch job ${launch.async_job_id} ended with status "${status['.tag']}".`, { cause: status });
+            }
+        }
+    }
+    /**
+     * @param {any} value A JSON document
+     * @param {JSONValidator?} validate
+     * @param {String} message
+     * @param {String} path Starts with `/`
+     * @returns {Promise<void>} Rejects with an `InvalidDocumentError` if `validate` returns false or throws
+     */
+    static async #validateJSON(value, validate, message, path) {
+        try {
+            if (validate && await validate(value) === false) {
+                throw new Error('The validator returned false.');
+            }
+        } catch (reason) {
+            throw new InvalidDocumentError(message, { cause: reason, path: path });
+        }
+    }
+    /**
+     * @param {String} message
+     * @param {String} path
+     * @param {APIResult} failure Structured error of a failed batch entry
+     * @returns {DropboxCloudError} `failure` as the error a single request failing with it would raise
+     */
+    static #batchEntryError(message, path, failure) {
+        const tags = [];
+        for (let node = failure; node?.['.tag']; node = node[node['.tag']]) {
+            tags.push(node['.tag']);
+        }
+        const reason = new DropboxCloud.#SDK.DropboxResponseError(409, {}, { error_summary: `${tags.join('/')}/`, error: failure });
+        return DropboxCloud.#toError(message, path, reason);
+    }
+
+    ////////////////////////////
+    // PUBLIC API STARTS HERE //
+    ////////////////////////////
+
+    /** @const CHUNK_SIZE 8MB - Dropbox JavaScript API suggested chunk size */
+    static CHUNK_SIZE = 12 * 1024 * 1024;
+    /** @property Small file size limit */
+    static FILE_SIZE_LIMIT = 150 * 1024 * 1024;
+    /** @property Default timeout in seconds */
+    static OAUTH_TIMEOUT = 120;
+    /** @property How many times a request is sent again after a rate limit, server or network error. Writes that could take effect twice, e.g. copies, are only sent again after a rate limit. */
+    static MAX_RETRIES = 3;
+    /** @property Delay in seconds before the first retry, doubled on each further retry. The server's `retry_after` takes precedence when longer. */
+    static RETRY_DELAY = 1;
+    /** @property Longest delay in seconds between two retries */
+    static RETRY_MAX_DELAY = 60;
+    /** @property Requests an instance sends at once, the others wait in priority order */
+    static MAX_CONCURRENT_REQUESTS = 4;
+    /** @property Seconds between batch job status checks */
+    static BATCH_POLL_INTERVAL = 1;
+    /** @property How many times `updateJSON` reads and applies its change again after another writer got in first */
+    static MAX_UPDATE_RETRIES = 5;
+    /** @property Scopes each method needs, e.g. to request them all at login through the constructor's `scopes`, or later with `authorize` */
+    static REQUIRED_SCOPES = Object.freeze({
+        listFolder: [ 'files.metadata.read' ],
+        fetchFileList: [ 'files.metadata.read' ],
+        getMetadata: [ 'files.metadata.read' ],
+        search: [ 'files.metadata.read' ],
+        watch: [ 'files.metadata.read' ],
+        listRevisions: [ 'files.metadata.read' ],
+        listDeleted: [ 'files.metadata.read' ],
+        downloadFile: [ 'files.content.read' ],
+        downloadFolder: [ 'files.content.read' ],
+        downloadRevision: [ 'files.content.read' ],
+        getThumbnail: [ 'files.content.read' ],
+        getThumbnails: [ 'files.content.read' ],
+        getPreview: [ 'files.content.read' ],
+        getTemporaryLink: [ 'files.content.read' ],
+        readJSON: [ 'files.content.read' ],
+        uploadFile: [ 'files.content.write' ],
+        uploadFiles: [ 'files.content.write' ],
+        writeJSON: [ 'files.content.write' ],
+        updateJSON: [ 'files.content.read', 'files.content.write' ],
+        createFolder: [ 'files.content.write' ],
+        move: [ 'files.content.write' ],
+        copy: [ 'files.content.write' ],
+        rename: [ 'files.content.write' ],
+        delete: [ 'files.content.write' ],
+        restore: [ 'files.content.write' ],
+        undelete: [ 'files.metadata.read', 'files.content.write' ],
+        moveBatch: [ 'files.content.write' ],
+        copyBatch: [ 'files.content.write' ],
+        deleteBatch: [ 'files.content.write' ],
+        // Lists the existing link when there's one already
+        createSharedLink: [ 'sharing.read', 'sharing.write' ],
+        listSharedLinks: [ 'sharing.read' ],
+        revokeSharedLink: [ 'sharing.write' ],
+        getAccount: [ 'account_info.read' ],
+    });
+    /** @property Most thumbnails fetched by a single batch request, the API's limit */
+    static THUMBNAIL_BATCH_SIZE = 25;
+    /** @property Most thumbnails `getThumbnails` keeps in memory */
+    static THUMBNAIL_CACHE_SIZE = 500;
+    /** @property Matches fetched per search request, at most 1000 */
+    static SEARCH_PAGE_SIZE = 100;
+    /** @property Seconds a longpoll waits for changes before starting over, 30 to 480 */
+    static LONGPOLL_TIMEOUT = 30;
+    /** @property Most uploads committed by a single batch finish request, the API's limit */
+    static UPLOAD_BATCH_SIZE = 1000;
+    /** @const ZIP_SIZE_LIMIT 20GB - Largest folder the zip download accepts */
+    static ZIP_SIZE_LIMIT = 20 * 1024 * 1024 * 1024;
+    /** @const ZIP_ENTRY_LIMIT Most files and folders the zip download accepts */
+    static ZIP_ENTRY_LIMIT = 10000;
+    /** @const HASH_BLOCK_SIZE 4MB - Block size of Dropbox's content_hash */
+    static HASH_BLOCK_SIZE = 4 * 1024 * 1024;
+
+    /**
+     * Computes a file's `content_hash` the way Dropbox does: SHA-256 of the concatenated SHA-256 of each 4MB block.
+     * @param {Blob|ChunkSource} blob
+     * @returns {Promise<String>} content_hash, hex encoded
+     */
+    static async contentHash(blob) {
+        const blockHashes = new Uint8Array(Math.ceil(blob.size / DropboxCloud.HASH_BLOCK_SIZE) * 32);
+        for (let offset = 0; offset < blob.size; offset += DropboxCloud.HASH_BLOCK_SIZE) {
+            const block = await (await blob.slice(offset, offset + DropboxCloud.HASH_BLOCK_SIZE)).arrayBuffer();
+            const blockHash = await crypto.subtle.digest('SHA-256', block);
+            blockHashes.set(new Uint8Array(blockHash), (offset / DropboxCloud.HASH_BLOCK_SIZE) * 32);
+        }
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', blockHashes));
+        return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Headless redirect for terminals and scripts: the user opens the authorization URL, allows access, and pastes the code Dropbox shows.
+     * Doesn't use the redirect URI.
+     * @param {((OAuthURL: String, timeout: Number) => String|Promise<String>)?} askCode Optional. Shows the URL and resolves with the code. Defaults to `prompt()` where available, e.g. in Deno, else reads a line from the standard input, e.g. in Node.
+     * @returns {HeadlessRedirect}
+     */
+    static pasteCode(askCode = null) {
+        return {
+            usesRedirectURI: false,
+            getCode: async (OAuthURL, redirectURI, timeout) => {
+                const code = (await (askCode ?? DropboxCloud.#askCodeInTerminal)(OAuthURL, timeout))?.trim();
+                if (!code) {
+                    throw new Error('No authorization code was entered.');
+                }
+                return code;
+            },
+        };
+    }
+    /**
+     * Headless redirect for desktop scripts: listens on the redirect URI for Dropbox to redirect the user's browser to it.
+     * The redirect URI must be a loopback address like `http://127.0.0.1:8080/`, registered in your Dropbox app. Needs `node:http`, e.g. in Node or Deno.
+     * @param {((OAuthURL: String) => ignore)?} openURL Optional. Shows or opens the authorization URL. Defaults to logging it.
+     * @returns {HeadlessRedirect}
+     */
+    static loopback(openURL = null) {
+        return {
+            usesRedirectURI: true,
+            getCode: async (OAuthURL, redirectURI, timeout) => {
+                openURL ??= (url) => console.log(`Open ${url} in a browser and allow access.`);
+                return DropboxCloud.#awaitLoopbackRedirect(redirectURI, timeout, () => openURL(OAuthURL));
+            },
+        };
+    }
+
+    /**
+     * Must await before creating any instance, except with DropboxCloud.esm.js, which imports the Dropbox js SDK when loaded
+     * @param {DropboxSDK?} sdk Optional. SDK to use instead of importing the Dropbox js SDK from a CDN, e.g. `await import('dropbox')` in Node, or `new DropboxFake().SDK` for offline testing.
+     * @returns {Promise<undefined>}
+     */
+    static async init(sdk = null) {
+        try {
+            DropboxCloud.#SDK = sdk ?? await import(DropboxCloud.#SDK_URL);
+            DropboxCloud.#SDKError = null;
+        } catch (reason) {
+            DropboxCloud.#SDKError = reason;
+            throw reason;
+        }
+    }
+    /**
+     * @param {String} clientId App key for your Dropbox app.
+     * @param {String?} redirectURI Must be included in your Dropbox app's Redirect URIs, must call `window.opener.OAuthRedirect(window.location)` if `popupRedirect` is `true`. Defaults to the current page, or to none outside browsers.
+     * @param {String?} appId Optional. String to identify your app on OAuthRedirect message event.
+     * @param {TokenStorage?} tokenStorage Optional. An object with `loadTokens` and `saveTokens` methods, sync or async, that persist the access token, its expiry, the refresh token and the account id, e.g. a `LocalStorageTokenStorage`. Objects with the older `loadToken` and `saveToken` methods persist only the refresh token.
+     * @param {Boolean} offlineToken Optional. Sets default access token type for OAuth: offline or online. All access tokens expire in a few hours, but offline access tokens can have their duration refreshed.
+     * @param {Boolean|HeadlessRedirect} popupRedirect Optional. Sets default redirect type: popup, same-page-navigation, or without a window, e.g. `DropboxCloud.pasteCode()` or `DropboxCloud.loopback()`.
+     * Outside browsers, e.g. in Node or a worker, use a headless redirect, or a `tokenStorage` with a refresh token so OAuth is never needed.
+     * @param {String[]?} scopes Optional. Scopes to request at login, e.g. `[ 'files.content.read' ]`, null for all of your Dropbox app's permissions. Methods needing more throw a `MissingScopeError`: request them with `authorize`, see `REQUIRED_SCOPES`.
+     */
+    constructor(clientId, redirectURI = globalThis.window ? window.location.origin + window.location.pathname : null, appId = null, tokenStorage = null, offlineToken = true, popupRedirect = true, scopes = null) {
+        super();
+        if (!DropboxCloud.#SDK && DropboxCloud.#SDKError) {
+            throw new Error(`Error importing the Dropbox js SDK from ${DropboxCloud.#SDK_URL}! Pass one to DropboxCloud.init() instead.`, { cause: DropboxCloud.#SDKError });
+        }
+        if (!DropboxCloud.#SDK) {
+            throw new Error(`Dropbox API hasn't been initialized! Await DropboxCloud.init() first.`);
+        }
+        if (!clientId) {
+            throw new Error(`You must provide your Client ID (your Dropbox App key)!`);
+        }
+        this.#dbx = new DropboxCloud.#SDK.Dropbox({ clientId: clientId });
+        this.#redirectURI = redirectURI;
+        this.#appId = appId;
+        this.#useOfflineToken = offlineToken;
+        this.#usePopupRedirect = popupRedirect;
+        this.#tokenStorage = tokenStorage;
+        this.#scopes = scopes;
+    }
+
+    /** @returns {String?} Dropbox account id of the logged in user, once known */
+    get accountId() { return this.#accountId; }
+    /** @returns {PathRoot?} Namespace paths are relative to, null for the user's home, see `setPathRoot` */
+    get pathRoot() { return this.#pathRoot; }
+    /** @returns {String[]?} Scopes granted to the current access token, null if unknown, e.g. before login or with a `saveToken` storage */
+    get grantedScopes() { return this.#grantedScopes ? [ ...this.#grantedScopes ] : null; }
+
+    /**
+     * Concurrent calls share a single token check, refresh or OAuth flow, run with the first caller's arguments.
+     * A call needing scopes that flow doesn't cover waits for it, then runs its own.
+     * @param {Number?} timeout in seconds, defaults to DropboxCloud.OAUTH_TIMEOUT
+     * @param {Boolean?} offlineToken Override default access token type
+     * @param {Boolean|HeadlessRedirect|null} popupRedirect Override default redirect type
+     * @param {String[]?} scopes Scopes needed now. If logged in without some of them, only those are requested, keeping the scopes already granted.
+     * @returns {Promise<undefined>}
+     */
+    async OAuth(timeout = null, offlineToken = null, popupRedirect = null, scopes = null) {
+        // Until logged in, the granted scopes are unknown
+        while (this.#pendingOAuth && scopes?.length && (!this.#grantedScopes || this.#missingScopes(scopes).length > 0)) {
+            await this.#pendingOAuth;
+        }
+        this.#pendingOAuth ??= this.#OAuthFlow(timeout, offlineToken, popupRedirect, scopes)
+            .finally( () => { this.#pendingOAuth = null; } )
+        ;
+        return this.#pendingOAuth;
+    }
+    /**
+     * @param {Number?} timeout in seconds, defaults to DropboxCloud.OAUTH_TIMEOUT
+     * @param {Boolean?} offlineToken Override default access token type
+     * @param {Boolean|HeadlessRedirect|null} popupRedirect Override default redirect type
+     * @param {String[]?} scopes Scopes needed on top of those requested at login
+     * @returns {Promise<undefined>}
+     */
+    async #OAuthFlow(timeout, offlineToken, popupRedirect, scopes) {
+        const incremental = await this.#OAuthCheckToken();
+        // With unknown granted scopes, e.g. from a `saveToken` storage, request them all: the new token tells which are granted
+        const missing = this.#grantedScopes ? this.#missingScopes(scopes) : scopes ?? [];
+        if (incremental && missing.length === 0) { return; }
+        const requestedScopes = incremental
+            ? missing
+            : this.#scopes && [ ...new Set([ ...this.#scopes, ...(scopes ?? []) ]) ]
+        ;
+
+        timeout ??= DropboxCloud.OAUTH_TIMEOUT;
+        offlineToken ??= this.#useOfflineToken;
+        popupRedirect ??= this.#usePopupRedirect;
+        const redirectURI = popupRedirect?.usesRedirectURI === false ? null : this.#redirectURI;
+
+        const OAuthCode = await this.#OAuthGetCode(timeout, offlineToken, popupRedirect, redirectURI, requestedScopes, incremental)
+            .catch(DropboxCloud.#catchCallback(`Error fetching OAuth Code.`))
+            .catch( (error) => this.#authFailed(error) )
+        ;
+        if (!OAuthCode && !popupRedirect) {
+            // Navigating for authentication
+        } else {
+            const tokenInfo = await this.#OAuthGetTokenInfo(OAuthCode, redirectURI)
+                .catch(DropboxCloud.#catchCallback(`Error converting the OAuth Code to an OAuth Token.`))
+                .catch( (error) => this.#authFailed(error) )
+            ;
+
+            this.#dbx.auth.setAccessToken(tokenInfo.access_token);
+            this.#dbx.auth.setAccessTokenExpiresAt(new Date(Date.now() + tokenInfo.expires_in * 1000));
+            this.#accountId = tokenInfo.account_id ?? null;
+            this.#grantedScopes = tokenInfo.scope?.split(' ') ?? null;
+            if (offlineToken) {
+                this.#dbx.auth.setRefreshToken(tokenInfo.refresh_token);
+            }
+            await this.#saveTokens()
+                .catch(DropboxCloud.#catchCallback(`Error saving tokens to storage.`))
+            ;
+            this.#dispatch('login', { accountId: this.#accountId, offlineToken: offlineToken, scopes: this.grantedScopes });
+        }
+    }
+
+    /**
+     * Requests scopes on top of those granted, e.g. from a button, before calling methods that need them, see `REQUIRED_SCOPES`.
+     * Logs in first if needed. Opens an OAuth flow only for the scopes missing, or for all of `scopes` if the granted ones are unknown.
+     * Scopes the flow doesn't grant are remembered until `logout()`: asking for them again throws without a flow.
+     * @param {String[]} scopes e.g. `DropboxCloud.REQUIRED_SCOPES.uploadFile`
+     * @param {Number?} timeout in seconds, defaults to DropboxCloud.OAUTH_TIMEOUT
+     * @returns {Promise<undefined>}
+     * @throws {MissingScopeError} If some of `scopes` weren't granted, e.g. not enabled in your Dropbox app's permissions
+     */
+    async authorize(scopes, timeout = null) {
+        const unavailable = scopes.filter( (scope) => this.#unavailableScopes.has(scope) );
+        if (unavailable.length > 0) {
+            throw this.#missingScopeError(unavailable);
+        }
+        await this.OAuth(timeout, null, null, scopes);
+        const missing = this.#missingScopes(scopes);
+        if (missing.length > 0) {
+            missing.forEach( (scope) => this.#unavailableScopes.add(scope) );
+            throw this.#missingScopeError(missing);
+        }
+    }
+
+    /**
+     * Checks the stored tokens, refreshing the access token if it expired, without ever starting an OAuth flow.
+     * E.g. to resume work after a page load only if that won't open a popup.
+     * @returns {Promise<Boolean>} true if logged in
+     */
+    async isLoggedIn() {
+        return this.#OAuthCheckToken();
+    }
+
+    /**
+     * Revokes the tokens server-side, then forgets them: in the SDK, in the `TokenStorage` and any OAuth state left in `sessionStorage`.
+     * @returns {Promise<Boolean>} true if the server revoked the tokens, false if they were already unusable
+     */
+    async logout() {
+        const revoked = await this.#OAuthRefreshToken()
+            .then( (fresh) => (fresh && this.#dbx.auth.getAccessToken()) ? this.#dbx.authTokenRevoke().then( () => true ) : false )
+            .catch( (reason) => {
+                console.debug(new Error('Error revoking token, forgetting it anyway.', { cause: reason }));
+                return false;
+            })
+        ;
+
+        this.#dbx.auth.setAccessToken(null);
+        this.#dbx.auth.setAccessTokenExpiresAt(null);
+        this.#dbx.auth.setRefreshToken(null);
+        this.#accountId = null;
+        this.#grantedScopes = null;
+        this.#unavailableScopes.clear();
+        this.#checkedToken = null;
+        await this.#saveTokens()
+            .catch(DropboxCloud.#catchCallback(`Error clearing tokens from storage.`))
+        ;
+        globalThis.sessionStorage?.removeItem(`OAuthState-${this.#appId}`);
+        globalThis.sessionStorage?.removeItem(`CodeVerifier-${this.#appId}`);
+
+        this.#dispatch('logout', { revoked: revoked });
+        return revoked;
+    }
+
+    /**
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} The logged in user's account: `account_id`, `name`, `email`, and `root_info` for their namespaces
+     */
+    async getAccount(timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.getAccount);
+        return this.#request( () => this.#dbx.usersGetCurrentAccount(), { signal, priority } )
             .then( (response) => response.result )
-            .catch(catchCallback(`Error fetching file list from ${path}.`))
+            .catch(DropboxCloud.#catchCallback('Error fetching the current account.'))
         ;
     }
 
+    /**
+     * Picks the namespace every path is relative to.
+     * Dropbox Business users with a team space see team folders only from the team root, where their own files are under `root_info.home_path`.
+     * Changing it doesn't carry over to cursors and running `watch`es, which stay relative to the previous root.
+     * @param {'home'|'team'|PathRoot} root `home` for the user's own files, `team` for the team space root, or a namespace, e.g. a previous `pathRoot`.
+     * @param {Number?} timeout for OAuth, in seconds, when `root` is `team`
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<PathRoot?>} The new `pathRoot`
+     */
+    async setPathRoot(root = 'home', timeout = null, { signal = null, priority = 0 } = {}) {
+        if (root === 'team') {
+            const account = await this.getAccount(timeout, { signal, priority });
+            // Accounts without a team space have their home as root
+            root = { '.tag': 'root', root: account.root_info.root_namespace_id };
+        }
+        this.#pathRoot = root === 'home' ? null : root;
+        this.#dbx.pathRoot = this.#pathRoot ? JSON.stringify(this.#pathRoot) : undefined;
+        return this.#pathRoot;
+    }
+
+    /**
+     * Lists every entry of a folder, following the listing's pages as it is iterated.
+     * Once iteration ends, `cursor` can be passed back in `options.cursor` to list only what changed since.
+     * @param {String} path Starts with `/`
+     * @param {ListFolderOptions} options Optional.
+     * @param {Boolean?} options.recursive Also list the contents of subfolders.
+     * @param {Boolean?} options.includeDeleted Also list deleted entries.
+     * @param {Number?} options.limit Maximum entries per page, a hint for the server.
+     * @param {String?} options.cursor Continue from a previous listing's cursor instead of listing `path` from scratch.
+     * @param {Number?} options.timeout for OAuth, in seconds
+     * @param {AbortSignal?} options.signal Cancels the listing, while waiting for a page or between pages.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {FolderListing} Async iterable of entries, `cursor` is the latest cursor received
+     */
+    listFolder(path, { recursive = false, includeDeleted = false, limit = null, cursor = null, timeout = null, signal = null, priority = 0 } = {}) {
+        const pages = this.#listFolderPages(path, { recursive, includeDeleted, limit, cursor, timeout, signal, priority });
+        const listing = {
+            cursor: cursor,
+            [Symbol.asyncIterator]: async function* () {
+                for await (const page of pages) {
+                    listing.cursor = page.cursor;
+                    yield* page.entries;
+                }
+            },
+        };
+        return listing;
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult?>} Metadata of the file or folder, with its `rev` and `size` for files, null if it doesn't exist
+     */
+    async getMetadata(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.getMetadata);
+        return this.#getMetadata(path, { signal, priority })
+            .catch(DropboxCloud.#catchCallback(`Error fetching metadata of ${path}.`, path))
+        ;
+    }
+
+    /**
+     * Searches file and folder names, and the contents of files where the account allows it.
+     * @param {String} query Words to look for
+     * @param {SearchOptions} options Optional.
+     * @param {String?} options.path Only search in this folder, starts with `/`.
+     * @param {String[]?} options.extensions Only match files with these extensions, e.g. `[ 'json' ]`.
+     * @param {FileCategory[]?} options.fileCategories Only match these kinds of entries.
+     * @param {Number?} options.maxResults Stop after this many matches. Less than 1 finds nothing, without a request.
+     * @param {Number?} options.timeout for OAuth, in seconds
+     * @param {AbortSignal?} options.signal Cancels the search, while waiting for a page or between pages.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {AsyncIterable<APIResult>} Metadata of the matching entries, most relevant first
+     */
+    search(query, { path = null, extensions = null, fileCategories = null, maxResults = null, timeout = null, signal = null, priority = 0 } = {}) {
+        return this.#searchMatches(query, { path, extensions, fileCategories, maxResults, timeout, signal, priority });
+    }
+
+    /**
+     * Watches a folder for changes made on Dropbox, e.g. by other devices.
+     * Watching pauses while the page is hidden, and catches up once it's visible again.
+     * @param {String} path Starts with `/`
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.recursive Also watch the contents of subfolders.
+     * @param {Number?} options.timeout for OAuth, in seconds
+     * @param {AbortSignal?} options.signal Stops watching, like `stop()`.
+     * @param {Number?} options.priority Priority of the listing requests when the scheduler is busy. Defaults to 0.
+     * @return {FolderWatch} Emits `change` events until stopped
+     */
+    watch(path, { recursive = false, timeout = null, signal = null, priority = 0 } = {}) {
+        const controller = new AbortController();
+        signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true, signal: controller.signal });
+        if (signal?.aborted) {
+            controller.abort(signal.reason);
+        }
+        const watcher = new FolderWatch(controller);
+        this.#watch(watcher, controller, path, { recursive, timeout, priority });
+        return watcher;
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {ListFolderOptions} options Optional. Same as `listFolder`'s.
+     * @return {Promise<APIResult>} Every entry of the folder, with the final `cursor`
+     */
+    async fetchFileList(path, timeout = null, { recursive = false, includeDeleted = false, limit = null, cursor = null, signal = null, priority = 0 } = {}) {
+        const listing = this.listFolder(path, { recursive, includeDeleted, limit, cursor, timeout, signal, priority });
+        const entries = await Array.fromAsync(listing);
+        return { entries: entries, cursor: listing.cursor, has_more: false };
+    }
+
     /**
      * @param {String} path Starts with `/`
      * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
      * @return {Promise<APIResult>}
      */
-    async downloadFile(path, timeout = null) {
-        await this.OAuth(timeout);
-        return this.#dbx.filesDownload({ path: path })
+    async downloadFile(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.downloadFile);
+        return this.#request( () => this.#dbx.filesDownload({ path: path }), { signal, priority } )
             .then( (response) => response.result )
-            .catch(catchCallback(`Error downloading file from ${path}.`))
+            .catch(DropboxCloud.#catchCallback(`Error downloading file from ${path}.`, path))
         ;
     }
 
     /**
-     * @param {File} file
+     * Downloads a folder as a zip archive, optionally extracted.
+     * Archive paths start with the folder's name, e.g. `project/src/main.js` for `/work/project/src/main.js`.
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.extract Extract the archive, resolving with its files instead.
+     * @param {FileSystemDirectoryHandle?} options.directory Extract the archive into this directory, e.g. from `showDirectoryPicker()`. Implies `extract`.
+     * @param {AbortSignal?} options.signal Cancels the download, while it's queued, in flight or being extracted.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<Blob|Map<String, Blob>>} The zip archive, or its files by archive path if extracted
+     * @throws {ZipLimitError} If the folder is over `ZIP_SIZE_LIMIT` or holds more than `ZIP_ENTRY_LIMIT` files and folders
+     */
+    async downloadFolder(path, timeout = null, { extract = false, directory = null, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.downloadFolder);
+        const zip = await this.#request( () => this.#dbx.filesDownloadZip({ path: path }), { signal, priority } )
+            .then( (response) => response.result.fileBlob )
+            .catch( (reason) => {
+                const tag = reason?.error?.error?.['.tag'];
+                const message = tag === 'too_large' ? `Folder ${path} is larger than the ${DropboxCloud.ZIP_SIZE_LIMIT / 1024 ** 3}GB a zip download allows.`
+                    : tag === 'too_many_files' ? `Folder ${path} holds more than the ${DropboxCloud.ZIP_ENTRY_LIMIT} files and folders a zip download allows.`
+                    : `Error downloading folder ${path} as a zip.`;
+                throw DropboxCloud.#toError(message, path, reason);
+            })
+        ;
+        if (!extract && !directory) {
+            return zip;
+        }
+        const files = await DropboxCloud.#extractZip(zip, signal)
+            .catch(DropboxCloud.#catchCallback(`Error extracting the zip archive of ${path}.`, path))
+        ;
+        if (directory) {
+            await DropboxCloud.#writeFiles(directory, files, signal)
+                .catch(DropboxCloud.#catchCallback(`Error writing the files of ${path} to ${directory.name}.`, path))
+            ;
+        }
+        return files;
+    }
+
+    /**
+     * @param {String} path Starts with `/`, an image
+     * @param {ThumbnailOptions} options Optional.
+     * @param {ThumbnailSize?} options.size Defaults to `w64h64`.
+     * @param {String?} options.format `jpeg`, `png` or `webp`. Defaults to `jpeg`.
+     * @param {String?} options.mode `strict` scales down to fit `size`, `bestfit` may crop to fill it, `fit_one_bestfit` fits one side. Defaults to `strict`.
+     * @param {Number?} options.timeout for OAuth, in seconds
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<Blob>} The thumbnail image
+     */
+    async getThumbnail(path, { size = 'w64h64', format = 'jpeg', mode = 'strict', timeout = null, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.getThumbnail);
+        const arg = { resource: { '.tag': 'path', path: path }, format: { '.tag': format }, size: { '.tag': size }, mode: { '.tag': mode } };
+        return this.#request( () => this.#dbx.filesGetThumbnailV2(arg), { signal, priority } )
+            .then( (response) => response.result.fileBlob )
+            .catch(DropboxCloud.#catchCallback(`Error fetching the thumbnail of ${path}.`, path))
+        ;
+    }
+
+    /**
+     * Fetches many thumbnails through batch requests, and keeps the last `THUMBNAIL_CACHE_SIZE` in memory.
+     * Pass metadata from `listFolder` rather than paths to reuse cached thumbnails: they are cached by `rev`.
+     * @param {Array<String|APIResult>} entries Paths starting with `/`, or file metadata
+     * @param {ThumbnailOptions} options Optional. Same as `getThumbnail`'s.
+     * @return {Promise<ThumbnailResult[]>} One result per entry, in order, with either its `thumbnail` or the `error` it failed with. A failed batch request sets the `error` of each of its entries.
+     */
+    async getThumbnails(entries, { size = 'w64h64', format = 'jpeg', mode = 'strict', timeout = null, signal = null, priority = 0 } = {}) {
+        const settings = `${size}/${format}/${mode}`;
+        /** @type {ThumbnailResult[]} */
+        const results = entries.map( (entry) => ({ path: typeof entry === 'string' ? entry : entry.path_display, thumbnail: null, error: null }) );
+        const missing = results.filter( (result, index) => {
+            const key = `${entries[index].rev}/${settings}`;
+            const cached = entries[index].rev ? this.#thumbnails.get(key) : undefined;
+            if (cached) {
+                result.thumbnail = cached;
+                this.#cacheThumbnail(key, cached);
+            }
+            return !cached;
+        });
+        if (missing.length === 0) {
+            return results;
+        }
+
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.getThumbnails);
+        const batches = [];
+        for (let start = 0; start < missing.length; start += DropboxCloud.THUMBNAIL_BATCH_SIZE) {
+            batches.push(missing.slice(start, start + DropboxCloud.THUMBNAIL_BATCH_SIZE));
+        }
+        await Promise.all(batches.map( async (batch) => {
+            const arg = { entries: batch.map( ({ path }) => ({ path: path, format: { '.tag': format }, size: { '.tag': size }, mode: { '.tag': mode } }) ) };
+            let response;
+            try {
+                response = await this.#request( () => this.#dbx.filesGetThumbnailBatch(arg), { signal, priority } )
+                    .catch(DropboxCloud.#catchCallback(`Error fetching ${batch.length} thumbnails.`))
+                ;
+            } catch (reason) {
+                if (reason?.name === 'AbortError') {
+                    throw reason;
+                }
+                // Other batches still get their thumbnails
+                batch.forEach( (result) => { result.error = reason; } );
+                return;
+            }
+            response.result.entries.forEach( (entry, index) => {
+                const result = batch[index];
+                if (entry['.tag'] === 'success') {
+                    // Batch thumbnails come base64 encoded
+                    const bytes = Uint8Array.from(atob(entry.thumbnail), (char) => char.charCodeAt(0));
+                    result.thumbnail = new Blob([ bytes ], { type: `image/${format}` });
+                    this.#cacheThumbnail(`${entry.metadata.rev}/${settings}`, result.thumbnail);
+                } else {
+                    result.error = DropboxCloud.#batchEntryError(`Error fetching the thumbnail of ${result.path}.`, result.path, entry.failure);
+                }
+            });
+        }));
+        return results;
+    }
+
+    /**
+     * Renders office documents for display: PDF for documents and presentations, HTML for spreadsheets.
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<Blob>} The preview, `application/pdf` or `text/html`
+     */
+    async getPreview(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.getPreview);
+        return this.#request( () => this.#dbx.filesGetPreview({ path: path }), { signal, priority } )
+            .then( (response) => response.result.fileBlob )
+            .catch(DropboxCloud.#catchCallback(`Error fetching the preview of ${path}.`, path))
+        ;
+    }
+
+    /**
+     * @param {File|ChunkSource} file
      * @param {String} dir Starts and ends with `/`
      * @param {Number?} timeout for OAuth, in seconds
-     * @return {Promise<APIResult>}
+     * @param {Object} options Optional.
+     * @param {ProgressCallback?} options.onProgress Called with the bytes sent so far after each chunk.
+     * @param {AbortSignal?} options.signal Cancels the upload, while it's queued, in flight or between chunks. An upload session stays open and can be resumed.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @param {UploadSession?} options.session An upload session reported by `onSession`, to resume an interrupted upload instead of starting over.
+     * @param {((session: UploadSession) => ignore)?} options.onSession Called with the upload session whenever its offset advances. Persist it to resume after a reload. Only applies to files uploaded through a session.
+     * @param {WriteMode?} options.mode What to do if the file already exists: `add` keeps it, `overwrite` replaces it, `update` replaces it only if it's still at `rev`. Defaults to `overwrite`.
+     * @param {String?} options.rev Revision the file is expected to be at, required for `update`.
+     * @param {Boolean?} options.autorename On conflict, save under a free name instead of raising a `ConflictError`.
+     * @param {Boolean?} options.strictConflict Conflict even if the remote file has the same contents. Dropbox otherwise treats such a write as a no-op, so it can't tell whether `rev` was still current.
+     * @param {Boolean?} options.skipUnchanged Compare `file`'s content hash with the remote file's first, and don't send it if they match. Also needs the `files.metadata.read` scope.
+     * @return {Promise<APIResult>} Metadata of the uploaded file, or of the remote file if the upload was skipped
+     * @throws {ConflictError} If `mode` is `add` or `update` and the file was changed elsewhere
      */
-    async uploadFile(file, dir = '/', timeout = null) {
-        await this.OAuth(timeout);
+    async uploadFile(file, dir = '/', timeout = null, { onProgress = null, signal = null, priority = 0, session = null, onSession = null, mode = 'overwrite', rev = null, autorename = false, strictConflict = false, skipUnchanged = false } = {}) {
+        if (mode === 'update' && !rev) {
+            throw new DropboxCloudError(`Uploading ${file.name} in update mode requires the expected rev.`);
+        }
+        const writeMode = mode === 'update' ? { '.tag': 'update', update: rev } : mode;
+
+        const scopes = DropboxCloud.REQUIRED_SCOPES.uploadFile;
+        await this.#authorize(timeout, signal, skipUnchanged ? [ ...scopes, ...DropboxCloud.REQUIRED_SCOPES.getMetadata ] : scopes);
         if (dir.at(0) != '/') {
-            dir += '/';
+            dir = '/' + dir;
         }
         if (dir.at(-1) != '/') {
             dir += '/';
         }
-        return (file.size < DropboxCloud.FILE_SIZE_LIMIT ? this.#uploadSmallFile : this.#uploadLargeFile)
-            .call(this, file, `${dir}${file.name}`)
+        const filepath = `${dir}${file.name}`;
+        if (skipUnchanged) {
+            const remote = await this.#getMetadata(filepath, { signal, priority })
+                .catch(DropboxCloud.#catchCallback(`Error fetching metadata of ${filepath}.`, filepath))
+            ;
+            if (remote?.['.tag'] === 'file' && remote.size === file.size && remote.content_hash === await DropboxCloud.contentHash(file)) {
+                onProgress?.({ loaded: file.size, total: file.size });
+                return remote;
+            }
+        }
+        const useSession = session || file.size >= DropboxCloud.FILE_SIZE_LIMIT;
+        return (useSession ? this.#uploadLargeFile : this.#uploadSmallFile)
+            .call(this, file, filepath, { writeMode, autorename, strictConflict, onProgress, signal, priority, session, onSession })
+            .then( (response) => response.result )
+            .catch( (reason) => this.#raiseConflict(reason, filepath) )
+            .catch(DropboxCloud.#catchCallback(`Error uploading file ${file.name}.`, `${dir}${file.name}`))
+        ;
+    }
+
+    /**
+     * Uploads many files, keeping their folder structure, and commits them together through upload session batches.
+     * Committing in batches avoids the namespace lock contention of many parallel commits.
+     * @param {UploadSource} files A `FileList`, e.g. from `<input type="file" webkitdirectory>`, `File`s, or dropped `FileSystemEntry`s or `FileSystemHandle`s, including whole folders.
+     * @param {String} dir Starts and ends with `/`. Each file goes to `dir` followed by its relative path, e.g. its `webkitRelativePath`.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {ProgressCallback?} options.onProgress Called with the bytes sent so far, across all files, after each chunk.
+     * @param {AbortSignal?} options.signal Cancels the whole upload, while it's queued, in flight or being committed.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @param {'add'|'overwrite'} options.mode What to do with files that already exist: `add` keeps them, `overwrite` replaces them. Defaults to `overwrite`.
+     * @param {Boolean?} options.autorename On conflict, save under a free name instead of failing that file.
+     * @return {Promise<UploadResult[]>} One result per file, with either the uploaded file's `metadata` or the `error` it failed with
+     */
+    async uploadFiles(files, dir = '/', timeout = null, { onProgress = null, signal = null, priority = 0, mode = 'overwrite', autorename = false } = {}) {
+        if (mode !== 'add' && mode !== 'overwrite') {
+            throw new DropboxCloudError(`Uploading many files supports the add and overwrite modes only, not "${mode}".`);
+        }
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.uploadFiles);
+        const folder = dir.replace(/^\/*/, '/').replace(/\/*$/, '/');
+        const collected = await DropboxCloud.#collectFiles(files)
+            .catch(DropboxCloud.#catchCallback(`Error reading the files to upload to ${folder}.`, folder))
+        ;
+        /** @type {UploadResult[]} */
+        const results = collected.map( ({ file, relativePath }) => ({ file: file, path: `${folder}${relativePath}`, metadata: null, error: null }) );
+
+        const total = results.reduce( (sum, { file }) => sum + file.size, 0 );
+        const loaded = results.map( () => 0 );
+        let loadedTotal = 0;
+        const cursors = await Promise.all(results.map( (result, index) => this.#uploadSessionContent(result.file, {
+            signal: signal,
+            priority: priority,
+            onProgress: (bytes) => {
+                loadedTotal += bytes - loaded[index];
+                loaded[index] = bytes;
+                onProgress?.({ loaded: loadedTotal, total: total });
+            },
+        }).catch( (reason) => {
+            if (signal?.aborted) {
+                throw reason;
+            }
+            result.error = DropboxCloud.#toError(`Error uploading file ${result.path}.`, result.path, reason);
+            return null;
+        }) ));
+
+        const sent = results.map( (result, index) => ({ result: result, cursor: cursors[index] }) ).filter( ({ cursor }) => cursor );
+        for (let start = 0; start < sent.length; start += DropboxCloud.UPLOAD_BATCH_SIZE) {
+            const batch = sent.slice(start, start + DropboxCloud.UPLOAD_BATCH_SIZE);
+            const entries = batch.map( ({ result, cursor }) => ({ cursor: cursor, commit: { path: result.path, mode: mode, autorename: autorename, mute: true } }) );
+            const idempotent = DropboxCloud.#isIdempotentCommit(mode, autorename, false);
+            const committed = await this.#request( () => this.#dbx.filesUploadSessionFinishBatch({ entries: entries }), { signal, priority, idempotent } )
+                .then( (response) => this.#awaitJob(response.result, (arg) => this.#dbx.filesUploadSessionFinishBatchCheck(arg), { signal, priority }) )
+                .catch(DropboxCloud.#catchCallback(`Error committing ${batch.length} uploaded files to ${folder}.`, folder))
+            ;
+            committed.forEach( ({ '.tag': tag, failure, ...metadata }, index) => {
+                const { result } = batch[index];
+                if (tag === 'success') {
+                    result.metadata = { '.tag': 'file', ...metadata };
+                } else {
+                    result.error = DropboxCloud.#batchEntryError(`Error committing file ${result.path}.`, result.path, failure);
+                }
+            });
+        }
+        return results;
+    }
+
+    /**
+     * @param {String} path Starts with `/`, the JSON file
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {JSONValidator?} options.validate Checks the parsed document, e.g. against a schema.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<any>} The parsed document
+     * @throws {InvalidDocumentError} If the file isn't valid JSON or `validate` rejects it
+     */
+    async readJSON(path, timeout = null, { validate = null, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.readJSON);
+        return this.#readJSON(path, timeout, { validate, signal, priority })
+            .then( ({ value }) => value )
+        ;
+    }
+
+    /**
+     * @param {String} path Starts with `/`, the JSON file
+     * @param {any} value Serialized with `JSON.stringify`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {String?} options.rev Revision the file is expected to be at. If given, the write fails with a `ConflictError` when the file was changed since.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the written file
+     * @throws {ConflictError} If `rev` is given and the file was changed elsewhere
+     */
+    async writeJSON(path, value, timeout = null, { rev = null, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.writeJSON);
+        return this.#writeJSON(path, value, timeout, { mode: rev ? 'update' : 'overwrite', rev, signal, priority });
+    }
+
+    /**
+     * Read-modify-write of a JSON document that is safe against concurrent writers.
+     * The document is written back only if it wasn't changed since it was read; otherwise it's read again and `mutator` applied again, up to `MAX_UPDATE_RETRIES` times.
+     * @param {String} path Starts with `/`, the JSON file. It's created if it doesn't exist.
+     * @param {(value: any) => any} mutator Given the current document, undefined if there's none yet, returns the new one. It may be async, may run several times, and may change the document in place and return nothing.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {JSONValidator?} options.validate Checks the current document, and the new one before it's written.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<any>} The document as written
+     * @throws {ConflictError} If other writers kept changing the document, beyond `MAX_UPDATE_RETRIES` retries
+     * @throws {InvalidDocumentError} If the current document isn't valid JSON, or `validate` rejects it or the new one
+     */
+    async updateJSON(path, mutator, timeout = null, { validate = null, signal = null, priority = 0 } = {}) {
+        // Before reading, rather than failing to write back
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.updateJSON);
+        for (let retry = 0; ; retry++) {
+            const { value, metadata } = await this.#readJSON(path, timeout, { validate, signal, priority })
+                .catch( (reason) => {
+                    if (reason instanceof NotFoundError) {
+                        return { value: undefined, metadata: null };
+                    }
+                    throw reason;
+                })
+            ;
+            const result = await mutator(value);
+            const updated = result === undefined ? value : result;
+            await DropboxCloud.#validateJSON(updated, validate, `The new document for ${path} was rejected by its validator.`, path);
+            try {
+                // add conflicts too, if another writer created the file in the meantime
+                await this.#writeJSON(path, updated, timeout, { mode: metadata ? 'update' : 'add', rev: metadata?.rev, signal, priority });
+                return updated;
+            } catch (reason) {
+                if (!(reason instanceof ConflictError) || retry >= DropboxCloud.MAX_UPDATE_RETRIES) {
+                    throw reason;
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the new folder
+     */
+    async createFolder(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.createFolder);
+        return this.#request( () => this.#dbx.filesCreateFolderV2({ path: path }), { signal, priority, idempotent: false } )
+            .then( (response) => response.result.metadata )
+            .catch(DropboxCloud.#catchCallback(`Error creating folder ${path}.`, path))
+        ;
+    }
+
+    /**
+     * @param {String} fromPath Starts with `/`
+     * @param {String} toPath Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.autorename Pick a free name instead of failing if `toPath` is taken.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the moved file or folder
+     */
+    async move(fromPath, toPath, timeout = null, { autorename = false, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.move);
+        return this.#request( () => this.#dbx.filesMoveV2({ from_path: fromPath, to_path: toPath, autorename: autorename }), { signal, priority, idempotent: false } )
+            .then( (response) => response.result.metadata )
+            .catch(DropboxCloud.#catchCallback(`Error moving ${fromPath} to ${toPath}.`, fromPath))
+        ;
+    }
+
+    /**
+     * @param {String} fromPath Starts with `/`
+     * @param {String} toPath Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.autorename Pick a free name instead of failing if `toPath` is taken.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the copy
+     */
+    async copy(fromPath, toPath, timeout = null, { autorename = false, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.copy);
+        return this.#request( () => this.#dbx.filesCopyV2({ from_path: fromPath, to_path: toPath, autorename: autorename }), { signal, priority, idempotent: false } )
+            .then( (response) => response.result.metadata )
+            .catch(DropboxCloud.#catchCallback(`Error copying ${fromPath} to ${toPath}.`, fromPath))
+        ;
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {String} name New name, without any `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.autorename Pick a free name instead of failing if `name` is taken.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the renamed file or folder
+     */
+    async rename(path, name, timeout = null, { autorename = false, signal = null, priority = 0 } = {}) {
+        if (!name || name.includes('/')) {
+            throw new DropboxCloudError(`Invalid name "${name}" to rename ${path} to.`, { tag: 'path/malformed_path', path: path });
+        }
+        return this.move(path, `${path.slice(0, path.lastIndexOf('/'))}/${name}`, timeout, { autorename, signal, priority });
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the deleted file or folder
+     */
+    async delete(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.delete);
+        return this.#request( () => this.#dbx.filesDeleteV2({ path: path }), { signal, priority, idempotent: false } )
+            .then( (response) => response.result.metadata )
+            .catch(DropboxCloud.#catchCallback(`Error deleting ${path}.`, path))
+        ;
+    }
+
+    /**
+     * @param {String} path Starts with `/`, may be a deleted file
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Number?} options.limit How many revisions to list, at most 100. Defaults to 10.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult[]>} Metadata of the file's revisions, newest first, each with its `rev`
+     */
+    async listRevisions(path, timeout = null, { limit = 10, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.listRevisions);
+        return this.#listRevisions(path, limit, { signal, priority })
+            .catch(DropboxCloud.#catchCallback(`Error listing revisions of ${path}.`, path))
+        ;
+    }
+
+    /**
+     * @param {String} path Starts with `/`, the file `rev` is a revision of
+     * @param {String} rev
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the revision, its contents in `fileBlob`, like `downloadFile`
+     */
+    async downloadRevision(path, rev, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.downloadRevision);
+        return this.#request( () => this.#dbx.filesDownload({ path: `rev:${rev}` }), { signal, priority } )
             .then( (response) => response.result )
-            .catch(catchCallback(`Error uploading file ${file}.`))
+            .catch(DropboxCloud.#catchCallback(`Error downloading revision ${rev} of ${path}.`, path))
+        ;
+    }
+
+    /**
+     * Makes a revision the file's current content again, as a new revision. Also brings back deleted files.
+     * @param {String} path Starts with `/`
+     * @param {String} rev
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the restored file
+     */
+    async restore(path, rev, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.restore);
+        return this.#request( () => this.#dbx.filesRestore({ path: path, rev: rev }), { signal, priority } )
+            .then( (response) => response.result )
+            .catch(DropboxCloud.#catchCallback(`Error restoring ${path} to revision ${rev}.`, path))
+        ;
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.recursive Also look in subfolders. Defaults to true.
+     * @param {AbortSignal?} options.signal Cancels the listing, while waiting for a page or between pages.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult[]>} Metadata of the deleted files and folders, which only have a name and path
+     */
+    async listDeleted(path, timeout = null, { recursive = true, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.listDeleted);
+        const listing = this.listFolder(path, { recursive, includeDeleted: true, timeout, signal, priority });
+        const deleted = [];
+        for await (const entry of listing) {
+            if (entry['.tag'] === 'deleted') {
+                deleted.push(entry);
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Restores a deleted file to its last revision.
+     * Folders have no revisions: undelete the files they contained, from `listDeleted`.
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the restored file
+     */
+    async undelete(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.undelete);
+        const [ latest ] = await this.#listRevisions(path, 1, { signal, priority })
+            .catch(DropboxCloud.#catchCallback(`Error finding the last revision of ${path}.`, path))
+        ;
+        if (!latest) {
+            throw new NotFoundError(`Error finding the last revision of ${path}: it has none.`, { tag: 'path/not_found', path: path });
+        }
+        return this.restore(path, latest.rev, timeout, { signal, priority });
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<String>} Direct download URL of the file, valid for 4 hours
+     */
+    async getTemporaryLink(path, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.getTemporaryLink);
+        return this.#request( () => this.#dbx.filesGetTemporaryLink({ path: path }), { signal, priority } )
+            .then( (response) => response.result.link )
+            .catch(DropboxCloud.#catchCallback(`Error getting a temporary link to ${path}.`, path))
+        ;
+    }
+
+    /**
+     * Creates a shared link to a file or folder, or returns the one it already has.
+     * An existing link is returned as it is, with its own settings.
+     * @param {String} path Starts with `/`
+     * @param {Object} options Optional.
+     * @param {LinkVisibility?} options.visibility Who can open the link. Defaults to `password` if a password is given, else to the account's default.
+     * @param {Date|String|Number|null} options.expires When the link stops working.
+     * @param {String?} options.password Required to open the link.
+     * @param {Boolean?} options.allowDownload Whether the link lets people download, not only view.
+     * @param {Number?} options.timeout for OAuth, in seconds
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult>} Metadata of the shared link, its address in `url`
+     */
+    async createSharedLink(path, { visibility = null, expires = null, password = null, allowDownload = null, timeout = null, signal = null, priority = 0 } = {}) {
+        const settings = {};
+        if (visibility || password) {
+            settings.requested_visibility = visibility ?? 'password';
+        }
+        if (password) {
+            settings.link_password = password;
+        }
+        if (expires) {
+            settings.expires = new Date(expires).toISOString().replace(/\.\d+Z$/, 'Z');
+        }
+        if (allowDownload !== null) {
+            settings.allow_download = allowDownload;
+        }
+
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.createSharedLink);
+        return this.#request( () => this.#dbx.sharingCreateSharedLinkWithSettings({ path: path, settings: settings }), { signal, priority, idempotent: false } )
+            .then( (response) => response.result )
+            .catch( async (reason) => {
+                const error = reason instanceof DropboxCloud.#SDK.DropboxResponseError ? reason.error?.error : null;
+                if (error?.['.tag'] !== 'shared_link_already_exists') {
+                    throw reason;
+                }
+                // The API doesn't always include the existing link
+                const existing = error.shared_link_already_exists?.metadata
+                    ?? (await this.#listSharedLinks(path, { signal, priority }))[0];
+                if (!existing) {
+                    throw reason;
+                }
+                return existing;
+            })
+            .catch(DropboxCloud.#catchCallback(`Error creating a shared link to ${path}.`, path))
+        ;
+    }
+
+    /**
+     * @param {String?} path Starts with `/`. Optional, lists every shared link of the user if null.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult[]>} Metadata of the shared links to `path`, not to the folders containing it
+     */
+    async listSharedLinks(path = null, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.listSharedLinks);
+        return this.#listSharedLinks(path, { signal, priority })
+            .catch(DropboxCloud.#catchCallback(`Error listing the shared links${path ? ` to ${path}` : ''}.`, path))
+        ;
+    }
+
+    /**
+     * @param {String} url A shared link's `url`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation, while it's queued or in flight.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<undefined>}
+     * @throws {NotFoundError} If there's no such shared link
+     */
+    async revokeSharedLink(url, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.revokeSharedLink);
+        return this.#request( () => this.#dbx.sharingRevokeSharedLink({ url: url }), { signal, priority, idempotent: false } )
+            .then( () => undefined )
+            .catch(DropboxCloud.#catchCallback(`Error revoking shared link ${url}.`))
+        ;
+    }
+
+    /**
+     * @param {RelocationPath[]} entries
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.autorename Pick free names instead of failing where a `to_path` is taken.
+     * @param {AbortSignal?} options.signal Cancels the batch, while it's queued, in flight or being polled.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult[]>} Per-entry results, in the order of `entries`
+     */
+    async moveBatch(entries, timeout = null, { autorename = false, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.moveBatch);
+        return this.#request( () => this.#dbx.filesMoveBatchV2({ entries: entries, autorename: autorename }), { signal, priority, idempotent: false } )
+            .then( (response) => this.#awaitJob(response.result, (arg) => this.#dbx.filesMoveBatchCheckV2(arg), { signal, priority }) )
+            .catch(DropboxCloud.#catchCallback(`Error moving ${entries.length} entries.`))
+        ;
+    }
+
+    /**
+     * @param {RelocationPath[]} entries
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.autorename Pick free names instead of failing where a `to_path` is taken.
+     * @param {AbortSignal?} options.signal Cancels the batch, while it's queued, in flight or being polled.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult[]>} Per-entry results, in the order of `entries`
+     */
+    async copyBatch(entries, timeout = null, { autorename = false, signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.copyBatch);
+        return this.#request( () => this.#dbx.filesCopyBatchV2({ entries: entries, autorename: autorename }), { signal, priority, idempotent: false } )
+            .then( (response) => this.#awaitJob(response.result, (arg) => this.#dbx.filesCopyBatchCheckV2(arg), { signal, priority }) )
+            .catch(DropboxCloud.#catchCallback(`Error copying ${entries.length} entries.`))
+        ;
+    }
+
+    /**
+     * @param {String[]} paths Each starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the batch, while it's queued, in flight or being polled.
+     * @param {Number?} options.priority Requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @return {Promise<APIResult[]>} Per-entry results, in the order of `paths`
+     */
+    async deleteBatch(paths, timeout = null, { signal = null, priority = 0 } = {}) {
+        await this.#authorize(timeout, signal, DropboxCloud.REQUIRED_SCOPES.deleteBatch);
+        return this.#request( () => this.#dbx.filesDeleteBatch({ entries: paths.map( (path) => ({ path: path }) ) }), { signal, priority, idempotent: false } )
+            .then( (response) => this.#awaitJob(response.result, (arg) => this.#dbx.filesDeleteBatchCheck(arg), { signal, priority }) )
+            .catch(DropboxCloud.#catchCallback(`Error deleting ${paths.length} entries.`))
         ;
     }
 }
+
+// As a module, the SDK is imported up front: `DropboxCloud.init()` is only needed to use another one, e.g. in Node.
+// If the import fails, e.g. offline or blocked by a CSP, the constructor throws with the reason.
+await DropboxCloud.init().catch( (reason) => null );
@@ -0,0 +1,1496 @@
+/** @typedef {any} ignore */
+/** @typedef {{ [key: String]: any }} APIResult */
+/** @typedef {{ status: Number, headers: { [key: String]: String }, result: APIResult }} FakeResponse */
+/** @typedef {{ metadata: APIResult, contents: Blob? }} FakeEntry */
+
+/**
+ * In-memory stand-in for the parts of the Dropbox js SDK that `DropboxCloud` uses.
+ * Every `Dropbox` created from a fake's `SDK` shares the same files, sessions and tokens,
+ * and failures are raised as `DropboxResponseError`s shaped like the real API's.
+ *
+ * ```js
+ * const fake = new DropboxFake();
+ * await DropboxCloud.init(fake.SDK);
+ * const cloud = new DropboxCloud('app-key', 'https://example.test/', null, { loadToken: () => fake.createRefreshToken(), saveToken: () => {} });
+ * ```
+ */
+class DropboxFake {
+    /** @const BLOCK_SIZE 4MB - Dropbox content_hash block size */
+    static BLOCK_SIZE = 4 * 1024 * 1024;
+    /** @property Access token lifetime in seconds */
+    static TOKEN_LIFETIME = 4 * 60 * 60;
+    /** @property Seconds before expiry at which the SDK considers an access token stale */
+    static TOKEN_EXPIRATION_BUFFER = 5 * 60;
+    /** @property Largest folder files/download_zip accepts, in bytes */
+    static ZIP_SIZE_LIMIT = 20 * 1024 * 1024 * 1024;
+    /** @property Most files and folders files/download_zip accepts */
+    static ZIP_ENTRY_LIMIT = 10000;
+    /** @property Seconds of `backoff` files/list_folder/longpoll asks for, null for none */
+    static LONGPOLL_BACKOFF = null;
+    /** @property Scopes granted when a test doesn't pick them: all those `DropboxCloud` uses */
+    static SCOPES = [ 'account_info.read', 'files.metadata.read', 'files.metadata.write', 'files.content.read', 'files.content.write', 'sharing.read', 'sharing.write' ];
+
+    /** Same shape as the SDK's `DropboxResponseError` */
+    static DropboxResponseError = class DropboxResponseError extends Error {
+        /**
+         * @param {Number} status HTTP status code
+         * @param {{ [key: String]: String }} headers
+         * @param {APIResult|String} error Parsed response body
+         */
+        constructor(status, headers, error) {
+            super(`Response failed with a ${status} code`);
+            this.name = 'DropboxResponseError';
+            this.status = status;
+            this.headers = headers;
+            this.error = error;
+        }
+    };
+
+    /** @type {Map<String, FakeEntry>} keyed by `path_lower` */
+    #entries = new Map();
+    /** @type {Map<String, APIResult>} deleted entries' metadata, keyed by `path_lower` */
+    #deleted = new Map();
+    /** @type {Map<String, FakeEntry>} every revision of every file, oldest first, keyed by `rev` */
+    #revisions = new Map();
+    /** @type {Map<String, { contents: Blob[], offset: Number, closed: Boolean }>} */
+    #sessions = new Map();
+    /** @type {Map<String, { checks: Number, result: APIResult }>} */
+    #jobs = new Map();
+    /** @type {Map<String, { seq: Number, path: String, recursive: Boolean, includeDeleted: Boolean, limit: Number, pending: APIResult[] }>} */
+    #cursors = new Map();
+    /** @type {Map<String, { pending: APIResult[], limit: Number }>} */
+    #searchCursors = new Map();
+    /** @type {Map<String, APIResult>} shared links' metadata, keyed by url */
+    #links = new Map();
+    /** @type {Array<{ seq: Number, path_lower: String }>} */
+    #journal = [];
+    /** @type {Set<() => ignore>} Longpolls to wake up on the next change */
+    #longpolls = new Set();
+    /** @type {Map<String, { scopes: String[], accountId: String }>} refresh token to its granted scopes and account */
+    #refreshTokens = new Map();
+    /** @type {Map<String, { expiresAt: Number, refreshToken: String?, scopes: String[], accountId: String }>} */
+    #accessTokens = new Map();
+    /** @type {Map<String, { challenge: String?, scopes: String[], accountId: String }>} authorization code to PKCE code challenge, granted scopes and account */
+    #codes = new Map();
+    /** @type {Array<{ route: String, status: Number, error: APIResult|String, headers: Object }>} */
+    #faults = [];
+    /** @type {Number} */
+    #seq = 0;
+    /** @type {Number} */
+    #idCounter = 0;
+    /** @type {Number} */
+    #pageSize;
+    /** @type {String} */
+    #accountId;
+    /** @type {Boolean} */
+    #teamSpace;
+    /** @type {{ Dropbox: Function, DropboxResponseError: Function }?} */
+    #SDK = null;
+
+    /**
+     * @param {APIResult} error
+     * @returns {DropboxResponseError} 409 endpoint-specific error
+     */
+    static #routeError(error) {
+        const summarize = (value) => {
+            if (value && typeof value === 'object' && '.tag' in value) {
+                const tag = value['.tag'];
+                return `${tag}/${summarize(value[tag] ?? value.reason ?? null)}`;
+            }
+            return '';
+        };
+        return new DropboxFake.DropboxResponseError(409, {}, { error_summary: `${summarize(error)}...`, error: error });
+    }
+    /**
+     * @param {String} route
+     * @param {String} message
+     * @returns {DropboxResponseError} 400 bad input error, with a plain text body like the real API
+     */
+    static #badInput(route, message) {
+        return new DropboxFake.DropboxResponseError(400, {}, `Error in call to API function "${route}": ${message}`);
+    }
+    /** @returns {DropboxResponseError} 401 error */
+    static #authError(tag) {
+        return new DropboxFake.DropboxResponseError(401, {}, { error_summary: `${tag}/...`, error: { '.tag': tag } });
+    }
+    /**
+     * @param {String} error OAuth error code
+     * @param {String} description
+     * @returns {DropboxResponseError} 400 OAuth endpoint error
+     */
+    static #oauthError(error, description) {
+        return new DropboxFake.DropboxResponseError(400, {}, { error: error, error_description: description });
+    }
+
+    /**
+     * @param {String} route
+     * @returns {String?} Scope an access token needs for `route`, null if any token will do
+     */
+    static #requiredScope(route) {
+        if (/^sharing\/list_/.test(route)) {
+            return 'sharing.read';
+        } else if (route.startsWith('sharing/')) {
+            return 'sharing.write';
+        } else if (/^files\/(list_|get_metadata|search)/.test(route)) {
+            return 'files.metadata.read';
+        } else if (/^files\/(download|get_)/.test(route)) {
+            return 'files.content.read';
+        } else if (route.startsWith('files/')) {
+            return 'files.content.write';
+        }
+        return null;
+    }
+    /**
+     * @param {Blob} blob
+     * @returns {Promise<String>} Dropbox content_hash, hex encoded
+     */
+    static async #contentHash(blob) {
+        const blockHashes = [];
+        for (let offset = 0; offset < blob.size; offset += DropboxFake.BLOCK_SIZE) {
+            const block = await blob.slice(offset, offset + DropboxFake.BLOCK_SIZE).arrayBuffer();
+            blockHashes.push(new Uint8Array(await crypto.subtle.digest('SHA-256', block)));
+        }
+        const joined = new Uint8Array(blockHashes.length * 32);
+        blockHashes.forEach( (hash, idx) => joined.set(hash, idx * 32) );
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', joined));
+        return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {APIResult} metadata
+     * @returns {String} The search file category of the entry, guessed from its extension
+     */
+    static #fileCategory(metadata) {
+        if (metadata['.tag'] === 'folder') {
+            return 'folder';
+        }
+        const extension = metadata.name.includes('.') ? metadata.name.slice(metadata.name.lastIndexOf('.') + 1).toLowerCase() : '';
+        const categories = {
+            image: [ 'jpg', 'jpeg', 'png', 'gif', 'bmp', 'tif', 'tiff', 'webp', 'heic', 'svg' ],
+            document: [ 'doc', 'docx', 'odt', 'rtf', 'txt', 'md' ],
+            pdf: [ 'pdf' ],
+            spreadsheet: [ 'xls', 'xlsx', 'ods', 'csv' ],
+            presentation: [ 'ppt', 'pptx', 'odp', 'key' ],
+            audio: [ 'mp3', 'wav', 'flac', 'aac', 'ogg', 'm4a' ],
+            video: [ 'mp4', 'mov', 'avi', 'mkv', 'webm' ],
+            paper: [ 'paper' ],
+        };
+        return Object.keys(categories).find( (category) => categories[category].includes(extension) ) ?? 'others';
+    }
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {Number} CRC-32 of `bytes`, as zip archives store it
+     */
+    static #crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    /**
+     * @param {Number} size
+     * @param {Array<[ offset: Number, width: 2|4, value: Number ]>} fields Little-endian integers
+     * @returns {Uint8Array} A zip record
+     */
+    static #zipRecord(size, fields) {
+        const view = new DataView(new ArrayBuffer(size));
+        for (const [ offset, width, value ] of fields) {
+            if (width === 2) {
+                view.setUint16(offset, value, true);
+            } else {
+                view.setUint32(offset, value, true);
+            }
+        }
+        return new Uint8Array(view.buffer);
+    }
+    /**
+     * @param {Array<{ name: String, contents: Blob? }>} entries Folder names end with `/` and have no contents
+     * @returns {Promise<Blob>} Zip archive of `entries`, with files deflated
+     */
+    static async #zip(entries) {
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+        for (const { name, contents } of entries) {
+            const nameBytes = new TextEncoder().encode(name);
+            const raw = new Uint8Array(await (contents ?? new Blob()).arrayBuffer());
+            const method = contents ? 8 : 0;
+            const data = contents ? new Uint8Array(await new Response(contents.stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer()) : raw;
+            const crc = DropboxFake.#crc32(raw);
+            // Version 2.0, UTF-8 names, DOS date 1980-01-01
+            const common = [ [ 0x08, 2, 0x0800 ], [ 0x0A, 2, method ], [ 0x0E, 2, 0x21 ], [ 0x10, 4, crc ], [ 0x14, 4, data.length ], [ 0x18, 4, raw.length ], [ 0x1C, 2, nameBytes.length ] ];
+            const local = DropboxFake.#zipRecord(30, [ [ 0, 4, 0x04034b50 ], [ 4, 2, 20 ], ...common.map( ([ at, width, value ]) => [ at - 2, width, value ] ) ]);
+            const central = DropboxFake.#zipRecord(46, [ [ 0, 4, 0x02014b50 ], [ 4, 2, 20 ], [ 6, 2, 20 ], ...common, [ 38, 4, contents ? 0 : 0x10 ], [ 42, 4, offset ] ]);
+            parts.push(local, nameBytes, data);
+            directory.push(central, nameBytes);
+            offset += local.length + nameBytes.length + data.length;
+        }
+        const directorySize = directory.reduce( (sum, part) => sum + part.length, 0 );
+        const end = DropboxFake.#zipRecord(22, [ [ 0, 4, 0x06054b50 ], [ 8, 2, entries.length ], [ 10, 2, entries.length ], [ 12, 4, directorySize ], [ 16, 4, offset ] ]);
+        return new Blob([ ...parts, ...directory, end ], { type: 'application/zip' });
+    }
+
+    /**
+     * @param {String} route
+     * @param {String} path
+     * @param {Boolean} allowRoot Whether `''` is accepted as the root folder
+     * @returns {String} path, validated
+     */
+    static #checkPath(route, path, allowRoot = false) {
+        if (path === '' && allowRoot) {
+            return path;
+        }
+        if (path === '/') {
+            throw DropboxFake.#badInput(route, 'request body: path: Specify the root folder as an empty string rather than as "/".');
+        }
+        if (typeof path !== 'string' || !/^(\/(.|[\r\n])*|id:.*|(ns:[0-9]+(\/.*)?))$/.test(path)) {
+            throw DropboxFake.#badInput(route, `request body: path: '${path}' did not match pattern '(/(.|[\\r\\n])*)|(ns:[0-9]+(/.*)?)|(id:.*)'`);
+        }
+        return path.replace(/\/+$/, '');
+    }
+    /**
+     * @param {String} path
+     * @returns {String} Parent folder of `path`, `''` for root
+     */
+    static #parentOf(path) {
+        return path.slice(0, path.lastIndexOf('/'));
+    }
+
+    /**
+     * @param {Object} options
+     * @param {Number} options.pageSize Optional. Default number of entries per `filesListFolder` page.
+     * @param {String} options.accountId Optional. Account id reported by the fake's tokens, unless they're created for another.
+     * @param {Boolean} options.teamSpace Optional. Accounts are in a team space, whose root namespace differs from their home. Every namespace shares the same files.
+     */
+    constructor({ pageSize = 500, accountId = 'dbid:AAfakeaccount', teamSpace = false } = {}) {
+        this.#pageSize = pageSize;
+        this.#accountId = accountId;
+        this.#teamSpace = teamSpace;
+    }
+
+    /** @returns {{ Dropbox: Function, DropboxResponseError: Function }} To be passed to `DropboxCloud.init` */
+    get SDK() {
+        if (!this.#SDK) {
+            const backend = this;
+            this.#SDK = {
+                Dropbox: class Dropbox extends DropboxFake.#Client {
+                    /** @param {{ clientId: String }} options */
+                    constructor(options = {}) { super(backend, options); }
+                },
+                DropboxResponseError: DropboxFake.DropboxResponseError,
+            };
+        }
+        return this.#SDK;
+    }
+
+    //////////////////
+    // TEST HELPERS //
+    //////////////////
+
+    /**
+     * @param {String[]} scopes Optional. Scopes its access tokens get.
+     * @param {String?} accountId Optional. Account its access tokens are for, defaults to the fake's.
+     * @returns {String} A refresh token the fake accepts
+     */
+    createRefreshToken(scopes = DropboxFake.SCOPES, accountId = null) {
+        const token = `fake-refresh-${crypto.randomUUID()}`;
+        this.#refreshTokens.set(token, { scopes: [ ...scopes ], accountId: accountId ?? this.#accountId });
+        return token;
+    }
+    /**
+     * Simulates the user approving the app on Dropbox's authorization page
+     * @param {String?} codeChallenge Optional. PKCE challenge the code is bound to.
+     * @param {String[]} scopes Optional. Scopes the user granted, including any granted before for incremental authorization.
+     * @param {String?} accountId Optional. Account the user logged in with, defaults to the fake's.
+     * @returns {String} An authorization code for `getAccessTokenFromCode`
+     */
+    createAuthorizationCode(codeChallenge = null, scopes = DropboxFake.SCOPES, accountId = null) {
+        const code = `fake-code-${crypto.randomUUID()}`;
+        this.#codes.set(code, { challenge: codeChallenge, scopes: [ ...scopes ], accountId: accountId ?? this.#accountId });
+        return code;
+    }
+    /** Invalidates every token the fake has issued, as if the user unlinked the app */
+    revokeAllTokens() {
+        this.#refreshTokens.clear();
+        this.#accessTokens.clear();
+    }
+    /**
+     * Makes the next call to `route` fail
+     * @param {String} route e.g. `files/upload_session/append_v2`
+     * @param {Number} status HTTP status code
+     * @param {APIResult|String} error Response body
+     * @param {{ [key: String]: String }} headers Optional.
+     */
+    injectError(route, status, error, headers = {}) {
+        this.#faults.push({ route, status, error, headers });
+    }
+    /**
+     * Writes a file directly, bypassing auth and write modes
+     * @param {String} path Starts with `/`
+     * @param {Blob|String} contents
+     * @returns {Promise<APIResult>} File metadata
+     */
+    async putFile(path, contents) {
+        return this.#writeFile(path, contents instanceof Blob ? contents : new Blob([contents]), 'overwrite', false);
+    }
+    /**
+     * @param {String} path Starts with `/`
+     * @returns {Promise<Blob?>} Contents of the file, null if it doesn't exist
+     */
+    async getFile(path) {
+        return this.#entries.get(path.toLowerCase())?.contents ?? null;
+    }
+    /** @returns {APIResult[]} Metadata for every stored file and folder */
+    listAll() {
+        return Array.from(this.#entries.values(), (entry) => structuredClone(entry.metadata));
+    }
+
+    //////////////
+    // INTERNAL //
+    //////////////
+
+    /**
+     * @param {String} route
+     * @param {String?} accessToken null for routes that don't require auth
+     */
+    #precheck(route, accessToken) {
+        const faultIdx = this.#faults.findIndex( (fault) => fault.route === route );
+        if (faultIdx !== -1) {
+            const [ fault ] = this.#faults.splice(faultIdx, 1);
+            throw new DropboxFake.DropboxResponseError(fault.status, fault.headers, fault.error);
+        }
+        if (accessToken !== null) {
+            const expiresAt = this.#accessTokens.get(accessToken)?.expiresAt;
+            if (expiresAt === undefined) {
+                throw DropboxFake.#authError('invalid_access_token');
+            }
+            if (expiresAt <= Date.now()) {
+                throw DropboxFake.#authError('expired_access_token');
+            }
+            const required = DropboxFake.#requiredScope(route);
+            if (required && !this.#accessTokens.get(accessToken).scopes.includes(required)) {
+                throw new DropboxFake.DropboxResponseError(401, {}, {
+                    error_summary: 'missing_scope/...',
+                    error: { '.tag': 'missing_scope', required_scope: required },
+                });
+            }
+        }
+    }
+    /**
+     * @param {String?} refreshToken The access token is revoked along with it
+     * @param {{ scopes: String[], accountId: String }} grant
+     * @returns {APIResult} Token info, as returned by the token endpoint
+     */
+    #issueAccessToken(refreshToken, { scopes, accountId }) {
+        const token = `fake-access-${crypto.randomUUID()}`;
+        this.#accessTokens.set(token, { expiresAt: Date.now() + DropboxFake.TOKEN_LIFETIME * 1000, refreshToken, scopes, accountId });
+        return {
+            access_token: token,
+            token_type: 'bearer',
+            expires_in: DropboxFake.TOKEN_LIFETIME,
+            account_id: accountId,
+            uid: accountId.replace(/\D/g, '') || '1',
+            scope: scopes.join(' '),
+        };
+    }
+    /** @returns {APIResult} `root_info` of the fake's accounts */
+    #rootInfo() {
+        return this.#teamSpace
+            ? { '.tag': 'team', root_namespace_id: '1000', home_namespace_id: '2000', home_path: '/Fake User' }
+            : { '.tag': 'user', root_namespace_id: '2000', home_namespace_id: '2000' }
+        ;
+    }
+    /**
+     * @param {String} path_lower
+     * @param {Number} seq Optional. Sequence number already taken for the change, e.g. as the new rev.
+     */
+    #record(path_lower, seq = ++this.#seq) {
+        this.#journal.push({ seq: seq, path_lower: path_lower });
+        for (const wake of this.#longpolls) {
+            wake();
+        }
+    }
+    /**
+     * Creates missing parent folders of `path`
+     * @param {String} route
+     * @param {String} path
+     */
+    #ensureParents(route, path) {
+        const parent = DropboxFake.#parentOf(path);
+        if (parent === '') {
+            return;
+        }
+        const existing = this.#entries.get(parent.toLowerCase());
+        if (existing?.metadata['.tag'] === 'file') {
+            throw DropboxFake.#routeError({ '.tag': 'path', reason: { '.tag': 'conflict', conflict: { '.tag': 'file_ancestor' } } });
+        }
+        if (!existing) {
+            this.#ensureParents(route, parent);
+            const metadata = {
+                '.tag': 'folder',
+                name: parent.slice(parent.lastIndexOf('/') + 1),
+                id: `id:fake${++this.#idCounter}`,
+                path_lower: parent.toLowerCase(),
+                path_display: parent,
+            };
+            this.#entries.set(metadata.path_lower, { metadata: metadata, contents: null });
+            this.#deleted.delete(metadata.path_lower);
+            this.#record(metadata.path_lower);
+        }
+    }
+    /**
+     * @param {String} path
+     * @returns {String} `path` with ` (n)` inserted before the extension, not taken by any entry
+     */
+    #autorename(path) {
+        const parent = DropboxFake.#parentOf(path);
+        const name = path.slice(parent.length + 1);
+        const dot = name.lastIndexOf('.');
+        const [ stem, ext ] = dot > 0 ? [ name.slice(0, dot), name.slice(dot) ] : [ name, '' ];
+        for (let n = 1; ; n++) {
+            const candidate = `${parent}/${stem} (${n})${ext}`;
+            if (!this.#entries.has(candidate.toLowerCase())) {
+                return candidate;
+            }
+        }
+    }
+    /**
+     * @param {String} path Validated, starts with `/`
+     * @param {Blob} contents
+     * @param {String|{ '.tag': String, update: String }} mode
+     * @param {Boolean} autorename
+     * @param {String} route
+     * @param {Boolean} strictConflict Writing identical contents conflicts too, instead of being a no-op
+     * @returns {Promise<APIResult>} File metadata
+     */
+    async #writeFile(path, contents, mode, autorename, route = 'files/upload', strictConflict = false) {
+        const tag = typeof mode === 'string' ? mode : mode?.['.tag'] ?? 'add';
+        // files/upload wraps the write error in an UploadWriteFailed, the upload session routes don't
+        const field = route === 'files/upload' ? 'reason' : 'path';
+        const conflict = (kind) => DropboxFake.#routeError({ '.tag': 'path', [field]: { '.tag': 'conflict', conflict: { '.tag': kind } } });
+
+        const content_hash = await DropboxFake.#contentHash(contents);
+        const existing = this.#entries.get(path.toLowerCase());
+        if (existing?.metadata['.tag'] === 'folder') {
+            if (!autorename) { throw conflict('folder'); }
+            path = this.#autorename(path);
+        } else if (existing) {
+            if (!strictConflict && existing.metadata.content_hash === content_hash && (tag !== 'update' || existing.metadata.rev === mode.update)) {
+                return structuredClone(existing.metadata);
+            }
+            if (tag === 'add' || (tag === 'update' && existing.metadata.rev !== mode.update)) {
+                if (!autorename) { throw conflict('file'); }
+                path = this.#autorename(path);
+            }
+        } else if (tag === 'update') {
+            if (!autorename) { throw conflict('file'); }
+        }
+
+        this.#ensureParents(route, path);
+        const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const previous = this.#entries.get(path.toLowerCase());
+        const metadata = {
+            '.tag': 'file',
+            name: path.slice(path.lastIndexOf('/') + 1),
+            id: previous?.metadata.id ?? `id:fake${++this.#idCounter}`,
+            path_lower: path.toLowerCase(),
+            path_display: path,
+            client_modified: now,
+            server_modified: now,
+            rev: (++this.#seq).toString(16).padStart(12, '0'),
+            size: contents.size,
+            is_downloadable: true,
+            content_hash: content_hash,
+        };
+        this.#entries.set(metadata.path_lower, { metadata: metadata, contents: contents });
+        this.#revisions.set(metadata.rev, { metadata: metadata, contents: contents });
+        this.#deleted.delete(metadata.path_lower);
+        this.#record(metadata.path_lower, this.#seq);
+        return structuredClone(metadata);
+    }
+    /**
+     * @param {String} path `''` for root, else starts with `/`
+     * @param {Boolean} recursive
+     * @param {Boolean} includeDeleted
+     * @returns {APIResult[]} Metadata of the entries under `path`, sorted by path
+     */
+    #entriesUnder(path, recursive, includeDeleted = false) {
+        const prefix = `${path.toLowerCase()}/`;
+        const deleted = includeDeleted ? Array.from(this.#deleted.values()) : [];
+        return Array.from(this.#entries.values())
+            .map( (entry) => entry.metadata )
+            .concat(deleted)
+            .filter( (metadata) => metadata.path_lower.startsWith(prefix) )
+            .filter( (metadata) => recursive || !metadata.path_lower.slice(prefix.length).includes('/') )
+            .sort( (a, b) => a.path_lower.localeCompare(b.path_lower) )
+            .map( (metadata) => structuredClone(metadata) )
+        ;
+    }
+    /**
+     * @param {{ seq: Number, path: String, recursive: Boolean }} state
+     * @returns {APIResult[]} Current metadata of entries changed since `state.seq`, deleted entries as `deleted`
+     */
+    #changesSince(state) {
+        const prefix = `${state.path.toLowerCase()}/`;
+        const changed = new Set(this.#journal
+            .filter( (change) => change.seq > state.seq && change.path_lower.startsWith(prefix) )
+            .filter( (change) => state.recursive || !change.path_lower.slice(prefix.length).includes('/') )
+            .map( (change) => change.path_lower )
+        );
+        return Array.from(changed).sort().map( (path_lower) => {
+            const entry = this.#entries.get(path_lower);
+            if (entry) {
+                return structuredClone(entry.metadata);
+            }
+            return structuredClone(this.#deleted.get(path_lower));
+        });
+    }
+    /**
+     * @param {{ seq: Number, path: String, recursive: Boolean, includeDeleted: Boolean, limit: Number, pending: APIResult[] }} state
+     * @returns {APIResult} A list folder page, consuming `state.pending`
+     */
+    #listPage(state) {
+        const entries = state.pending.slice(0, state.limit);
+        const next = { ...state, pending: state.pending.slice(state.limit) };
+        const cursor = `fake-cursor-${crypto.randomUUID()}`;
+        this.#cursors.set(cursor, next);
+        return { entries: entries, cursor: cursor, has_more: next.pending.length > 0 };
+    }
+
+    /**
+     * @param {String} path Validated
+     * @returns {FakeEntry[]} The entry at `path` followed by its descendants
+     */
+    #subtree(path) {
+        const path_lower = path.toLowerCase();
+        return Array.from(this.#entries.values())
+            .filter( (entry) => entry.metadata.path_lower === path_lower || entry.metadata.path_lower.startsWith(`${path_lower}/`) )
+            .sort( (a, b) => a.metadata.path_lower.length - b.metadata.path_lower.length )
+        ;
+    }
+    /**
+     * @param {String} path Validated
+     * @param {String} tag Error tag for a missing `path`
+     * @returns {APIResult} Metadata of the deleted entry
+     */
+    #delete(path, tag = 'path_lookup') {
+        const subtree = this.#subtree(path);
+        if (subtree.length === 0) {
+            throw DropboxFake.#routeError({ '.tag': tag, [tag]: { '.tag': 'not_found' } });
+        }
+        for (const { metadata } of subtree) {
+            this.#entries.delete(metadata.path_lower);
+            this.#deleted.set(metadata.path_lower, {
+                '.tag': 'deleted',
+                name: metadata.name,
+                path_lower: metadata.path_lower,
+                path_display: metadata.path_display,
+            });
+            this.#record(metadata.path_lower);
+        }
+        return structuredClone(subtree[0].metadata);
+    }
+    /**
+     * Moves or copies `fromPath` with everything under it
+     * @param {String} fromPath Validated
+     * @param {String} toPath Validated
+     * @param {Boolean} autorename
+     * @param {Boolean} copy Keep the source
+     * @returns {APIResult} Metadata of the entry at its destination
+     */
+    #relocate(fromPath, toPath, autorename, copy) {
+        const relocationError = (tag, error) => DropboxFake.#routeError({ '.tag': tag, ...(error && { [tag]: error }) });
+
+        const subtree = this.#subtree(fromPath);
+        if (subtree.length === 0) {
+            throw relocationError('from_lookup', { '.tag': 'not_found' });
+        }
+        const from_lower = subtree[0].metadata.path_lower;
+        const sameEntry = from_lower === toPath.toLowerCase();
+        if (!sameEntry && toPath.toLowerCase().startsWith(`${from_lower}/`)) {
+            throw relocationError('cant_move_folder_into_itself');
+        }
+        if (sameEntry && copy) {
+            throw relocationError('to', { '.tag': 'conflict', conflict: { '.tag': subtree[0].metadata['.tag'] } });
+        }
+        if (!sameEntry && this.#entries.has(toPath.toLowerCase())) {
+            if (!autorename) {
+                throw relocationError('to', { '.tag': 'conflict', conflict: { '.tag': this.#entries.get(toPath.toLowerCase()).metadata['.tag'] } });
+            }
+            toPath = this.#autorename(toPath);
+        }
+        this.#ensureParents('files/move_v2', toPath);
+
+        for (const entry of subtree) {
+            const path_display = toPath + entry.metadata.path_display.slice(fromPath.length);
+            const metadata = {
+                ...structuredClone(entry.metadata),
+                name: path_display.slice(path_display.lastIndexOf('/') + 1),
+                path_lower: path_display.toLowerCase(),
+                path_display: path_display,
+            };
+            if (copy) {
+                metadata.id = `id:fake${++this.#idCounter}`;
+                if (metadata['.tag'] === 'file') {
+                    metadata.rev = (++this.#seq).toString(16).padStart(12, '0');
+                }
+            } else {
+                this.#entries.delete(entry.metadata.path_lower);
+                this.#deleted.set(entry.metadata.path_lower, {
+                    '.tag': 'deleted',
+                    name: entry.metadata.name,
+                    path_lower: entry.metadata.path_lower,
+                    path_display: entry.metadata.path_display,
+                });
+                this.#record(entry.metadata.path_lower);
+            }
+            this.#entries.set(metadata.path_lower, { metadata: metadata, contents: entry.contents });
+            if (metadata['.tag'] === 'file') {
+                // A moved file keeps its rev, which now belongs to the new path
+                this.#revisions.delete(metadata.rev);
+                this.#revisions.set(metadata.rev, { metadata: metadata, contents: entry.contents });
+            }
+            this.#deleted.delete(metadata.path_lower);
+            this.#record(metadata.path_lower);
+        }
+        return structuredClone(this.#entries.get(toPath.toLowerCase()).metadata);
+    }
+    /**
+     * @param {String} route
+     * @param {String} path
+     * @param {String} format e.g. `jpeg`
+     * @param {String} size e.g. `w64h64`
+     * @returns {{ metadata: APIResult, thumbnail: Uint8Array }} The image's metadata and a stand-in for its thumbnail
+     */
+    #thumbnail(route, path, format, size) {
+        const entry = this.#entries.get(DropboxFake.#checkPath(route, path).toLowerCase());
+        if (!entry) {
+            throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+        }
+        if (entry.metadata['.tag'] !== 'file' || DropboxFake.#fileCategory(entry.metadata) !== 'image') {
+            throw DropboxFake.#routeError({ '.tag': 'unsupported_extension' });
+        }
+        if (entry.metadata.size > 20 * 1024 * 1024) {
+            throw DropboxFake.#routeError({ '.tag': 'unsupported_image' });
+        }
+        const thumbnail = new TextEncoder().encode(`fake ${format} ${size} thumbnail of ${entry.metadata.rev}`);
+        return { metadata: structuredClone(entry.metadata), thumbnail: thumbnail };
+    }
+    /**
+     * @param {APIResult[]} pending Matches not returned yet
+     * @param {Number} limit
+     * @returns {APIResult} A search page, with a cursor for the rest
+     */
+    #searchPage(pending, limit) {
+        const cursor = `fake-search-${crypto.randomUUID()}`;
+        this.#searchCursors.set(cursor, { pending: pending.slice(limit), limit: limit });
+        return { matches: pending.slice(0, limit), has_more: pending.length > limit, cursor: cursor };
+    }
+    /**
+     * @param {APIResult} metadata Of the shared file or folder
+     * @param {APIResult} settings `SharedLinkSettings`
+     * @returns {APIResult} Metadata of a new shared link
+     */
+    #createLink(metadata, settings) {
+        const visibility = settings.requested_visibility ?? (settings.link_password ? 'password' : 'public');
+        const link = {
+            '.tag': metadata['.tag'],
+            url: `https://fake.dropbox.test/s/${crypto.randomUUID()}/${encodeURIComponent(metadata.name)}?dl=0`,
+            id: metadata.id,
+            name: metadata.name,
+            path_lower: metadata.path_lower,
+            link_permissions: {
+                can_revoke: true,
+                resolved_visibility: { '.tag': visibility },
+                requested_visibility: { '.tag': visibility },
+                allow_download: settings.allow_download ?? true,
+            },
+        };
+        if (settings.expires) {
+            link.expires = settings.expires;
+        }
+        if (metadata['.tag'] === 'file') {
+            Object.assign(link, { rev: metadata.rev, size: metadata.size, client_modified: metadata.client_modified, server_modified: metadata.server_modified });
+        }
+        this.#links.set(link.url, link);
+        return structuredClone(link);
+    }
+
+    /**
+     * Runs every operation now, in order, but reports the job as in progress on its first check
+     * @param {Array<() => Promise<APIResult>|APIResult>} operations
+     * @param {(result: APIResult) => APIResult} success Wraps a successful operation's result as a batch entry
+     * @param {(error: APIResult) => APIResult} failure Wraps a failed operation's error as a batch entry's `failure`
+     * @returns {Promise<APIResult>} `async_job_id` launch result
+     */
+    async #launchJob(operations, success, failure = (error) => error) {
+        const entries = [];
+        for (const operation of operations) {
+            try {
+                entries.push({ '.tag': 'success', ...success(await operation()) });
+            } catch (reason) {
+                if (reason instanceof DropboxFake.DropboxResponseError && reason.status === 409) {
+                    entries.push({ '.tag': 'failure', failure: failure(reason.error.error) });
+                } else {
+                    throw reason;
+                }
+            }
+        }
+        const async_job_id = `fake-job-${crypto.randomUUID()}`;
+        this.#jobs.set(async_job_id, { checks: 0, result: { '.tag': 'complete', entries: entries } });
+        return { '.tag': 'async_job_id', async_job_id: async_job_id };
+    }
+    /**
+     * @param {String} async_job_id
+     * @returns {APIResult} Job status
+     */
+    #checkJob(async_job_id) {
+        const job = this.#jobs.get(async_job_id);
+        if (!job) {
+            throw DropboxFake.#routeError({ '.tag': 'invalid_async_job_id' });
+        }
+        return job.checks++ === 0 ? { '.tag': 'in_progress' } : structuredClone(job.result);
+    }
+    /**
+     * @param {String} route
+     * @param {{ session_id: String, offset: Number }} cursor
+     * @param {{ path: String, mode: String|Object, autorename: Boolean }} commit
+     * @param {Blob?} contents
+     * @param {Boolean} mustBeClosed Batch commits only take sessions closed by their last append
+     * @returns {Promise<APIResult>} File metadata
+     */
+    async #finishSession(route, cursor, commit, contents, mustBeClosed) {
+        const session = this.#sessions.get(cursor.session_id);
+        if (!session) {
+            throw DropboxFake.#routeError({ '.tag': 'lookup_failed', lookup_failed: { '.tag': 'not_found' } });
+        }
+        if (session.offset !== cursor.offset) {
+            throw DropboxFake.#routeError({ '.tag': 'lookup_failed', lookup_failed: { '.tag': 'incorrect_offset', correct_offset: session.offset } });
+        }
+        if (mustBeClosed && !session.closed) {
+            throw DropboxFake.#routeError({ '.tag': 'lookup_failed', lookup_failed: { '.tag': 'not_closed' } });
+        }
+        const path = DropboxFake.#checkPath(route, commit.path);
+        this.#sessions.delete(cursor.session_id);
+        const blob = new Blob([ ...session.contents, contents ?? '' ]);
+        return this.#writeFile(path, blob, commit.mode ?? 'add', commit.autorename ?? false, route, commit.strict_conflict ?? false);
+    }
+
+    /** Backs `Dropbox.auth` */
+    static #Auth = class DropboxAuth {
+        /** @type {DropboxFake} */
+        #backend;
+        #clientId;
+        #accessToken = null;
+        #accessTokenExpiresAt = null;
+        #refreshToken = null;
+        #codeVerifier = null;
+
+        /**
+         * @param {DropboxFake} backend
+         * @param {{ clientId: String, accessToken: String?, refreshToken: String? }} options
+         */
+        constructor(backend, options) {
+            this.#backend = backend;
+            this.#clientId = options.clientId ?? null;
+            this.#accessToken = options.accessToken ?? null;
+            this.#refreshToken = options.refreshToken ?? null;
+        }
+
+        getClientId() { return this.#clientId; }
+        setClientId(clientId) { this.#clientId = clientId; }
+        getAccessToken() { return this.#accessToken; }
+        setAccessToken(accessToken) { this.#accessToken = accessToken; }
+        getAccessTokenExpiresAt() { return this.#accessTokenExpiresAt; }
+        setAccessTokenExpiresAt(accessTokenExpiresAt) { this.#accessTokenExpiresAt = accessTokenExpiresAt; }
+        getRefreshToken() { return this.#refreshToken; }
+        setRefreshToken(refreshToken) { this.#refreshToken = refreshToken; }
+        getCodeVerifier() { return this.#codeVerifier; }
+        setCodeVerifier(codeVerifier) { this.#codeVerifier = codeVerifier; }
+
+        /** @returns {Promise<undefined>} */
+        async checkAndRefreshAccessToken() {
+            const canRefresh = this.getRefreshToken() && this.getClientId();
+            const needsRefresh = !this.getAccessTokenExpiresAt()
+                || new Date(Date.now() + DropboxFake.TOKEN_EXPIRATION_BUFFER * 1000) >= this.getAccessTokenExpiresAt();
+            const needsToken = !this.getAccessToken();
+            if ((needsRefresh || needsToken) && canRefresh) {
+                return this.refreshAccessToken();
+            }
+        }
+        /** @returns {Promise<undefined>} */
+        async refreshAccessToken() {
+            this.#backend.#precheck('oauth2/token', null);
+            if (!this.#backend.#refreshTokens.has(this.#refreshToken)) {
+                throw DropboxFake.#oauthError('invalid_grant', 'refresh token is invalid or revoked');
+            }
+            const tokenInfo = this.#backend.#issueAccessToken(this.#refreshToken, this.#backend.#refreshTokens.get(this.#refreshToken));
+            this.setAccessToken(tokenInfo.access_token);
+            this.setAccessTokenExpiresAt(new Date(Date.now() + tokenInfo.expires_in * 1000));
+        }
+        /**
+         * @param {String} redirectUri
+         * @param {String} state
+         * @param {String} authType
+         * @param {String?} tokenAccessType
+         * @param {String[]?} scope
+         * @param {String} includeGrantedScopes
+         * @param {Boolean} usePKCE
+         * @returns {Promise<String>} Authorization page URL
+         */
+        async getAuthenticationUrl(redirectUri, state, authType = 'token', tokenAccessType = null, scope = null, includeGrantedScopes = 'none', usePKCE = false) {
+            const url = new URL('https://www.dropbox.com/oauth2/authorize');
+            url.searchParams.set('response_type', authType);
+            url.searchParams.set('client_id', this.#clientId);
+            if (redirectUri) { url.searchParams.set('redirect_uri', redirectUri); }
+            url.searchParams.set('state', state);
+            if (tokenAccessType) { url.searchParams.set('token_access_type', tokenAccessType); }
+            if (scope) { url.searchParams.set('scope', scope.join(' ')); }
+            if (includeGrantedScopes !== 'none') { url.searchParams.set('include_granted_scopes', includeGrantedScopes); }
+            if (usePKCE) {
+                this.#codeVerifier ??= `fake-verifier-${crypto.randomUUID()}`;
+                url.searchParams.set('code_challenge', this.#codeVerifier);
+                url.searchParams.set('code_challenge_method', 'plain');
+            }
+            return url.toString();
+        }
+        /**
+         * @param {String} redirectUri
+         * @param {String} code From `DropboxFake.createAuthorizationCode`
+         * @returns {Promise<FakeResponse>}
+         */
+        async getAccessTokenFromCode(redirectUri, code) {
+            this.#backend.#precheck('oauth2/token', null);
+            if (!this.#backend.#codes.has(code)) {
+                throw DropboxFake.#oauthError('invalid_grant', 'code doesn\'t exist or has expired');
+            }
+            const { challenge, scopes, accountId } = this.#backend.#codes.get(code);
+            if (challenge !== null && challenge !== this.#codeVerifier) {
+                throw DropboxFake.#oauthError('invalid_grant', 'invalid code verifier');
+            }
+            this.#backend.#codes.delete(code);
+
+            const refreshToken = this.#backend.createRefreshToken(scopes, accountId);
+            const tokenInfo = this.#backend.#issueAccessToken(refreshToken, { scopes, accountId });
+            tokenInfo.refresh_token = refreshToken;
+            return { status: 200, headers: {}, result: tokenInfo };
+        }
+    };
+
+    /** Backs `Dropbox` */
+    static #Client = class Dropbox {
+        /** @type {DropboxFake} */
+        #backend;
+
+        /** @type {String?} `Dropbox-API-Path-Root` header, JSON */
+        pathRoot;
+
+        /**
+         * @param {DropboxFake} backend
+         * @param {{ clientId: String, pathRoot: String? }} options
+         */
+        constructor(backend, options) {
+            this.#backend = backend;
+            this.auth = new DropboxFake.#Auth(backend, options);
+            this.pathRoot = options.pathRoot;
+        }
+
+        /**
+         * @param {String} route
+         * @param {(backend: DropboxFake) => Promise<APIResult>|APIResult} handler
+         * @returns {Promise<FakeResponse>}
+         */
+        async #call(route, handler) {
+            this.#backend.#precheck(route, this.auth.getAccessToken() ?? '');
+            if (this.pathRoot) {
+                const root = JSON.parse(this.pathRoot);
+                const namespace = root['.tag'] === 'root' ? root.root : root['.tag'] === 'namespace_id' ? root.namespace_id : null;
+                const rootInfo = this.#backend.#rootInfo();
+                if (namespace !== null && namespace !== rootInfo.root_namespace_id && namespace !== rootInfo.home_namespace_id) {
+                    const tag = root['.tag'] === 'root' ? 'invalid_root' : 'no_permission';
+                    throw new DropboxFake.DropboxResponseError(422, {}, { error_summary: `${tag}/...`, error: { '.tag': tag, [tag]: rootInfo } });
+                }
+            }
+            return { status: 200, headers: {}, result: await handler(this.#backend) };
+        }
+
+        /** @returns {Promise<FakeResponse>} The account of the access token */
+        async usersGetCurrentAccount() {
+            return this.#call('users/get_current_account', (backend) => {
+                const accountId = backend.#accessTokens.get(this.auth.getAccessToken()).accountId;
+                return {
+                    account_id: accountId,
+                    name: { given_name: 'Fake', surname: 'User', familiar_name: 'Fake', display_name: 'Fake User', abbreviated_name: 'FU' },
+                    email: `${accountId.replace(/^dbid:/, '').toLowerCase()}@example.test`,
+                    email_verified: true,
+                    disabled: false,
+                    locale: 'en',
+                    account_type: { '.tag': backend.#teamSpace ? 'business' : 'basic' },
+                    root_info: backend.#rootInfo(),
+                };
+            });
+        }
+
+        /**
+         * @param {{ query: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async checkUser({ query }) {
+            return this.#call('check/user', () => ({ result: query }));
+        }
+        /** @returns {Promise<FakeResponse>} Revokes the access token, and the refresh token it came from */
+        async authTokenRevoke() {
+            return this.#call('auth/token/revoke', (backend) => {
+                const { refreshToken } = backend.#accessTokens.get(this.auth.getAccessToken());
+                for (const [ token, info ] of backend.#accessTokens) {
+                    if (token === this.auth.getAccessToken() || (refreshToken && info.refreshToken === refreshToken)) {
+                        backend.#accessTokens.delete(token);
+                    }
+                }
+                backend.#refreshTokens.delete(refreshToken);
+                return null;
+            });
+        }
+
+        /**
+         * @param {{ path: String, mode: String|Object, autorename: Boolean, mute: Boolean, strict_conflict: Boolean, contents: Blob }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesUpload({ path, mode = 'add', autorename = false, strict_conflict = false, contents }) {
+            return this.#call('files/upload', (backend) => {
+                path = DropboxFake.#checkPath('files/upload', path);
+                return backend.#writeFile(path, new Blob([contents ?? '']), mode, autorename, 'files/upload', strict_conflict);
+            });
+        }
+        /**
+         * @param {{ close: Boolean, contents: Blob? }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesUploadSessionStart({ close = false, contents = null }) {
+            return this.#call('files/upload_session/start', (backend) => {
+                const session_id = `fake-session-${crypto.randomUUID()}`;
+                const blob = new Blob([contents ?? '']);
+                backend.#sessions.set(session_id, { contents: [ blob ], offset: blob.size, closed: close });
+                return { session_id: session_id };
+            });
+        }
+        /**
+         * @param {{ cursor: { session_id: String, offset: Number }, close: Boolean, contents: Blob }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesUploadSessionAppendV2({ cursor, close = false, contents }) {
+            const route = 'files/upload_session/append_v2';
+            return this.#call(route, (backend) => {
+                const session = backend.#sessions.get(cursor.session_id);
+                if (!session) {
+                    throw DropboxFake.#routeError({ '.tag': 'not_found' });
+                }
+                if (session.closed) {
+                    throw DropboxFake.#routeError({ '.tag': 'closed' });
+                }
+                if (session.offset !== cursor.offset) {
+                    throw DropboxFake.#routeError({ '.tag': 'incorrect_offset', correct_offset: session.offset });
+                }
+                const blob = new Blob([contents ?? '']);
+                session.contents.push(blob);
+                session.offset += blob.size;
+                session.closed = close;
+                return null;
+            });
+        }
+        /**
+         * @param {{ cursor: { session_id: String, offset: Number }, commit: { path: String, mode: String|Object, autorename: Boolean }, contents: Blob? }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesUploadSessionFinish({ cursor, commit, contents = null }) {
+            const route = 'files/upload_session/finish';
+            return this.#call(route, (backend) => backend.#finishSession(route, cursor, commit, contents, false));
+        }
+        /**
+         * @param {{ entries: Array<{ cursor: { session_id: String, offset: Number }, commit: { path: String, mode: String|Object, autorename: Boolean } }> }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesUploadSessionFinishBatch({ entries }) {
+            const route = 'files/upload_session/finish_batch';
+            return this.#call(route, (backend) => backend.#launchJob(
+                entries.map( ({ cursor, commit }) => () => backend.#finishSession(route, cursor, commit, null, true) ),
+                // Entries are plain FileMetadata, without the `file` tag
+                ({ '.tag': tag, ...metadata }) => metadata
+            ));
+        }
+        /**
+         * @param {{ async_job_id: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesUploadSessionFinishBatchCheck({ async_job_id }) {
+            return this.#call('files/upload_session/finish_batch/check', (backend) => backend.#checkJob(async_job_id));
+        }
+
+        /**
+         * @param {{ path: String, recursive: Boolean, include_deleted: Boolean, limit: Number }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesListFolder({ path, recursive = false, include_deleted = false, limit = null }) {
+            const route = 'files/list_folder';
+            return this.#call(route, (backend) => {
+                path = DropboxFake.#checkPath(route, path, true);
+                if (path !== '') {
+                    const folder = backend.#entries.get(path.toLowerCase());
+                    if (!folder) {
+                        throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                    }
+                    if (folder.metadata['.tag'] !== 'folder') {
+                        throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_folder' } });
+                    }
+                }
+                return backend.#listPage({
+                    seq: backend.#seq,
+                    path: path,
+                    recursive: recursive,
+                    includeDeleted: include_deleted,
+                    limit: limit ?? backend.#pageSize,
+                    pending: backend.#entriesUnder(path, recursive, include_deleted),
+                });
+            });
+        }
+
+        /**
+         * @param {{ cursor: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesListFolderContinue({ cursor }) {
+            const route = 'files/list_folder/continue';
+            return this.#call(route, (backend) => {
+                const state = backend.#cursors.get(cursor);
+                if (!state) {
+                    throw DropboxFake.#badInput(route, 'Invalid "cursor" parameter: cursor is not valid.');
+                }
+                if (state.pending.length > 0) {
+                    return backend.#listPage(state);
+                }
+                return backend.#listPage({ ...state, seq: backend.#seq, pending: backend.#changesSince(state) });
+            });
+        }
+
+        /**
+         * Waits up to `timeout` seconds for changes under the cursor's folder
+         * @param {{ cursor: String, timeout: Number }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesListFolderLongpoll({ cursor, timeout = 30 }) {
+            return this.#call('files/list_folder/longpoll', async (backend) => {
+                const state = backend.#cursors.get(cursor);
+                if (!state) {
+                    throw DropboxFake.#routeError({ '.tag': 'reset' });
+                }
+                const changed = () => state.pending.length > 0 || backend.#changesSince(state).length > 0;
+                if (!changed()) {
+                    await new Promise( (resolve) => {
+                        const done = () => {
+                            clearTimeout(timer);
+                            backend.#longpolls.delete(wake);
+                            resolve();
+                        };
+                        const wake = () => changed() && done();
+                        const timer = setTimeout(done, timeout * 1000);
+                        backend.#longpolls.add(wake);
+                    });
+                }
+                const result = { changes: changed() };
+                if (DropboxFake.LONGPOLL_BACKOFF) {
+                    result.backoff = DropboxFake.LONGPOLL_BACKOFF;
+                }
+                return result;
+            });
+        }
+
+        /**
+         * @param {{ path: String, autorename: Boolean }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesCreateFolderV2({ path, autorename = false }) {
+            const route = 'files/create_folder_v2';
+            return this.#call(route, (backend) => {
+                path = DropboxFake.#checkPath(route, path);
+                if (backend.#entries.has(path.toLowerCase())) {
+                    if (!autorename) {
+                        const tag = backend.#entries.get(path.toLowerCase()).metadata['.tag'];
+                        throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'conflict', conflict: { '.tag': tag } } });
+                    }
+                    path = backend.#autorename(path);
+                }
+                // The folder is created as the parent of an empty name under it
+                backend.#ensureParents(route, `${path}/`);
+                return { metadata: structuredClone(backend.#entries.get(path.toLowerCase()).metadata) };
+            });
+        }
+        /**
+         * @param {{ from_path: String, to_path: String, autorename: Boolean }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesMoveV2({ from_path, to_path, autorename = false }) {
+            const route = 'files/move_v2';
+            return this.#call(route, (backend) => ({
+                metadata: backend.#relocate(DropboxFake.#checkPath(route, from_path), DropboxFake.#checkPath(route, to_path), autorename, false),
+            }));
+        }
+        /**
+         * @param {{ from_path: String, to_path: String, autorename: Boolean }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesCopyV2({ from_path, to_path, autorename = false }) {
+            const route = 'files/copy_v2';
+            return this.#call(route, (backend) => ({
+                metadata: backend.#relocate(DropboxFake.#checkPath(route, from_path), DropboxFake.#checkPath(route, to_path), autorename, true),
+            }));
+        }
+        /**
+         * @param {{ path: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesDeleteV2({ path }) {
+            const route = 'files/delete_v2';
+            return this.#call(route, (backend) => ({ metadata: backend.#delete(DropboxFake.#checkPath(route, path)) }));
+        }
+        /**
+         * @param {{ entries: Array<{ from_path: String, to_path: String }>, autorename: Boolean }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesMoveBatchV2({ entries, autorename = false }) {
+            const route = 'files/move_batch_v2';
+            return this.#call(route, (backend) => backend.#launchJob(
+                entries.map( ({ from_path, to_path }) => () => backend.#relocate(DropboxFake.#checkPath(route, from_path), DropboxFake.#checkPath(route, to_path), autorename, false) ),
+                (metadata) => ({ success: metadata }),
+                (error) => ({ '.tag': 'relocation_error', relocation_error: error })
+            ));
+        }
+        /**
+         * @param {{ async_job_id: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesMoveBatchCheckV2({ async_job_id }) {
+            return this.#call('files/move_batch/check_v2', (backend) => backend.#checkJob(async_job_id));
+        }
+        /**
+         * @param {{ entries: Array<{ from_path: String, to_path: String }>, autorename: Boolean }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesCopyBatchV2({ entries, autorename = false }) {
+            const route = 'files/copy_batch_v2';
+            return this.#call(route, (backend) => backend.#launchJob(
+                entries.map( ({ from_path, to_path }) => () => backend.#relocate(DropboxFake.#checkPath(route, from_path), DropboxFake.#checkPath(route, to_path), autorename, true) ),
+                (metadata) => ({ success: metadata }),
+                (error) => ({ '.tag': 'relocation_error', relocation_error: error })
+            ));
+        }
+        /**
+         * @param {{ async_job_id: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesCopyBatchCheckV2({ async_job_id }) {
+            return this.#call('files/copy_batch/check_v2', (backend) => backend.#checkJob(async_job_id));
+        }
+        /**
+         * @param {{ entries: Array<{ path: String }> }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesDeleteBatch({ entries }) {
+            const route = 'files/delete_batch';
+            return this.#call(route, (backend) => backend.#launchJob(
+                entries.map( ({ path }) => () => backend.#delete(DropboxFake.#checkPath(route, path)) ),
+                (metadata) => ({ metadata: metadata })
+            ));
+        }
+        /**
+         * @param {{ async_job_id: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesDeleteBatchCheck({ async_job_id }) {
+            return this.#call('files/delete_batch/check', (backend) => backend.#checkJob(async_job_id));
+        }
+
+        /**
+         * @param {{ path: String, include_deleted: Boolean }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesGetMetadata({ path, include_deleted = false }) {
+            const route = 'files/get_metadata';
+            return this.#call(route, (backend) => {
+                path = DropboxFake.#checkPath(route, path);
+                const metadata = backend.#entries.get(path.toLowerCase())?.metadata
+                    ?? (include_deleted ? backend.#deleted.get(path.toLowerCase()) : undefined);
+                if (!metadata) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                return structuredClone(metadata);
+            });
+        }
+
+        /**
+         * Matches entries whose name contains every word of `query`, the real search also looks at contents
+         * @param {{ query: String, options: { path: String?, max_results: Number?, file_extensions: String[]?, file_categories: APIResult[]? }? }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesSearchV2({ query, options = {} }) {
+            const route = 'files/search_v2';
+            return this.#call(route, (backend) => {
+                const scope = options?.path ? DropboxFake.#checkPath(route, options.path, true).toLowerCase() : '';
+                const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+                const extensions = options?.file_extensions?.map( (extension) => extension.toLowerCase() );
+                const categories = options?.file_categories?.map( (category) => category['.tag'] );
+                const matches = Array.from(backend.#entries.values())
+                    .map( (entry) => entry.metadata )
+                    .filter( (metadata) => metadata.path_lower.startsWith(`${scope}/`) )
+                    .filter( (metadata) => terms.every( (term) => metadata.name.toLowerCase().includes(term) ) )
+                    .filter( (metadata) => !extensions || (metadata['.tag'] === 'file' && extensions.some( (extension) => metadata.path_lower.endsWith(`.${extension}`) )) )
+                    .filter( (metadata) => !categories || categories.includes(DropboxFake.#fileCategory(metadata)) )
+                    .sort( (a, b) => a.path_lower.localeCompare(b.path_lower) )
+                    .map( (metadata) => ({ match_type: { '.tag': 'filename' }, metadata: { '.tag': 'metadata', metadata: structuredClone(metadata) } }) )
+                ;
+                return backend.#searchPage(matches, options?.max_results ?? 100);
+            });
+        }
+        /**
+         * @param {{ cursor: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesSearchContinueV2({ cursor }) {
+            const route = 'files/search/continue_v2';
+            return this.#call(route, (backend) => {
+                const state = backend.#searchCursors.get(cursor);
+                if (!state) {
+                    throw DropboxFake.#badInput(route, 'Invalid "cursor" parameter: cursor is not valid.');
+                }
+                return backend.#searchPage(state.pending, state.limit);
+            });
+        }
+
+        /**
+         * @param {{ resource: { '.tag': 'path', path: String }, format: { '.tag': String }, size: { '.tag': String }, mode: { '.tag': String } }} arg
+         * @returns {Promise<FakeResponse>} Result includes `fileBlob`
+         */
+        async filesGetThumbnailV2({ resource, format = { '.tag': 'jpeg' }, size = { '.tag': 'w64h64' } }) {
+            const route = 'files/get_thumbnail_v2';
+            return this.#call(route, (backend) => {
+                const { metadata, thumbnail } = backend.#thumbnail(route, resource.path, format['.tag'], size['.tag']);
+                return { file_metadata: metadata, fileBlob: new Blob([ thumbnail ], { type: `image/${format['.tag']}` }) };
+            });
+        }
+        /**
+         * @param {{ entries: Array<{ path: String, format: { '.tag': String }, size: { '.tag': String }, mode: { '.tag': String } }> }} arg
+         * @returns {Promise<FakeResponse>} Thumbnails base64 encoded
+         */
+        async filesGetThumbnailBatch({ entries }) {
+            const route = 'files/get_thumbnail_batch';
+            return this.#call(route, (backend) => {
+                if (entries.length > 25) {
+                    throw DropboxFake.#badInput(route, `request body: entries: list has ${entries.length} items, maximum is 25`);
+                }
+                return { entries: entries.map( ({ path, format = { '.tag': 'jpeg' }, size = { '.tag': 'w64h64' } }) => {
+                    try {
+                        const { metadata, thumbnail } = backend.#thumbnail(route, path, format['.tag'], size['.tag']);
+                        return { '.tag': 'success', metadata: metadata, thumbnail: btoa(String.fromCharCode(...thumbnail)) };
+                    } catch (reason) {
+                        if (reason instanceof DropboxFake.DropboxResponseError && reason.status === 409) {
+                            return { '.tag': 'failure', failure: reason.error.error };
+                        }
+                        throw reason;
+                    }
+                }) };
+            });
+        }
+        /**
+         * @param {{ path: String }} arg
+         * @returns {Promise<FakeResponse>} Result includes `fileBlob`, a PDF or HTML stand-in
+         */
+        async filesGetPreview({ path }) {
+            const route = 'files/get_preview';
+            return this.#call(route, (backend) => {
+                const entry = backend.#entries.get(DropboxFake.#checkPath(route, path).toLowerCase());
+                if (!entry) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                if (entry.metadata['.tag'] !== 'file') {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_file' } });
+                }
+                const extension = entry.metadata.name.slice(entry.metadata.name.lastIndexOf('.') + 1).toLowerCase();
+                const pdf = [ 'ai', 'doc', 'docm', 'docx', 'eps', 'odp', 'odt', 'pps', 'ppsm', 'ppsx', 'ppt', 'pptm', 'pptx', 'rtf' ];
+                const html = [ 'csv', 'ods', 'xls', 'xlsm', 'xlsx' ];
+                const type = pdf.includes(extension) ? 'application/pdf' : html.includes(extension) ? 'text/html' : null;
+                if (!type) {
+                    throw DropboxFake.#routeError({ '.tag': 'unsupported_extension' });
+                }
+                return { ...structuredClone(entry.metadata), fileBlob: new Blob([ `fake preview of ${entry.metadata.path_display}` ], { type: type }) };
+            });
+        }
+
+        /**
+         * @param {{ path: String, mode: String, limit: Number }} arg
+         * @returns {Promise<FakeResponse>} Revisions newest first
+         */
+        async filesListRevisions({ path, mode = 'path', limit = 10 }) {
+            const route = 'files/list_revisions';
+            return this.#call(route, (backend) => {
+                const path_lower = DropboxFake.#checkPath(route, path).toLowerCase();
+                const entry = backend.#entries.get(path_lower);
+                if (entry?.metadata['.tag'] === 'folder') {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_file' } });
+                }
+                const revisions = Array.from(backend.#revisions.values())
+                    .filter( (revision) => revision.metadata.path_lower === path_lower )
+                    .reverse()
+                    .slice(0, limit)
+                    .map( (revision) => structuredClone(revision.metadata) )
+                ;
+                if (revisions.length === 0) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                return { is_deleted: !entry, entries: revisions };
+            });
+        }
+        /**
+         * @param {{ path: String, rev: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesRestore({ path, rev }) {
+            const route = 'files/restore';
+            return this.#call(route, (backend) => {
+                path = DropboxFake.#checkPath(route, path);
+                const revision = backend.#revisions.get(rev);
+                if (!revision || revision.metadata.path_lower !== path.toLowerCase()) {
+                    throw DropboxFake.#routeError({ '.tag': 'invalid_revision' });
+                }
+                return backend.#writeFile(path, revision.contents, 'overwrite', false, route);
+            });
+        }
+
+        /**
+         * @param {{ path: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesGetTemporaryLink({ path }) {
+            const route = 'files/get_temporary_link';
+            return this.#call(route, (backend) => {
+                path = DropboxFake.#checkPath(route, path);
+                const entry = backend.#entries.get(path.toLowerCase());
+                if (!entry) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                if (entry.metadata['.tag'] !== 'file') {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_file' } });
+                }
+                const link = `https://fake.dropbox.test/temp/${crypto.randomUUID()}/${encodeURIComponent(entry.metadata.name)}`;
+                return { metadata: structuredClone(entry.metadata), link: link };
+            });
+        }
+
+        /**
+         * @param {{ path: String, settings: APIResult? }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async sharingCreateSharedLinkWithSettings({ path, settings = {} }) {
+            const route = 'sharing/create_shared_link_with_settings';
+            return this.#call(route, (backend) => {
+                path = DropboxFake.#checkPath(route, path);
+                const entry = backend.#entries.get(path.toLowerCase());
+                if (!entry) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                const existing = Array.from(backend.#links.values()).find( (link) => link.path_lower === entry.metadata.path_lower );
+                if (existing) {
+                    throw DropboxFake.#routeError({ '.tag': 'shared_link_already_exists', shared_link_already_exists: { '.tag': 'metadata', metadata: structuredClone(existing) } });
+                }
+                return backend.#createLink(entry.metadata, settings ?? {});
+            });
+        }
+        /**
+         * @param {{ path: String?, cursor: String?, direct_only: Boolean? }} arg
+         * @returns {Promise<FakeResponse>} Every matching link in one page
+         */
+        async sharingListSharedLinks({ path = null, cursor = null, direct_only = false } = {}) {
+            const route = 'sharing/list_shared_links';
+            return this.#call(route, (backend) => {
+                const links = Array.from(backend.#links.values()).filter( (link) => {
+                    if (!path) {
+                        return true;
+                    }
+                    const path_lower = DropboxFake.#checkPath(route, path).toLowerCase();
+                    // Without direct_only, links to the folders containing `path` are listed too
+                    return link.path_lower === path_lower || (!direct_only && path_lower.startsWith(`${link.path_lower}/`));
+                });
+                return { links: structuredClone(links), has_more: false, cursor: cursor ?? '' };
+            });
+        }
+        /**
+         * @param {{ url: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async sharingRevokeSharedLink({ url }) {
+            return this.#call('sharing/revoke_shared_link', (backend) => {
+                if (!backend.#links.delete(url)) {
+                    throw DropboxFake.#routeError({ '.tag': 'shared_link_not_found' });
+                }
+                return null;
+            });
+        }
+
+        /**
+         * @param {{ path: String }} arg
+         * @returns {Promise<FakeResponse>} Result includes `fileBlob`
+         */
+        async filesDownload({ path }) {
+            const route = 'files/download';
+            return this.#call(route, (backend) => {
+                if (path?.startsWith('rev:')) {
+                    const revision = backend.#revisions.get(path.slice('rev:'.length));
+                    if (!revision) {
+                        throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                    }
+                    return { ...structuredClone(revision.metadata), fileBlob: revision.contents };
+                }
+                path = DropboxFake.#checkPath(route, path);
+                const entry = backend.#entries.get(path.toLowerCase());
+                if (!entry) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                if (entry.metadata['.tag'] !== 'file') {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_file' } });
+                }
+                return { ...structuredClone(entry.metadata), fileBlob: entry.contents };
+            });
+        }
+        /**
+         * @param {{ path: String }} arg
+         * @returns {Promise<FakeResponse>}
+         */
+        async filesDownloadZip({ path }) {
+            const route = 'files/download_zip';
+            return this.#call(route, async (backend) => {
+                path = DropboxFake.#checkPath(route, path);
+                const [ folder, ...descendants ] = backend.#subtree(path);
+                if (!folder) {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_found' } });
+                }
+                if (folder.metadata['.tag'] !== 'folder') {
+                    throw DropboxFake.#routeError({ '.tag': 'path', path: { '.tag': 'not_folder' } });
+                }
+                if (descendants.length + 1 > DropboxFake.ZIP_ENTRY_LIMIT) {
+                    throw DropboxFake.#routeError({ '.tag': 'too_many_files' });
+                }
+                if (descendants.reduce( (sum, entry) => sum + (entry.metadata.size ?? 0), 0 ) > DropboxFake.ZIP_SIZE_LIMIT) {
+                    throw DropboxFake.#routeError({ '.tag': 'too_large' });
+                }
+                // Entries are named after the folder itself, then their path inside it
+                const name = (entry) => `${folder.metadata.name}${entry.metadata.path_display.slice(folder.metadata.path_display.length)}`;
+                const entries = [ folder, ...descendants.sort( (a, b) => a.metadata.path_lower.localeCompare(b.metadata.path_lower) ) ].map( (entry) => (
+                    entry.metadata['.tag'] === 'folder' ? { name: `${name(entry)}/`, contents: null } : { name: name(entry), contents: entry.contents }
+                ));
+                return { metadata: structuredClone(folder.metadata), fileBlob: await DropboxFake.#zip(entries) };
+            });
+        }
+    };
+}
@@ -0,0 +1,541 @@
+/** @typedef {any} ignore */
+/** @typedef {{ [key: String]: any }} APIResult */
+/** `CloudStorage` is defined in DropboxCloud.js */
+/** @typedef {{ path: String, rev: String, content_hash: String, size: Number?, modified: Number? }} SyncedFile `size` and `modified` are the local copy's, as last synced */
+/** @typedef {{ cursor: String?, files: { [key: String]: SyncedFile } }} SyncState */
+/**
+ @typedef {{
+    list: () => Promise<String[]>,
+    read: (path: String) => Promise<File|Blob|null>,
+    write: (path: String, blob: Blob) => Promise<ignore>,
+    remove: (path: String) => Promise<ignore>,
+    loadState: () => Promise<SyncState?>,
+    saveState: (state: SyncState) => Promise<ignore>
+ }} SyncStore
+ */
+/** @typedef {'local'|'remote'|'both'} ConflictResolution */
+/** @typedef {{ path: String, local: Blob?, remote: APIResult? }} SyncConflict */
+/** @typedef {(conflict: SyncConflict) => ConflictResolution|Promise<ConflictResolution>} ConflictResolver */
+/**
+ @typedef {{
+    pulled: String[],
+    pushed: String[],
+    removedLocally: String[],
+    removedRemotely: String[],
+    conflicts: Array<SyncConflict & { resolution: ConflictResolution }>
+ }} SyncReport
+ */
+/** @typedef {{ path: String, metadata: APIResult? }} RemoteChange */
+/** @typedef {{ path: String, blob: Blob?, content_hash: String? }} LocalChange */
+
+/**
+ * Two-way sync between a Dropbox folder and a local store.
+ * Paths in the store are relative to the synced folder and start with `/`. Only files are synced, empty folders are not.
+ * Local files keeping the size and modification time they had at the last sync aren't hashed again: stores should read files back as `File`s.
+ * The sync state is saved after each change, so a sync that fails midway doesn't redo what it got done.
+ */
+class DropboxSync {
+    /** @type {CloudStorage} */
+    #cloud;
+    /** @type {String} `''` for root */
+    #remotePath;
+    /** @type {SyncStore} */
+    #store;
+    /** @type {ConflictResolver} */
+    #onConflict;
+    /** @type {Promise<SyncReport>?} */
+    #running = null;
+
+    /**
+     * @param {String} key
+     * @param {SyncState} state
+     * @param {APIResult} metadata
+     * @param {String} path Relative to the synced folder
+     * @param {File|Blob|null} local The local copy, as the store reads it
+     */
+    static #remember(key, state, metadata, path, local) {
+        state.files[key] = { path: path, rev: metadata.rev, content_hash: metadata.content_hash, size: local?.size ?? null, modified: local?.lastModified ?? null };
+    }
+    /**
+     * @param {SyncedFile?} synced
+     * @param {File|Blob} blob
+     * @returns {Boolean} true if the local copy has the size and modification time it had when last synced, so it needn't be hashed again
+     */
+    static #isUnchanged(synced, blob) {
+        return blob.lastModified !== undefined && synced?.modified === blob.lastModified && synced.size === blob.size;
+    }
+
+    /** @returns {SyncReport} */
+    static #emptyReport() {
+        return { pulled: [], pushed: [], removedLocally: [], removedRemotely: [], conflicts: [] };
+    }
+
+    /**
+     * @param {SyncState} state
+     * @returns {Promise<{ cursor: String, changes: Map<String, RemoteChange> }>} Remote files that differ from the last sync, keyed by lowercase relative path
+     */
+    async #remoteChanges(state) {
+        const folder = this.#remotePath || '/';
+        let listing = null;
+        if (state.cursor) {
+            listing = await this.#cloud.fetchFileList(folder, null, { recursive: true, cursor: state.cursor })
+                .catch( (reason) => {
+                    // An expired cursor means we have to start over from a full listing
+                    if (reason instanceof DropboxCloudError && reason.tag === 'reset') {
+                        return null;
+                    }
+                    throw reason;
+                })
+            ;
+        }
+        const incremental = listing !== null;
+        listing ??= await this.#cloud.fetchFileList(folder, null, { recursive: true });
+
+        const changes = new Map();
+        const listed = new Set();
+        for (const entry of listing.entries) {
+            const key = entry.path_lower.slice(this.#remotePath.length);
+            const path = entry.path_display.slice(this.#remotePath.length);
+            listed.add(key);
+            if (entry['.tag'] === 'file') {
+                if (state.files[key]?.rev !== entry.rev) {
+                    changes.set(key, { path: path, metadata: entry });
+                }
+            } else if (entry['.tag'] === 'deleted') {
+                // A deleted folder takes everything under it along
+                for (const [ syncedKey, synced ] of Object.entries(state.files)) {
+                    if (syncedKey === key || syncedKey.startsWith(`${key}/`)) {
+                        changes.set(syncedKey, { path: synced.path, metadata: null });
+                    }
+                }
+            }
+        }
+        if (!incremental) {
+            for (const [ syncedKey, synced ] of Object.entries(state.files)) {
+                if (!listed.has(syncedKey)) {
+                    changes.set(syncedKey, { path: synced.path, metadata: null });
+                }
+            }
+        }
+        return { cursor: listing.cursor, changes: changes };
+    }
+    /**
+     * @param {SyncState} state
+     * @returns {Promise<Map<String, LocalChange>>} Local files that differ from the last sync, keyed by lowercase relative path
+     */
+    async #localChanges(state) {
+        const changes = new Map();
+        const present = new Set();
+        for (const path of await this.#store.list()) {
+            const key = path.toLowerCase();
+            present.add(key);
+            const blob = await this.#store.read(path);
+            const synced = state.files[key];
+            if (DropboxSync.#isUnchanged(synced, blob)) {
+                continue;
+            }
+            const content_hash = await DropboxCloud.contentHash(blob);
+            if (synced?.content_hash !== content_hash) {
+                changes.set(key, { path: path, blob: blob, content_hash: content_hash });
+            } else {
+                // Touched but not changed, e.g. written again by a pull: no need to hash it next time
+                synced.size = blob.size;
+                synced.modified = blob.lastModified ?? null;
+            }
+        }
+        for (const [ key, synced ] of Object.entries(state.files)) {
+            if (!present.has(key)) {
+                changes.set(key, { path: synced.path, blob: null, content_hash: null });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Makes the local copy match the remote one
+     * @param {String} key
+     * @param {String} path Relative to the synced folder
+     * @param {APIResult?} metadata null if the remote file was deleted
+     * @param {SyncState} state
+     * @param {SyncReport} report
+     */
+    async #pull(key, path, metadata, state, report) {
+        if (metadata) {
+            const download = await this.#cloud.downloadFile(metadata.path_display);
+            await this.#store.write(path, download.fileBlob);
+            DropboxSync.#remember(key, state, download, path, await this.#store.read(path));
+            report.pulled.push(path);
+        } else {
+            await this.#store.remove(path);
+            delete state.files[key];
+            report.removedLocally.push(path);
+        }
+    }
+    /**
+     * Makes the remote copy match the local one
+     * @param {String} key
+     * @param {String} path Relative to the synced folder
+     * @param {Blob?} blob null if the local file was deleted
+     * @param {SyncState} state
+     * @param {SyncReport} report
+     * @param {Object} options
+     * @param {Boolean} options.force Overwrite the remote file whatever its revision
+     * @param {Boolean} options.autorename Upload next to the remote file instead of replacing it
+     * @returns {Promise<String>} Relative path the file was uploaded to
+     * @throws {ConflictError} If the remote file changed since the last sync, unless `force`
+     */
+    async #push(key, path, blob, state, report, { force = false, autorename = false } = {}) {
+        const remotePath = `${this.#remotePath}${path}`;
+        if (blob) {
+            const synced = state.files[key];
+            const mode = autorename || !synced ? 'add' : force ? 'overwrite' : 'update';
+            const dir = remotePath.slice(0, remotePath.lastIndexOf('/') + 1);
+            const file = new File([ blob ], remotePath.slice(dir.length));
+            const metadata = await this.#cloud.uploadFile(file, dir, null, { mode: mode, rev: synced?.rev, autorename: autorename });
+            const uploadedPath = metadata.path_display.slice(this.#remotePath.length);
+            // A copy uploaded next to the file isn't stored locally yet
+            DropboxSync.#remember(uploadedPath.toLowerCase(), state, metadata, uploadedPath, autorename ? null : blob);
+            report.pushed.push(uploadedPath);
+            return uploadedPath;
+        } else {
+            await this.#cloud.delete(remotePath).catch( (reason) => {
+                if (!(reason instanceof NotFoundError)) {
+                    throw reason;
+                }
+            });
+            delete state.files[key];
+            report.removedRemotely.push(path);
+            return path;
+        }
+    }
+    /**
+     * @param {String} key
+     * @param {LocalChange} local
+     * @param {APIResult?} remote Current remote metadata, null if deleted
+     * @param {SyncState} state
+     * @param {SyncReport} report
+     */
+    async #resolveConflict(key, local, remote, state, report) {
+        const conflict = { path: local.path, local: local.blob, remote: remote };
+        const resolution = await this.#onConflict(conflict);
+        report.conflicts.push({ ...conflict, resolution: resolution });
+
+        switch (resolution) {
+            case 'local':
+                await this.#push(key, local.path, local.blob, state, report, { force: true });
+                break;
+            case 'remote':
+                await this.#pull(key, local.path, remote, state, report);
+                break;
+            case 'both':
+                if (local.blob && remote) {
+                    const copyPath = await this.#push(key, local.path, local.blob, state, report, { autorename: true });
+                    await this.#store.write(copyPath, local.blob);
+                    await this.#pull(key, local.path, remote, state, report);
+                } else if (local.blob) {
+                    delete state.files[key];
+                    await this.#push(key, local.path, local.blob, state, report);
+                } else {
+                    await this.#pull(key, local.path, remote, state, report);
+                }
+                break;
+            default:
+                throw new Error(`Unknown conflict resolution "${resolution}" for ${local.path}.`);
+        }
+    }
+    /**
+     * @param {String} key
+     * @param {RemoteChange?} remote
+     * @param {LocalChange?} local
+     * @param {SyncState} state
+     * @param {SyncReport} report
+     */
+    async #reconcile(key, remote, local, state, report) {
+        if (remote && local) {
+            if ((remote.metadata?.content_hash ?? null) === local.content_hash) {
+                // Both sides made the same change
+                if (remote.metadata) {
+                    DropboxSync.#remember(key, state, remote.metadata, remote.path, local.blob);
+                } else {
+                    delete state.files[key];
+                }
+            } else {
+                await this.#resolveConflict(key, local, remote.metadata, state, report);
+            }
+        } else if (remote) {
+            await this.#pull(key, remote.path, remote.metadata, state, report);
+        } else {
+            try {
+                await this.#push(key, local.path, local.blob, state, report);
+            } catch (reason) {
+                if (!(reason instanceof ConflictError)) {
+                    throw reason;
+                }
+                await this.#resolveConflict(key, local, reason.metadata, state, report);
+            }
+        }
+    }
+
+    /** @returns {Promise<SyncReport>} */
+    async #sync() {
+        const state = await this.#store.loadState() ?? { cursor: null, files: {} };
+        const { cursor, changes: remoteChanges } = await this.#remoteChanges(state);
+        const localChanges = await this.#localChanges(state);
+
+        const report = DropboxSync.#emptyReport();
+        for (const key of new Set([ ...remoteChanges.keys(), ...localChanges.keys() ])) {
+            await this.#reconcile(key, remoteChanges.get(key), localChanges.get(key), state, report);
+            // Keep what's done if a later change fails: with the old cursor, the next sync skips the revs already remembered
+            await this.#store.saveState(state);
+        }
+
+        // Our own pushes show up on the next listing, but with the revs we already remember
+        state.cursor = cursor;
+        await this.#store.saveState(state);
+        return report;
+    }
+
+    ////////////////////////////
+    // PUBLIC API STARTS HERE //
+    ////////////////////////////
+
+    /**
+     * @param {CloudStorage} cloud A `DropboxCloud`, or an `OPFSCloud` for local-only storage
+     * @param {String} remotePath Folder to sync, starts with `/`
+     * @param {SyncStore} store Where the local copy and the sync state are kept, e.g. a `MemorySyncStore`, `IndexedDBSyncStore` or `OPFSSyncStore`.
+     * @param {ConflictResolver?} onConflict Optional. Decides which side wins when a file changed on both. Defaults to keeping both, the local version under a new name.
+     */
+    constructor(cloud, remotePath, store, onConflict = null) {
+        this.#cloud = cloud;
+        this.#remotePath = remotePath.replace(/\/+$/, '');
+        this.#store = store;
+        this.#onConflict = onConflict ?? ( (conflict) => 'both' );
+    }
+
+    /**
+     * Pulls remote changes and pushes local ones. Concurrent calls share the same run.
+     * @returns {Promise<SyncReport>}
+     */
+    sync() {
+        this.#running ??= this.#sync().finally( () => { this.#running = null; } );
+        return this.#running;
+    }
+}
+
+/** `SyncStore` kept in memory, for tests */
+class MemorySyncStore {
+    /** @type {Map<String, Blob>} */
+    #files = new Map();
+    /** @type {SyncState?} */
+    #state = null;
+
+    /** @returns {Promise<String[]>} Paths of the stored files, relative to the synced folder */
+    async list() { return Array.from(this.#files.keys()); }
+    /**
+     * @param {String} path Starts with `/`
+     * @returns {Promise<File?>} null if there's no such file
+     */
+    async read(path) { return this.#files.get(path) ?? null; }
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Blob} blob Kept as a `File` modified now
+     */
+    async write(path, blob) { this.#files.set(path, new File([ blob ], path.slice(path.lastIndexOf('/') + 1))); }
+    /** @param {String} path Starts with `/`, nothing happens if there's no such file */
+    async remove(path) { this.#files.delete(path); }
+    /** @returns {Promise<SyncState?>} null before the first sync */
+    async loadState() { return structuredClone(this.#state); }
+    /** @param {SyncState} state */
+    async saveState(state) { this.#state = structuredClone(state); }
+}
+
+/** `SyncStore` backed by an IndexedDB database */
+class IndexedDBSyncStore {
+    /** @type {String} */
+    #dbName;
+    /** @type {Promise<IDBDatabase>?} */
+    #db = null;
+
+    /** @param {String} dbName Optional. One database per synced folder. */
+    constructor(dbName = 'dropbox-sync') {
+        this.#dbName = dbName;
+    }
+
+    /**
+     * @param {IDBRequest} request
+     * @returns {Promise<any>} Result of `request`
+     */
+    static #promisify(request) {
+        return new Promise( (resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    /**
+     * @param {String} storeName `files` or `state`
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} operation
+     * @returns {Promise<any>} Result of the request made by `operation`
+     */
+    async #run(storeName, mode, operation) {
+        this.#db ??= new Promise( (resolve, reject) => {
+            const request = indexedDB.open(this.#dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('files');
+                request.result.createObjectStore('state');
+            };
+            request.onsuccess = () => {
+                // Let another tab upgrade or delete the database, reopen on next use
+                request.result.onversionchange = () => {
+                    request.result.close();
+                    this.#db = null;
+                };
+                resolve(request.result);
+            };
+            // Try opening again on next use
+            request.onerror = () => {
+                this.#db = null;
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                this.#db = null;
+                // Don't hold the database if it opens after all
+                request.onsuccess = () => request.result.close();
+                reject(new Error(`Opening ${this.#dbName} is blocked by another tab that has it open.`));
+            };
+        });
+        const db = await this.#db;
+        return IndexedDBSyncStore.#promisify(operation(db.transaction(storeName, mode).objectStore(storeName)));
+    }
+
+    /** @returns {Promise<String[]>} Paths of the stored files, relative to the synced folder */
+    async list() { return this.#run('files', 'readonly', (store) => store.getAllKeys()); }
+    /**
+     * @param {String} path Starts with `/`
+     * @returns {Promise<File?>} null if there's no such file
+     */
+    async read(path) { return await this.#run('files', 'readonly', (store) => store.get(path)) ?? null; }
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Blob} blob Kept as a `File` modified now
+     */
+    async write(path, blob) {
+        const file = new File([ blob ], path.slice(path.lastIndexOf('/') + 1));
+        await this.#run('files', 'readwrite', (store) => store.put(file, path));
+    }
+    /** @param {String} path Starts with `/`, nothing happens if there's no such file */
+    async remove(path) { await this.#run('files', 'readwrite', (store) => store.delete(path)); }
+    /** @returns {Promise<SyncState?>} null before the first sync */
+    async loadState() { return await this.#run('state', 'readonly', (store) => store.get('state')) ?? null; }
+    /** @param {SyncState} state */
+    async saveState(state) { await this.#run('state', 'readwrite', (store) => store.put(state, 'state')); }
+}
+
+/** `SyncStore` backed by the Origin Private File System, files are kept as real files */
+class OPFSSyncStore {
+    /** @type {String} */
+    #name;
+    /** @type {Promise<FileSystemDirectoryHandle>?} */
+    #root = null;
+
+    /** @param {String} name Optional. Directory in the origin private file system, one per synced folder. */
+    constructor(name = 'dropbox-sync') {
+        this.#name = name;
+    }
+
+    /** @returns {Promise<FileSystemDirectoryHandle>} Directory holding the synced files */
+    async #files() {
+        this.#root ??= navigator.storage.getDirectory()
+            .then( (opfs) => opfs.getDirectoryHandle(this.#name, { create: true }) )
+        ;
+        return (await this.#root).getDirectoryHandle('files', { create: true });
+    }
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Boolean} create Create missing directories
+     * @returns {Promise<[ FileSystemDirectoryHandle, String ]?>} Directory holding `path` and the file name, null if a directory is missing
+     */
+    async #resolve(path, create) {
+        const segments = path.split('/').filter( (segment) => segment !== '' );
+        const name = segments.pop();
+        let dir = await this.#files();
+        try {
+            for (const segment of segments) {
+                dir = await dir.getDirectoryHandle(segment, { create: create });
+            }
+        } catch (reason) {
+            if (reason.name === 'NotFoundError') {
+                return null;
+            }
+            throw reason;
+        }
+        return [ dir, name ];
+    }
+    /**
+     * @param {FileSystemDirectoryHandle} dir
+     * @param {String} prefix Path of `dir`
+     * @returns {AsyncGenerator<String>} Paths of the files under `dir`
+     */
+    async *#walk(dir, prefix) {
+        for await (const handle of dir.values()) {
+            if (handle.kind === 'file') {
+                yield `${prefix}/${handle.name}`;
+            } else {
+                yield* this.#walk(handle, `${prefix}/${handle.name}`);
+            }
+        }
+    }
+
+    /** @returns {Promise<String[]>} Paths of the stored files, relative to the synced folder */
+    async list() { return Array.fromAsync(this.#walk(await this.#files(), '')); }
+    /**
+     * @param {String} path Starts with `/`
+     * @returns {Promise<File?>} null if there's no such file
+     */
+    async read(path) {
+        const [ dir, name ] = await this.#resolve(path, false) ?? [];
+        return dir?.getFileHandle(name).then( (handle) => handle.getFile(), (reason) => null ) ?? null;
+    }
+    /**
+     * @param {String} path Starts with `/`, missing directories are created
+     * @param {Blob} blob
+     */
+    async write(path, blob) {
+        const [ dir, name ] = await this.#resolve(path, true);
+        const writable = await (await dir.getFileHandle(name, { create: true })).createWritable();
+        await writable.write(blob);
+        await writable.close();
+    }
+    /** @param {String} path Starts with `/`, nothing happens if there's no such file */
+    async remove(path) {
+        const [ dir, name ] = await this.#resolve(path, false) ?? [];
+        await dir?.removeEntry(name).catch( (reason) => {
+            if (reason.name !== 'NotFoundError') {
+                throw reason;
+            }
+        });
+    }
+    /** @returns {Promise<SyncState?>} null before the first sync */
+    async loadState() {
+        await this.#files();
+        const root = await this.#root;
+        return root.getFileHandle('state.json')
+            .then( (handle) => handle.getFile() )
+            .then( (file) => file.text() )
+            .then( (text) => JSON.parse(text) )
+            .catch( (reason) => {
+                if (reason.name === 'NotFoundError') {
+                    return null;
+                }
+                throw reason;
+            })
+        ;
+    }
+    /** @param {SyncState} state Kept as `state.json`, next to the files */
+    async saveState(state) {
+        await this.#files();
+        const writable = await (await (await this.#root).getFileHandle('state.json', { create: true })).createWritable();
+        await writable.write(JSON.stringify(state));
+        await writable.close();
+    }
+}
@@ -0,0 +1,203 @@
+/** @typedef {any} ignore */
+/** @typedef {String} Token */
+/**
+ @typedef {{
+    access_token: Token?,
+    expires_at: Number?,
+    refresh_token: Token?,
+    account_id: String?,
+    scopes: String[]?
+ }} TokenSet
+ */
+
+/** Token storage in a Web Storage area, as JSON under a single key */
+export class WebStorageTokenStorage {
+    /** @type {Storage} */
+    #storage;
+    /** @type {String} */
+    #key;
+
+    /**
+     * @param {Storage} storage `localStorage` or `sessionStorage`
+     * @param {String} key Optional. One key per app sharing the origin.
+     */
+    constructor(storage, key = 'dropbox-tokens') {
+        this.#storage = storage;
+        this.#key = key;
+    }
+
+    /** @returns {Promise<TokenSet?>} */
+    async loadTokens() {
+        const json = this.#storage.getItem(this.#key);
+        return json ? JSON.parse(json) : null;
+    }
+    /** @param {TokenSet?} tokens null to forget them */
+    async saveTokens(tokens) {
+        if (tokens) {
+            this.#storage.setItem(this.#key, JSON.stringify(tokens));
+        } else {
+            this.#storage.removeItem(this.#key);
+        }
+    }
+    /** @returns {Promise<Object?>} State of a `DropboxAccounts`, kept under the same key as tokens */
+    async loadAccounts() { return this.loadTokens(); }
+    /** @param {Object?} state null to forget every account */
+    async saveAccounts(state) { return this.saveTokens(state); }
+}
+
+/** Token storage that survives reloads and browser restarts */
+export class LocalStorageTokenStorage extends WebStorageTokenStorage {
+    /** @param {String} key Optional. One key per app sharing the origin. */
+    constructor(key = 'dropbox-tokens') { super(localStorage, key); }
+}
+
+/** Token storage that survives reloads, but not closing the tab */
+export class SessionStorageTokenStorage extends WebStorageTokenStorage {
+    /** @param {String} key Optional. One key per app sharing the origin. */
+    constructor(key = 'dropbox-tokens') { super(sessionStorage, key); }
+}
+
+/** Token storage in IndexedDB, also usable from workers */
+export class IndexedDBTokenStorage {
+    /** @type {String} */
+    #dbName;
+    /** @type {String} */
+    #key;
+    /** @type {Promise<IDBDatabase>?} */
+    #db = null;
+
+    /**
+     * @param {String} dbName Optional.
+     * @param {String} key Optional. One key per app sharing the database.
+     */
+    constructor(dbName = 'dropbox-tokens', key = 'tokens') {
+        this.#dbName = dbName;
+        this.#key = key;
+    }
+
+    /**
+     * @param {IDBRequest} request
+     * @returns {Promise<any>} Result of `request`
+     */
+    static #promisify(request) {
+        return new Promise( (resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    /**
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} operation
+     * @returns {Promise<any>} Result of the request made by `operation`
+     */
+    async #run(mode, operation) {
+        this.#db ??= new Promise( (resolve, reject) => {
+            const request = indexedDB.open(this.#dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('tokens');
+            request.onsuccess = () => {
+                // Let another tab upgrade or delete the database, reopen on next use
+                request.result.onversionchange = () => {
+                    request.result.close();
+                    this.#db = null;
+                };
+                resolve(request.result);
+            };
+            // Try opening again on next use
+            request.onerror = () => {
+                this.#db = null;
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                this.#db = null;
+                // Don't hold the database if it opens after all
+                request.onsuccess = () => request.result.close();
+                reject(new Error(`Opening ${this.#dbName} is blocked by another tab that has it open.`));
+            };
+        });
+        const db = await this.#db;
+        return IndexedDBTokenStorage.#promisify(operation(db.transaction('tokens', mode).objectStore('tokens')));
+    }
+
+    /** @returns {Promise<any>} Stored value, any structured-cloneable value */
+    async loadTokens() {
+        return await this.#run('readonly', (store) => store.get(this.#key)) ?? null;
+    }
+    /** @param {any} tokens null to forget them */
+    async saveTokens(tokens) {
+        if (tokens) {
+            await this.#run('readwrite', (store) => store.put(tokens, this.#key));
+        } else {
+            await this.#run('readwrite', (store) => store.delete(this.#key));
+        }
+    }
+    /** @returns {Promise<Object?>} State of a `DropboxAccounts`, kept under the same key as tokens, and encrypted as they are by an `EncryptedTokenStorage` */
+    async loadAccounts() { return this.loadTokens(); }
+    /** @param {Object?} state null to forget every account */
+    async saveAccounts(state) { return this.saveTokens(state); }
+}
+
+/**
+ * Token storage in IndexedDB, encrypted at rest with AES-GCM.
+ * The key is a non-extractable `CryptoKey` kept in the same database: scripts on the origin can use it, but not read it out.
+ */
+export class EncryptedTokenStorage extends IndexedDBTokenStorage {
+    /** @type {IndexedDBTokenStorage} */
+    #keyStorage;
+    /** @type {Promise<CryptoKey>?} */
+    #cryptoKey = null;
+
+    /**
+     * @param {String} dbName Optional.
+     * @param {String} key Optional. One key per app sharing the database.
+     */
+    constructor(dbName = 'dropbox-tokens', key = 'tokens') {
+        super(dbName, key);
+        this.#keyStorage = new IndexedDBTokenStorage(dbName, `${key}:crypto-key`);
+    }
+
+    /** @returns {Promise<CryptoKey>} The stored key, generated on first use */
+    #getCryptoKey() {
+        if (!this.#cryptoKey) {
+            this.#cryptoKey = this.#keyStorage.loadTokens().then( async (cryptoKey) => {
+                if (!cryptoKey) {
+                    cryptoKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [ 'encrypt', 'decrypt' ]);
+                    await this.#keyStorage.saveTokens(cryptoKey);
+                }
+                return cryptoKey;
+            });
+            // Try again on next use, e.g. if the database was blocked
+            this.#cryptoKey.catch( () => { this.#cryptoKey = null; } );
+        }
+        return this.#cryptoKey;
+    }
+
+    /**
+     * @returns {Promise<TokenSet?>} null if nothing is stored or it can't be decrypted
+     * @throws {Error|DOMException} If the key can't be loaded, e.g. the database is blocked: the stored tokens may still be fine
+     */
+    async loadTokens() {
+        const encrypted = await super.loadTokens();
+        if (!encrypted) {
+            return null;
+        }
+        const cryptoKey = await this.#getCryptoKey();
+        try {
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: encrypted.iv }, cryptoKey, encrypted.data);
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (reason) {
+            // Tampered with, or encrypted under a key that has since been lost: log in again
+            console.debug(new Error('Stored tokens could not be decrypted, ignoring them.', { cause: reason }));
+            return null;
+        }
+    }
+    /** @param {TokenSet?} tokens null to forget them */
+    async saveTokens(tokens) {
+        if (!tokens) {
+            return super.saveTokens(null);
+        }
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(tokens));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, await this.#getCryptoKey(), plaintext);
+        return super.saveTokens({ iv: iv, data: data });
+    }
+}
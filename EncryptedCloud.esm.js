@@ -0,0 +1,599 @@
+import { DropboxCloud, DropboxCloudError, NotFoundError, ConflictError } from './DropboxCloud.esm.js';
+
+/** @typedef {any} ignore */
+/** @typedef {{ [key: String]: any }} APIResult */
+/** `CloudStorage`, `ChunkSource`, `FolderListing`, `WriteMode`, `ProgressCallback` and `UploadSession` are defined in DropboxCloud.js */
+/**
+ @typedef {{
+    master: CryptoKey,
+    names: CryptoKey,
+    nameIVs: CryptoKey
+ }} EncryptionKeys
+ */
+
+/** Encrypted data failed authentication: it was tampered with or truncated, encrypted under another key, or not encrypted at all */
+export class DecryptionError extends DropboxCloudError {}
+
+/**
+ * End-to-end encryption around another `CloudStorage`, e.g. a `DropboxCloud`: files are encrypted before they're uploaded, and decrypted once downloaded.
+ * Files are AES-GCM encrypted in chunks, each under a key of their own derived from the passphrase or the given key.
+ * Uploads are encrypted a chunk at a time as they're sent, so large files still go through an upload session without being held in memory.
+ * With `encryptNames`, every name along a path is encrypted too, and longer: names are limited to about 130 bytes.
+ * Encrypted names differ with case, so a path not found as given is looked up by listing its folders: lookups still ignore case, with more requests.
+ * Entries whose names can't be decrypted, e.g. added by another app, are left out of listings, which keep them in `skipped`.
+ * Listed sizes are those of the plaintext. Listings and `getMetadata` have no `content_hash`, as Dropbox's is that of the encrypted file.
+ * Re-emits the wrapped storage's `login`, `tokenrefresh`, `logout` and `autherror` events.
+ * @implements {CloudStorage}
+ */
+export class EncryptedCloud extends EventTarget {
+    /** @const MAGIC Start of every encrypted file, followed by the format version */
+    static #MAGIC = [ 0x44, 0x42, 0x58, 0x45 ];
+    /** @const VERSION Format version, which fixes the chunk size and key derivation */
+    static #VERSION = 1;
+    /** @const HEADER_SIZE Magic, version and the 16 bytes the file's key is derived from */
+    static #HEADER_SIZE = 4 + 1 + 16;
+    /** @const CHUNK_SIZE Plaintext bytes per chunk, each followed by its 16 byte authentication tag */
+    static #CHUNK_SIZE = 64 * 1024;
+    /** @const TAG_SIZE */
+    static #TAG_SIZE = 16;
+    /** @const BASE32 Alphabet of encrypted names, lowercase so they survive Dropbox's case-insensitive paths */
+    static #BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+    /** @type {CloudStorage} */
+    #cloud;
+    /** @type {Promise<EncryptionKeys>} */
+    #keys;
+    /** @type {Boolean} */
+    #encryptNames;
+
+    /**
+     * @param {String} message
+     * @param {String?} path
+     * @param {Error|any} reason
+     * @returns {DecryptionError|any} `reason` as a `DecryptionError` if decryption failed
+     */
+    static #toError(message, path, reason) {
+        if (reason instanceof DropboxCloudError || reason?.name === 'AbortError') {
+            return reason;
+        }
+        // WebCrypto doesn't say why a decryption failed, an OperationError is all there is
+        return new DecryptionError(message, { cause: reason, path: path });
+    }
+    /**
+     * @param {Number} index
+     * @param {Boolean} last The final chunk is marked, so a file cut at a chunk boundary doesn't pass for whole
+     * @returns {Uint8Array} IV of the `index`th chunk, unique within the file whose key it's used with
+     */
+    static #chunkIV(index, last) {
+        const iv = new Uint8Array(12);
+        new DataView(iv.buffer).setUint32(7, index);
+        iv[11] = last ? 1 : 0;
+        return iv;
+    }
+    /**
+     * @param {Number} size Of the plaintext
+     * @returns {Number} Number of chunks, an empty file still has one
+     */
+    static #chunkCount(size) {
+        return Math.max(1, Math.ceil(size / EncryptedCloud.#CHUNK_SIZE));
+    }
+    /**
+     * @param {Number} size Of the encrypted file
+     * @returns {Number} Size of its plaintext
+     */
+    static #plaintextSize(size) {
+        const chunks = Math.ceil((size - EncryptedCloud.#HEADER_SIZE) / (EncryptedCloud.#CHUNK_SIZE + EncryptedCloud.#TAG_SIZE));
+        return Math.max(0, size - EncryptedCloud.#HEADER_SIZE - chunks * EncryptedCloud.#TAG_SIZE);
+    }
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {String} Unpadded, lowercase base32
+     */
+    static #toBase32(bytes) {
+        let encoded = '';
+        let buffer = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                bits -= 5;
+                encoded += EncryptedCloud.#BASE32[(buffer >> bits) & 31];
+            }
+        }
+        return bits > 0 ? encoded + EncryptedCloud.#BASE32[(buffer << (5 - bits)) & 31] : encoded;
+    }
+    /**
+     * @param {String} encoded Unpadded base32, in any case
+     * @returns {Uint8Array}
+     */
+    static #fromBase32(encoded) {
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const char of encoded.toLowerCase()) {
+            const value = EncryptedCloud.#BASE32.indexOf(char);
+            if (value < 0) {
+                throw new Error(`Not an encrypted name: ${encoded}.`);
+            }
+            buffer = ((buffer << 5) | value) & 0xFFF;
+            bits += 5;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes.push((buffer >> bits) & 0xFF);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+    /**
+     * @param {CryptoKey} masterKey HKDF key
+     * @param {String} info What the key is for
+     * @param {BufferSource} salt
+     * @param {AesKeyGenParams|HmacKeyGenParams} algorithm
+     * @param {KeyUsage[]} usages
+     * @returns {Promise<CryptoKey>}
+     */
+    static #deriveKey(masterKey, info, salt, algorithm, usages) {
+        const params = { name: 'HKDF', hash: 'SHA-256', salt: salt, info: new TextEncoder().encode(info) };
+        return crypto.subtle.deriveKey(params, masterKey, algorithm, false, usages);
+    }
+    /**
+     * @param {String?} passphrase
+     * @param {CryptoKey|BufferSource|null} key
+     * @param {String|BufferSource|null} salt
+     * @returns {Promise<EncryptionKeys>}
+     */
+    static async #createKeys(passphrase, key, salt) {
+        let masterKey = key;
+        if (passphrase !== null) {
+            const encoder = new TextEncoder();
+            const passphraseKey = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, [ 'deriveBits' ]);
+            const params = { name: 'PBKDF2', hash: 'SHA-256', iterations: EncryptedCloud.PBKDF2_ITERATIONS, salt: typeof salt === 'string' ? encoder.encode(salt) : salt };
+            masterKey = await crypto.subtle.deriveBits(params, passphraseKey, 256);
+        }
+        if (!(masterKey instanceof CryptoKey)) {
+            masterKey = await crypto.subtle.importKey('raw', masterKey, 'HKDF', false, [ 'deriveKey' ]);
+        }
+        const noSalt = new Uint8Array(32);
+        return {
+            // Files' keys are derived from it, each file gets its own
+            master: masterKey,
+            names: await EncryptedCloud.#deriveKey(masterKey, 'names', noSalt, { name: 'AES-GCM', length: 256 }, [ 'encrypt', 'decrypt' ]),
+            nameIVs: await EncryptedCloud.#deriveKey(masterKey, 'name IVs', noSalt, { name: 'HMAC', hash: 'SHA-256' }, [ 'sign' ]),
+        };
+    }
+
+    /**
+     * @param {Uint8Array} header Of the file, whose last 16 bytes the file's key is derived from
+     * @returns {Promise<CryptoKey>}
+     */
+    async #fileKey(header) {
+        const salt = header.subarray(EncryptedCloud.#HEADER_SIZE - 16);
+        return EncryptedCloud.#deriveKey((await this.#keys).master, 'content', salt, { name: 'AES-GCM', length: 256 }, [ 'encrypt', 'decrypt' ]);
+    }
+    /**
+     * Names are encrypted deterministically, so a path can be looked up without listing its folder:
+     * the IV is an HMAC of the name, which only differs between names
+     * @param {String} name
+     * @returns {Promise<String>}
+     */
+    async #encryptName(name) {
+        const keys = await this.#keys;
+        const plaintext = new TextEncoder().encode(name);
+        const iv = new Uint8Array(await crypto.subtle.sign('HMAC', keys.nameIVs, plaintext), 0, 12);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, keys.names, plaintext);
+        const encrypted = new Uint8Array(12 + ciphertext.byteLength);
+        encrypted.set(iv);
+        encrypted.set(new Uint8Array(ciphertext), 12);
+        return EncryptedCloud.#toBase32(encrypted);
+    }
+    /**
+     * @param {String} name
+     * @returns {Promise<String>}
+     */
+    async #decryptName(name) {
+        try {
+            const encrypted = EncryptedCloud.#fromBase32(name);
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: encrypted.subarray(0, 12) }, (await this.#keys).names, encrypted.subarray(12));
+            return new TextDecoder().decode(plaintext);
+        } catch (reason) {
+            throw EncryptedCloud.#toError(`Error decrypting name ${name}.`, null, reason);
+        }
+    }
+    /**
+     * @param {String} path `''` or `/` for root, else starts with `/`, may end with `/`
+     * @returns {Promise<String>} `path` with its names encrypted, if names are
+     */
+    async #encryptPath(path) {
+        if (!this.#encryptNames) {
+            return path;
+        }
+        const segments = await Promise.all(path.split('/').map( (segment) => segment && this.#encryptName(segment) ));
+        return segments.join('/');
+    }
+    /**
+     * @param {String} path
+     * @returns {Promise<String>}
+     */
+    async #decryptPath(path) {
+        if (!this.#encryptNames) {
+            return path;
+        }
+        const segments = await Promise.all(path.split('/').map( (segment) => segment && this.#decryptName(segment) ));
+        return segments.join('/');
+    }
+    /**
+     * Finds the stored names along `path` by listing each folder, as they may differ from it in case
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {AbortSignal?} signal
+     * @returns {Promise<String>} Encrypted path of the entry `path` names, with the names that aren't found encrypted as given
+     */
+    async #resolvePath(path, timeout, signal) {
+        const segments = path.split('/').filter( (segment) => segment !== '' );
+        let resolved = '';
+        for (const [ index, segment ] of segments.entries()) {
+            let stored = null;
+            try {
+                for await (const entry of this.#cloud.listFolder(resolved, { timeout, signal })) {
+                    const name = await this.#decryptName(entry.name).catch( () => null );
+                    if (name?.toLowerCase() === segment.toLowerCase()) {
+                        stored = entry.name;
+                        break;
+                    }
+                }
+            } catch (reason) {
+                if (!(reason instanceof NotFoundError)) {
+                    throw reason;
+                }
+            }
+            if (stored === null) {
+                return `${resolved}${await this.#encryptPath(`/${segments.slice(index).join('/')}`)}`;
+            }
+            resolved += `/${stored}`;
+        }
+        return resolved;
+    }
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {AbortSignal?} signal
+     * @returns {Promise<String>} `path` with its names encrypted, if names are, as stored whatever their case
+     */
+    async #lookupPath(path, timeout, signal) {
+        const encrypted = await this.#encryptPath(path);
+        if (!this.#encryptNames || path.replaceAll('/', '') === '') {
+            return encrypted;
+        }
+        // Most paths are given in the case they were stored with
+        if (await this.#cloud.getMetadata(encrypted, timeout, { signal })) {
+            return encrypted;
+        }
+        return this.#resolvePath(path, timeout, signal);
+    }
+    /**
+     * Runs `operation` on `path` as given, then on the stored path if it isn't found
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {AbortSignal?} signal
+     * @param {(encryptedPath: String) => Promise<any>} operation Rejects with a `NotFoundError` or resolves with null if there's no such path
+     * @returns {Promise<any>} Result of `operation`
+     */
+    async #ignoringCase(path, timeout, signal, operation) {
+        const encrypted = await this.#encryptPath(path);
+        let notFound = null;
+        const result = await operation(encrypted).catch( (reason) => {
+            if (this.#encryptNames && reason instanceof NotFoundError) {
+                notFound = reason;
+                return null;
+            }
+            throw reason;
+        });
+        if (result !== null || !this.#encryptNames) {
+            return result;
+        }
+        const resolved = await this.#resolvePath(path, timeout, signal);
+        if (resolved === encrypted) {
+            if (notFound) {
+                throw notFound;
+            }
+            return null;
+        }
+        return operation(resolved);
+    }
+    /**
+     * @param {APIResult} metadata From the wrapped storage
+     * @returns {Promise<APIResult>} `metadata` with its names decrypted and its plaintext size
+     */
+    async #decryptMetadata(metadata) {
+        metadata = { ...metadata };
+        if (this.#encryptNames && metadata.path_display) {
+            metadata.path_display = await this.#decryptPath(metadata.path_display);
+            metadata.path_lower = metadata.path_display.toLowerCase();
+            metadata.name = metadata.path_display.slice(metadata.path_display.lastIndexOf('/') + 1);
+        }
+        if (metadata['.tag'] === 'file') {
+            metadata.size = EncryptedCloud.#plaintextSize(metadata.size);
+            delete metadata.content_hash;
+        }
+        return metadata;
+    }
+    /**
+     * @param {String} path As the caller gave it
+     * @returns {(reason: Error|any) => Promise<never>} Rethrows with `path` and any conflicting metadata decrypted
+     */
+    #catchCallback(path) {
+        return ( async (reason) => {
+            if (reason instanceof DropboxCloudError) {
+                reason.path = path;
+            }
+            if (reason instanceof ConflictError && reason.metadata) {
+                reason.metadata = await this.#decryptMetadata(reason.metadata).catch( () => null );
+            }
+            throw reason;
+        });
+    }
+    /**
+     * Encrypts `file` a chunk at a time, as its slices are read. Slices come out the same whenever they're read, so an upload can carry on from any offset.
+     * @param {File|ChunkSource} file
+     * @param {String} name Stored name, encrypted if names are
+     * @returns {Promise<ChunkSource>}
+     */
+    async #encryptedSource(file, name) {
+        const header = new Uint8Array(EncryptedCloud.#HEADER_SIZE);
+        header.set(EncryptedCloud.#MAGIC);
+        header[4] = EncryptedCloud.#VERSION;
+        crypto.getRandomValues(header.subarray(5));
+        const fileKey = await this.#fileKey(header);
+        const chunks = EncryptedCloud.#chunkCount(file.size);
+        const encryptedChunkSize = EncryptedCloud.#CHUNK_SIZE + EncryptedCloud.#TAG_SIZE;
+        const size = EncryptedCloud.#HEADER_SIZE + file.size + chunks * EncryptedCloud.#TAG_SIZE;
+
+        const encryptChunk = async (index) => {
+            const start = index * EncryptedCloud.#CHUNK_SIZE;
+            const plaintext = await (await file.slice(start, start + EncryptedCloud.#CHUNK_SIZE)).arrayBuffer();
+            const params = { name: 'AES-GCM', iv: EncryptedCloud.#chunkIV(index, index === chunks - 1), additionalData: header };
+            return new Uint8Array(await crypto.subtle.encrypt(params, fileKey, plaintext));
+        };
+        return {
+            name: name,
+            size: size,
+            slice: async (start = 0, end = size) => {
+                end = Math.min(end, size);
+                const parts = [];
+                if (start < EncryptedCloud.#HEADER_SIZE) {
+                    parts.push(header.slice(start, Math.min(end, EncryptedCloud.#HEADER_SIZE)));
+                }
+                const first = Math.floor(Math.max(0, start - EncryptedCloud.#HEADER_SIZE) / encryptedChunkSize);
+                for (let index = first; index < chunks; index++) {
+                    const chunkStart = EncryptedCloud.#HEADER_SIZE + index * encryptedChunkSize;
+                    if (chunkStart >= end) {
+                        break;
+                    }
+                    const chunk = await encryptChunk(index);
+                    parts.push(chunk.subarray(Math.max(start - chunkStart, 0), end - chunkStart));
+                }
+                return new Blob(parts);
+            },
+        };
+    }
+    /**
+     * @param {Blob} blob An encrypted file
+     * @param {String} path For errors
+     * @returns {Promise<Blob>} Its plaintext
+     * @throws {DecryptionError} If any chunk fails authentication, or chunks are missing
+     */
+    async #decryptBlob(blob, path) {
+        const header = new Uint8Array(await blob.slice(0, EncryptedCloud.#HEADER_SIZE).arrayBuffer());
+        if (header.length < EncryptedCloud.#HEADER_SIZE || EncryptedCloud.#MAGIC.some( (byte, i) => header[i] !== byte )) {
+            throw new DecryptionError(`Error decrypting ${path}: it isn't encrypted.`, { path: path });
+        }
+        if (header[4] !== EncryptedCloud.#VERSION) {
+            throw new DecryptionError(`Error decrypting ${path}: unknown format version ${header[4]}.`, { path: path });
+        }
+        const fileKey = await this.#fileKey(header);
+        const encryptedChunkSize = EncryptedCloud.#CHUNK_SIZE + EncryptedCloud.#TAG_SIZE;
+        const chunks = Math.max(1, Math.ceil((blob.size - EncryptedCloud.#HEADER_SIZE) / encryptedChunkSize));
+        const parts = [];
+        for (let index = 0; index < chunks; index++) {
+            const start = EncryptedCloud.#HEADER_SIZE + index * encryptedChunkSize;
+            const ciphertext = await blob.slice(start, start + encryptedChunkSize).arrayBuffer();
+            const params = { name: 'AES-GCM', iv: EncryptedCloud.#chunkIV(index, index === chunks - 1), additionalData: header };
+            parts.push(await crypto.subtle.decrypt(params, fileKey, ciphertext)
+                .catch( (reason) => { throw EncryptedCloud.#toError(`Error decrypting ${path}: chunk ${index} failed authentication.`, path, reason); } )
+            );
+        }
+        return new Blob(parts);
+    }
+    /**
+     * @param {String} path
+     * @param {Object} options Passed on to the wrapped storage's `listFolder`
+     * @param {FolderListing} listing Whose `cursor` follows the wrapped listing's
+     * @returns {AsyncGenerator<APIResult>}
+     */
+    async *#listFolderEntries(path, options, listing) {
+        // A cursor carries its path along
+        const encryptedPath = options.cursor ? await this.#encryptPath(path) : await this.#lookupPath(path, options.timeout, options.signal);
+        const entries = this.#cloud.listFolder(encryptedPath, options);
+        for await (const entry of entries) {
+            listing.cursor = entries.cursor;
+            // Not ours, e.g. added to the folder by another app
+            const metadata = await this.#decryptMetadata(entry).catch( () => null );
+            if (metadata) {
+                yield metadata;
+            } else {
+                listing.skipped.push(entry);
+            }
+        }
+        listing.cursor = entries.cursor;
+    }
+
+    ////////////////////////////
+    // PUBLIC API STARTS HERE //
+    ////////////////////////////
+
+    /** @property {Number} PBKDF2_ITERATIONS Iterations deriving a key from a passphrase. Changing it changes the key: files encrypted before can't be decrypted. */
+    static PBKDF2_ITERATIONS = 600000;
+
+    /**
+     * @param {CloudStorage} cloud Where the encrypted files are stored, e.g. a `DropboxCloud`
+     * @param {Object} options Either a `passphrase` or a `key`.
+     * @param {String?} options.passphrase The key is derived from it with PBKDF2.
+     * @param {String|BufferSource|null} options.salt Required with a passphrase. Salt for the passphrase, e.g. the account id, so the key of a passphrase can't be precomputed for every user. Must stay the same for files to be decrypted.
+     * @param {CryptoKey|BufferSource|null} options.key At least 32 random bytes, or an `HKDF` key with the `deriveKey` usage, e.g. imported non-extractable.
+     * @param {Boolean?} options.encryptNames Also encrypt file and folder names. Defaults to false.
+     */
+    constructor(cloud, { passphrase = null, salt = null, key = null, encryptNames = false } = {}) {
+        super();
+        if ((passphrase === null) === (key === null)) {
+            throw new Error('You must provide either a passphrase or a key to encrypt with!');
+        }
+        if (passphrase !== null && !salt) {
+            throw new Error('You must provide a salt along with the passphrase, e.g. the account id!');
+        }
+        this.#cloud = cloud;
+        this.#encryptNames = encryptNames;
+        this.#keys = EncryptedCloud.#createKeys(passphrase, key, salt);
+        // Surfaces when first used
+        this.#keys.catch( () => null );
+        for (const type of [ 'login', 'tokenrefresh', 'logout', 'autherror' ]) {
+            cloud.addEventListener(type, (event) => this.dispatchEvent(new CustomEvent(type, { detail: event.detail })));
+        }
+    }
+
+    /** @returns {CloudStorage} The wrapped storage, which sees the encrypted files */
+    get cloud() { return this.#cloud; }
+
+    /**
+     * @param {Number?} timeout
+     * @returns {Promise<undefined>}
+     */
+    async OAuth(timeout = null) { return this.#cloud.OAuth(timeout); }
+
+    /** @returns {Promise<Boolean>} See the wrapped storage's `isLoggedIn` */
+    async isLoggedIn() { return this.#cloud.isLoggedIn(); }
+
+    /** @returns {Promise<Boolean>} See the wrapped storage's `logout` */
+    async logout() { return this.#cloud.logout(); }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Object} options Optional. Passed on to the wrapped storage's `listFolder`.
+     * @return {FolderListing & { skipped: APIResult[] }} Async iterable of decrypted entries. Entries whose names can't be decrypted are skipped, and added to `skipped` as the wrapped storage listed them.
+     */
+    listFolder(path, options = {}) {
+        const listing = {
+            cursor: options.cursor ?? null,
+            skipped: [],
+            [Symbol.asyncIterator]: () => entries,
+        };
+        const entries = this.#listFolderEntries(path, options, listing);
+        return listing;
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional. Same as `listFolder`'s.
+     * @return {Promise<APIResult>} Every entry of the folder, with the final `cursor`, and the entries that weren't ours as `skipped`
+     */
+    async fetchFileList(path, timeout = null, options = {}) {
+        const listing = this.listFolder(path, { ...options, timeout });
+        const entries = await Array.fromAsync(listing);
+        return { entries: entries, cursor: listing.cursor, has_more: false, skipped: listing.skipped };
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional. Passed on to the wrapped storage.
+     * @return {Promise<APIResult?>} Decrypted metadata of the file or folder, null if it doesn't exist
+     */
+    async getMetadata(path, timeout = null, options = {}) {
+        const metadata = await this.#ignoringCase(path, timeout, options.signal, (encryptedPath) => this.#cloud.getMetadata(encryptedPath, timeout, options))
+            .catch(this.#catchCallback(path))
+        ;
+        return metadata && this.#decryptMetadata(metadata);
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional. Passed on to the wrapped storage.
+     * @return {Promise<APIResult>} Decrypted metadata of the file, with the `content_hash` of its plaintext, and its plaintext as `fileBlob`
+     * @throws {DecryptionError} If the file was tampered with, or isn't encrypted with this key
+     */
+    async downloadFile(path, timeout = null, options = {}) {
+        const download = await this.#ignoringCase(path, timeout, options.signal, (encryptedPath) => this.#cloud.downloadFile(encryptedPath, timeout, options))
+            .catch(this.#catchCallback(path))
+        ;
+        const fileBlob = await this.#decryptBlob(download.fileBlob, path);
+        const metadata = await this.#decryptMetadata(download);
+        return { ...metadata, content_hash: await DropboxCloud.contentHash(fileBlob), fileBlob: fileBlob };
+    }
+
+    /**
+     * @param {File|ChunkSource} file
+     * @param {String} dir Starts and ends with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional.
+     * @param {ProgressCallback?} options.onProgress Called with the encrypted bytes sent so far, out of the encrypted size.
+     * @param {AbortSignal?} options.signal Cancels the upload.
+     * @param {Number?} options.priority For a `DropboxCloud`, requests with a higher priority are sent first when the scheduler is busy. Defaults to 0.
+     * @param {WriteMode?} options.mode What to do if the file already exists, see `DropboxCloud.uploadFile`. Defaults to `overwrite`.
+     * @param {String?} options.rev Revision the file is expected to be at, required for `update`.
+     * @param {Boolean?} options.autorename On conflict, save under a free name instead of raising a `ConflictError`.
+     * @param {Boolean?} options.strictConflict Has no effect: every upload is encrypted afresh, so the remote file never has the same contents, and `add` and `update` always conflict with a changed file.
+     * @param {UploadSession?} options.session Not supported, for the same reason: an interrupted upload can't be resumed. Throws if given, as does `onSession`.
+     * @return {Promise<APIResult>} Decrypted metadata of the uploaded file, with the `content_hash` of its plaintext
+     * @throws {ConflictError} If `mode` is `add` or `update` and the file was changed elsewhere
+     */
+    async uploadFile(file, dir = '/', timeout = null, { onProgress = null, signal = null, priority = 0, session = null, onSession = null, mode = 'overwrite', rev = null, autorename = false, strictConflict = false } = {}) {
+        if (session || onSession) {
+            throw new DropboxCloudError(`Uploading ${file.name} encrypted can't resume an upload session: each upload is encrypted under a new key.`);
+        }
+        const filepath = `/${dir}/${file.name}`.replace(/\/+/g, '/');
+        const options = { onProgress, signal, priority, mode, rev, strictConflict };
+        let metadata = null;
+        if (!this.#encryptNames) {
+            metadata = await this.#cloud.uploadFile(await this.#encryptedSource(file, file.name), dir, timeout, { ...options, autorename })
+                .catch(this.#catchCallback(filepath))
+            ;
+        } else {
+            // The wrapped storage would rename the encrypted name, which then couldn't be decrypted
+            const dot = file.name.lastIndexOf('.');
+            const [ stem, ext ] = dot > 0 ? [ file.name.slice(0, dot), file.name.slice(dot) ] : [ file.name, '' ];
+            for (let n = 0; !metadata; n++) {
+                const name = n === 0 ? file.name : `${stem} (${n})${ext}`;
+                // Into the folders, and over the file, already stored under another case
+                const stored = await this.#lookupPath(`${filepath.slice(0, filepath.lastIndexOf('/'))}/${name}`, timeout, signal)
+                    .catch(this.#catchCallback(filepath))
+                ;
+                const storedDir = stored.slice(0, stored.lastIndexOf('/') + 1);
+                const source = await this.#encryptedSource(file, stored.slice(storedDir.length));
+                metadata = await this.#cloud.uploadFile(source, storedDir, timeout, n === 0 ? options : { ...options, mode: 'add' })
+                    .catch( (reason) => {
+                        if (autorename && reason instanceof ConflictError) {
+                            return null;
+                        }
+                        return this.#catchCallback(filepath)(reason);
+                    })
+                ;
+            }
+        }
+        return { ...await this.#decryptMetadata(metadata), content_hash: await DropboxCloud.contentHash(file) };
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout for OAuth, in seconds
+     * @param {Object} options Optional. Passed on to the wrapped storage.
+     * @return {Promise<APIResult>} Decrypted metadata of the deleted file or folder
+     */
+    async delete(path, timeout = null, options = {}) {
+        const metadata = await this.#ignoringCase(path, timeout, options.signal, (encryptedPath) => this.#cloud.delete(encryptedPath, timeout, options))
+            .catch(this.#catchCallback(path))
+        ;
+        return this.#decryptMetadata(metadata);
+    }
+}
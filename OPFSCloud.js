@@ -0,0 +1,409 @@
+/** @typedef {any} ignore */
+/** @typedef {{ [key: String]: any }} APIResult */
+/** `CloudStorage`, `ChunkSource`, `FolderListing`, `WriteMode` and `ProgressCallback` are defined in DropboxCloud.js */
+/** @typedef {{ handle: FileSystemHandle, path: String }} FoundEntry */
+
+/**
+ * Local-only storage in the origin private file system, implementing the same `CloudStorage` interface as `DropboxCloud`.
+ * Paths are case-insensitive and case-preserving, metadata is shaped like Dropbox's, and errors are the same `DropboxCloudError` subclasses with the same tags.
+ * There is no account: `OAuth` resolves at once and `logout` keeps the files.
+ * Listings have no cursor, so syncing from it always compares full listings.
+ * Emits `CustomEvent`s:
+ * - `logout`, detail `{ revoked }`, after `logout()`, `revoked` always false
+ * @implements {CloudStorage}
+ */
+class OPFSCloud extends EventTarget {
+    /** @type {String|FileSystemDirectoryHandle} */
+    #name;
+    /** @type {Promise<FileSystemDirectoryHandle>?} */
+    #root = null;
+    /** @type {Map<String, { lastModified: Number, size: Number, content_hash: String }>} Content hashes by lowercase path, until the file changes */
+    #hashes = new Map();
+
+    /**
+     * @param {String} message
+     * @param {String?} path
+     * @returns {(reason: Error|any) => never}
+     */
+    static #catchCallback(message, path = null) {
+        return ( (reason) => {
+            throw OPFSCloud.#toError(message, path, reason);
+        });
+    }
+    /**
+     * @param {String} message
+     * @param {String?} path
+     * @param {Error|any} reason
+     * @returns {DropboxCloudError|DOMException} `reason` as the `DropboxCloudError` subclass `DropboxCloud` would raise
+     */
+    static #toError(message, path, reason) {
+        if (reason instanceof DropboxCloudError || reason?.name === 'AbortError') {
+            return reason;
+        }
+        const details = { cause: reason, path: path };
+        if (reason?.name === 'NotFoundError') {
+            // Removed while we were looking at it
+            return new NotFoundError(`${message}\n${reason.message}`, { ...details, tag: 'path/not_found' });
+        } else if (reason?.name === 'QuotaExceededError') {
+            return new InsufficientSpaceError(`${message}\n${reason.message}`, { ...details, tag: 'path/insufficient_space' });
+        } else {
+            return new DropboxCloudError(`${message}\n${reason?.message ?? reason}`, details);
+        }
+    }
+    /**
+     * @param {String} path `''` or `/` for root, else starts with `/`
+     * @returns {String[]} Names along `path`, empty for root
+     */
+    static #segments(path) {
+        if (typeof path !== 'string' || (path !== '' && !path.startsWith('/'))) {
+            throw new DropboxCloudError(`Malformed path '${path}', it must start with /.`, { tag: 'path/malformed_path', path: path });
+        }
+        return path.split('/').filter( (segment) => segment !== '' );
+    }
+    /**
+     * @param {String} path
+     * @param {String} tag
+     * @returns {NotFoundError|DropboxCloudError}
+     */
+    static #pathError(path, tag) {
+        const ErrorClass = tag === 'not_found' ? NotFoundError : DropboxCloudError;
+        return new ErrorClass(`Error at ${path}: path/${tag}.`, { tag: `path/${tag}`, path: path });
+    }
+    /**
+     * @param {String} name
+     * @param {(name: String) => Boolean} isTaken
+     * @returns {String} `name` with ` (n)` inserted before the extension, not taken yet
+     */
+    static #autorename(name, isTaken) {
+        const dot = name.lastIndexOf('.');
+        const [ stem, ext ] = dot > 0 ? [ name.slice(0, dot), name.slice(dot) ] : [ name, '' ];
+        for (let n = 1; ; n++) {
+            const candidate = `${stem} (${n})${ext}`;
+            if (!isTaken(candidate)) {
+                return candidate;
+            }
+        }
+    }
+
+    /** @returns {Promise<FileSystemDirectoryHandle>} Directory standing for the root folder */
+    #directory() {
+        this.#root ??= typeof this.#name === 'string'
+            ? navigator.storage.getDirectory().then( (opfs) => opfs.getDirectoryHandle(this.#name, { create: true }) )
+            : Promise.resolve(this.#name)
+        ;
+        return this.#root;
+    }
+    /**
+     * The file system itself may or may not be case-sensitive: names are matched without case here, like on Dropbox
+     * @param {FileSystemDirectoryHandle} dir
+     * @param {String} name
+     * @returns {Promise<FileSystemHandle?>}
+     */
+    async #child(dir, name) {
+        const lower = name.toLowerCase();
+        for await (const handle of dir.values()) {
+            if (handle.name.toLowerCase() === lower) {
+                return handle;
+            }
+        }
+        return null;
+    }
+    /**
+     * @param {String} path
+     * @returns {Promise<FoundEntry?>} The entry at `path` and its path as stored, null if it doesn't exist
+     */
+    async #find(path) {
+        let handle = await this.#directory();
+        let found = '';
+        for (const segment of OPFSCloud.#segments(path)) {
+            handle = handle.kind === 'directory' ? await this.#child(handle, segment) : null;
+            if (!handle) {
+                return null;
+            }
+            found += `/${handle.name}`;
+        }
+        return { handle: handle, path: found };
+    }
+    /**
+     * @param {String[]} segments Names along the folder's path
+     * @param {String} path For errors
+     * @returns {Promise<FoundEntry>} The folder, created with its missing parents
+     * @throws {ConflictError} If a file is in the way
+     */
+    async #makeFolders(segments, path) {
+        let dir = await this.#directory();
+        let found = '';
+        for (const segment of segments) {
+            const existing = await this.#child(dir, segment);
+            if (existing?.kind === 'file') {
+                throw new ConflictError(`Error creating folder ${path}: path/conflict/file_ancestor.`, { tag: 'path/conflict/file_ancestor', path: path });
+            }
+            dir = existing ?? await dir.getDirectoryHandle(segment, { create: true });
+            found += `/${dir.name}`;
+        }
+        return { handle: dir, path: found };
+    }
+    /**
+     * @param {FoundEntry} entry
+     * @returns {Promise<APIResult>} Metadata shaped like Dropbox's, with a `rev` that changes whenever the file does
+     */
+    async #metadata({ handle, path }) {
+        const metadata = {
+            '.tag': handle.kind === 'file' ? 'file' : 'folder',
+            name: handle.name,
+            path_lower: path.toLowerCase(),
+            path_display: path,
+        };
+        if (handle.kind !== 'file') {
+            return metadata;
+        }
+        const file = await handle.getFile();
+        let cached = this.#hashes.get(metadata.path_lower);
+        if (cached?.lastModified !== file.lastModified || cached?.size !== file.size) {
+            cached = { lastModified: file.lastModified, size: file.size, content_hash: await DropboxCloud.contentHash(file) };
+            this.#hashes.set(metadata.path_lower, cached);
+        }
+        const modified = new Date(file.lastModified).toISOString().replace(/\.\d+Z$/, 'Z');
+        return Object.assign(metadata, {
+            client_modified: modified,
+            server_modified: modified,
+            rev: `${file.lastModified.toString(16)}${cached.content_hash.slice(0, 8)}`,
+            size: file.size,
+            is_downloadable: true,
+            content_hash: cached.content_hash,
+        });
+    }
+    /**
+     * @param {FoundEntry} folder
+     * @param {Boolean} recursive
+     * @param {AbortSignal?} signal
+     * @returns {AsyncGenerator<APIResult>} Metadata of the entries in `folder`, sorted by name
+     */
+    async *#entries(folder, recursive, signal) {
+        const handles = await Array.fromAsync(folder.handle.values());
+        handles.sort( (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()) );
+        for (const handle of handles) {
+            signal?.throwIfAborted();
+            const entry = { handle: handle, path: `${folder.path}/${handle.name}` };
+            yield await this.#metadata(entry);
+            if (recursive && handle.kind === 'directory') {
+                yield* this.#entries(entry, recursive, signal);
+            }
+        }
+    }
+    /**
+     * @param {String} path
+     * @param {Boolean} recursive
+     * @param {AbortSignal?} signal
+     * @returns {AsyncGenerator<APIResult>} Metadata of the entries in the folder at `path`
+     */
+    async *#listFolderEntries(path, recursive, signal) {
+        try {
+            const folder = await this.#find(path);
+            if (!folder) {
+                throw OPFSCloud.#pathError(path, 'not_found');
+            }
+            if (folder.handle.kind !== 'directory') {
+                throw OPFSCloud.#pathError(path, 'not_folder');
+            }
+            yield* this.#entries(folder, recursive, signal);
+        } catch (reason) {
+            throw OPFSCloud.#toError(`Error listing folder ${path}.`, path, reason);
+        }
+    }
+
+    ////////////////////////////
+    // PUBLIC API STARTS HERE //
+    ////////////////////////////
+
+    /** @param {String|FileSystemDirectoryHandle} root Optional. Directory in the origin private file system, or any directory handle, standing for the root folder. */
+    constructor(root = 'cloud-storage') {
+        super();
+        this.#name = root;
+    }
+
+    /**
+     * Nothing to log in to: the arguments are those of `DropboxCloud.OAuth`, and ignored.
+     * @param {Number?} timeout
+     * @returns {Promise<undefined>}
+     */
+    async OAuth(timeout = null) {}
+
+    /** @returns {Promise<Boolean>} true, there's nothing to log in to */
+    async isLoggedIn() { return true; }
+
+    /**
+     * Nothing to revoke, the files are kept.
+     * @returns {Promise<Boolean>} false
+     */
+    async logout() {
+        this.dispatchEvent(new CustomEvent('logout', { detail: { revoked: false } }));
+        return false;
+    }
+
+    /**
+     * @param {String} path `''` or `/` for root, else starts with `/`
+     * @param {Object} options Optional.
+     * @param {Boolean?} options.recursive Also list the contents of subfolders.
+     * @param {AbortSignal?} options.signal Cancels the listing between entries.
+     * @return {FolderListing} Async iterable of entries, `cursor` always null
+     */
+    listFolder(path, { recursive = false, signal = null } = {}) {
+        const entries = this.#listFolderEntries(path, recursive, signal);
+        return {
+            cursor: null,
+            [Symbol.asyncIterator]: () => entries,
+        };
+    }
+
+    /**
+     * @param {String} path `''` or `/` for root, else starts with `/`
+     * @param {Number?} timeout Ignored
+     * @param {Object} options Optional. Same as `listFolder`'s.
+     * @return {Promise<APIResult>} Every entry of the folder, `cursor` always null
+     */
+    async fetchFileList(path, timeout = null, { recursive = false, signal = null } = {}) {
+        const entries = await Array.fromAsync(this.listFolder(path, { recursive, signal }));
+        return { entries: entries, cursor: null, has_more: false };
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout Ignored
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation.
+     * @return {Promise<APIResult?>} Metadata of the file or folder, with its `rev` and `size` for files, null if it doesn't exist
+     */
+    async getMetadata(path, timeout = null, { signal = null } = {}) {
+        signal?.throwIfAborted();
+        const entry = await this.#find(path).catch(OPFSCloud.#catchCallback(`Error fetching metadata of ${path}.`, path));
+        if (entry?.path === '') {
+            // As on Dropbox, the root folder has no metadata
+            throw OPFSCloud.#pathError(path, 'malformed_path');
+        }
+        return entry && this.#metadata(entry).catch(OPFSCloud.#catchCallback(`Error fetching metadata of ${path}.`, path));
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout Ignored
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation.
+     * @return {Promise<APIResult>} Metadata of the file, with its contents as `fileBlob`
+     */
+    async downloadFile(path, timeout = null, { signal = null } = {}) {
+        signal?.throwIfAborted();
+        const entry = await this.#find(path).catch(OPFSCloud.#catchCallback(`Error downloading file from ${path}.`, path));
+        if (!entry) {
+            throw OPFSCloud.#pathError(path, 'not_found');
+        }
+        if (entry.handle.kind !== 'file') {
+            throw OPFSCloud.#pathError(path, 'not_file');
+        }
+        const fileBlob = await entry.handle.getFile().catch(OPFSCloud.#catchCallback(`Error downloading file from ${path}.`, path));
+        return { ...await this.#metadata(entry), fileBlob: fileBlob };
+    }
+
+    /**
+     * @param {File|ChunkSource} file
+     * @param {String} dir Starts and ends with `/`
+     * @param {Number?} timeout Ignored
+     * @param {Object} options Optional.
+     * @param {ProgressCallback?} options.onProgress Called once the file is written.
+     * @param {AbortSignal?} options.signal Cancels the upload, leaving any previous version of the file as it was.
+     * @param {WriteMode?} options.mode What to do if the file already exists: `add` keeps it, `overwrite` replaces it, `update` replaces it only if it's still at `rev`. Defaults to `overwrite`.
+     * @param {String?} options.rev Revision the file is expected to be at, required for `update`.
+     * @param {Boolean?} options.autorename On conflict, save under a free name instead of raising a `ConflictError`.
+     * @param {Boolean?} options.strictConflict Conflict even if the existing file has the same contents, which is otherwise a no-op, as on Dropbox.
+     * @return {Promise<APIResult>} Metadata of the written file
+     * @throws {ConflictError} If `mode` is `add` or `update` and the file was changed since
+     */
+    async uploadFile(file, dir = '/', timeout = null, { onProgress = null, signal = null, mode = 'overwrite', rev = null, autorename = false, strictConflict = false } = {}) {
+        if (mode === 'update' && !rev) {
+            throw new DropboxCloudError(`Uploading ${file.name} in update mode requires the expected rev.`);
+        }
+        const filepath = `/${dir}/${file.name}`.replace(/\/+/g, '/');
+        signal?.throwIfAborted();
+        try {
+            const folder = await this.#makeFolders(OPFSCloud.#segments(filepath).slice(0, -1), filepath);
+            const names = (await Array.fromAsync(folder.handle.keys())).map( (name) => name.toLowerCase() );
+            let name = file.name;
+            const existing = await this.#child(folder.handle, name);
+            const conflict = async (kind) => {
+                if (!autorename) {
+                    const metadata = existing && await this.#metadata({ handle: existing, path: `${folder.path}/${existing.name}` });
+                    throw new ConflictError(`Error uploading file ${file.name}: path/conflict/${kind}.`, { tag: `path/conflict/${kind}`, path: filepath, metadata: metadata });
+                }
+                name = OPFSCloud.#autorename(file.name, (candidate) => names.includes(candidate.toLowerCase()));
+            };
+            if (existing?.kind === 'directory') {
+                await conflict('folder');
+            } else if (existing) {
+                name = existing.name;
+                const current = await this.#metadata({ handle: existing, path: `${folder.path}/${existing.name}` });
+                if (!strictConflict && current.content_hash === await DropboxCloud.contentHash(file) && (mode !== 'update' || current.rev === rev)) {
+                    onProgress?.({ loaded: file.size, total: file.size });
+                    return current;
+                }
+                if (mode === 'add' || (mode === 'update' && current.rev !== rev)) {
+                    await conflict('file');
+                }
+            } else if (mode === 'update') {
+                await conflict('file');
+            }
+
+            const handle = await folder.handle.getFileHandle(name, { create: true });
+            const writable = await handle.createWritable();
+            try {
+                for (let offset = 0; offset < file.size; offset += DropboxCloud.CHUNK_SIZE) {
+                    signal?.throwIfAborted();
+                    await writable.write(await file.slice(offset, offset + DropboxCloud.CHUNK_SIZE));
+                }
+                signal?.throwIfAborted();
+                await writable.close();
+            } catch (reason) {
+                // Nothing is written unless the stream is closed, only a new empty file is left to remove
+                await writable.abort().catch( () => null );
+                if (name !== existing?.name) {
+                    await folder.handle.removeEntry(name).catch( () => null );
+                }
+                throw reason;
+            }
+            onProgress?.({ loaded: file.size, total: file.size });
+            return await this.#metadata({ handle: handle, path: `${folder.path}/${name}` });
+        } catch (reason) {
+            throw OPFSCloud.#toError(`Error uploading file ${file.name}.`, filepath, reason);
+        }
+    }
+
+    /**
+     * @param {String} path Starts with `/`
+     * @param {Number?} timeout Ignored
+     * @param {Object} options Optional.
+     * @param {AbortSignal?} options.signal Cancels the operation.
+     * @return {Promise<APIResult>} Metadata of the deleted file or folder
+     */
+    async delete(path, timeout = null, { signal = null } = {}) {
+        signal?.throwIfAborted();
+        try {
+            const entry = await this.#find(path);
+            if (!entry) {
+                throw OPFSCloud.#pathError(path, 'not_found');
+            }
+            if (entry.path === '') {
+                throw OPFSCloud.#pathError(path, 'malformed_path');
+            }
+            const metadata = await this.#metadata(entry);
+            const parent = await this.#find(entry.path.slice(0, entry.path.lastIndexOf('/')));
+            await parent.handle.removeEntry(entry.handle.name, { recursive: true });
+            for (const key of this.#hashes.keys()) {
+                if (key === metadata.path_lower || key.startsWith(`${metadata.path_lower}/`)) {
+                    this.#hashes.delete(key);
+                }
+            }
+            return metadata;
+        } catch (reason) {
+            throw OPFSCloud.#toError(`Error deleting ${path}.`, path, reason);
+        }
+    }
+}
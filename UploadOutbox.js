@@ -0,0 +1,327 @@
+/** @typedef {any} ignore */
+/** @typedef {{ [key: String]: any }} APIResult */
+/** `CloudStorage`, `WriteMode` and `ProgressCallback` are defined in DropboxCloud.js */
+/**
+ @typedef {{
+    id: Number,
+    file: Blob,
+    name: String,
+    dir: String,
+    path: String,
+    mode: WriteMode,
+    rev: String?,
+    autorename: Boolean,
+    strictConflict: Boolean,
+    queuedAt: Number
+ }} OutboxItem
+ */
+
+/**
+ * Uploads that survive being offline: uploads made while offline, or that fail on the network, are kept in IndexedDB and sent later.
+ * Uploads are sent one at a time, in the order they were made, kept ones first, so a file's saves can't overtake one another.
+ * Kept uploads are sent on `replay()`, on page load, when the browser comes back online, and after the wait a rate limit asks for.
+ * Only `replay()` may log in, so no OAuth flow starts without the user: until it's called or an upload goes through,
+ * kept uploads are sent only while the cloud's stored tokens still work, see `isLoggedIn`.
+ * Works with any `CloudStorage`, e.g. a `DropboxCloud`, or an `EncryptedCloud` to keep only plaintext locally.
+ * Emits `CustomEvent`s:
+ * - `queued`, detail `{ item }`, when an upload is kept for later
+ * - `sent`, detail `{ item, metadata }`, when a kept upload went through
+ * - `failed`, detail `{ item, error }`, when a kept upload was rejected, e.g. on a conflict or a missing scope, and dropped
+ * - `blocked`, detail `{ item, error }`, when sending stopped at `item` on authentication, e.g. logged out: it stays kept until the next `replay()`
+ */
+class UploadOutbox extends EventTarget {
+    /** @type {CloudStorage} */
+    #cloud;
+    /** @type {String} */
+    #dbName;
+    /** @type {Promise<IDBDatabase>?} */
+    #db = null;
+    /** @type {Promise<Number>?} Replay in progress */
+    #replaying = null;
+    /** @type {Promise<any>} Last upload or replay, they run one at a time */
+    #tail = Promise.resolve();
+    /** @type {Boolean} Whether replaying may log in, once the caller did */
+    #authorized = false;
+    /** @type {() => ignore} */
+    #onOnline;
+    /** @type {Number?} Timer of the replay after a rate limit */
+    #retryTimer = null;
+
+    /**
+     * @param {IDBRequest} request
+     * @returns {Promise<any>} Result of `request`
+     */
+    static #promisify(request) {
+        return new Promise( (resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    /**
+     * @param {Error|any} reason
+     * @returns {Boolean} true if the upload may go through later as it is: offline or rate limited
+     */
+    static #isTransient(reason) {
+        return reason instanceof NetworkError || reason instanceof RateLimitError;
+    }
+    /**
+     * @param {Error|any} reason
+     * @returns {Boolean} true if the upload may go through once logged in again. A missing scope isn't granted by logging in.
+     */
+    static #isAuthFailure(reason) {
+        return reason instanceof AuthError && !(reason instanceof MissingScopeError);
+    }
+    /**
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} operation
+     * @returns {Promise<any>} Result of the request made by `operation`
+     */
+    async #run(mode, operation) {
+        this.#db ??= new Promise( (resolve, reject) => {
+            const request = indexedDB.open(this.#dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            request.onsuccess = () => {
+                // Let another tab upgrade or delete the database, reopen on next use
+                request.result.onversionchange = () => {
+                    request.result.close();
+                    this.#db = null;
+                };
+                resolve(request.result);
+            };
+            // Try opening again on next use
+            request.onerror = () => {
+                this.#db = null;
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                this.#db = null;
+                // Don't hold the database if it opens after all
+                request.onsuccess = () => request.result.close();
+                reject(new Error(`Opening ${this.#dbName} is blocked by another tab that has it open.`));
+            };
+        });
+        const db = await this.#db;
+        return UploadOutbox.#promisify(operation(db.transaction('outbox', mode).objectStore('outbox')));
+    }
+    /**
+     * @param {String} type
+     * @param {Object} detail
+     */
+    #dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+    /**
+     * @param {() => Promise<any>} task
+     * @returns {Promise<any>} Result of `task`, run once the previous upload or replay is done
+     */
+    #exclusive(task) {
+        const run = this.#tail.then(task);
+        this.#tail = run.catch( (reason) => null );
+        return run;
+    }
+    /**
+     * @param {Omit<OutboxItem, 'id'>} item
+     * @returns {Promise<OutboxItem>} `item`, with its id
+     */
+    async #enqueue(item) {
+        item = { ...item, id: await this.#run('readwrite', (store) => store.add(item)) };
+        this.#dispatch('queued', { item: item });
+        return item;
+    }
+    /**
+     * @param {OutboxItem} item
+     * @param {Error|any} reason
+     * @returns {never}
+     */
+    #block(item, reason) {
+        this.#dispatch('blocked', { item: item, error: reason });
+        throw reason;
+    }
+    /**
+     * @param {Number?} timeout for OAuth, in seconds
+     * @returns {Promise<Number>} How many uploads were sent
+     */
+    async #replay(timeout) {
+        let sent = 0;
+        for (;;) {
+            const cursor = await this.#run('readonly', (store) => store.openCursor());
+            const item = cursor?.value;
+            if (!item) {
+                return sent;
+            }
+            if (sent === 0) {
+                // Not logging in is no reason to drop an upload
+                await this.#cloud.OAuth(timeout).catch( (reason) => this.#block(item, reason) );
+            }
+            let metadata;
+            try {
+                // Not every IndexedDB keeps a File's name
+                metadata = await this.#cloud.uploadFile(new File([ item.file ], item.name), item.dir, timeout, {
+                    mode: item.mode,
+                    rev: item.rev,
+                    autorename: item.autorename,
+                    strictConflict: item.strictConflict,
+                });
+            } catch (reason) {
+                if (reason instanceof RateLimitError) {
+                    clearTimeout(this.#retryTimer);
+                    this.#retryTimer = setTimeout( () => this.#resume(), (reason.retry_after ?? UploadOutbox.RATE_LIMIT_DELAY) * 1000 );
+                }
+                if (UploadOutbox.#isTransient(reason)) {
+                    throw reason;
+                }
+                if (UploadOutbox.#isAuthFailure(reason)) {
+                    this.#block(item, reason);
+                }
+                await this.#run('readwrite', (store) => store.delete(item.id));
+                this.#dispatch('failed', { item: item, error: reason });
+                continue;
+            }
+            await this.#run('readwrite', (store) => store.delete(item.id));
+            if (item.mode === 'update') {
+                await this.#rebase(item, metadata.rev);
+            }
+            sent++;
+            this.#dispatch('sent', { item: item, metadata: metadata });
+        }
+    }
+    /**
+     * Later updates of the file were made offline from the same revision as `item`: they now build on the revision `item` created
+     * @param {OutboxItem} item Just sent
+     * @param {String} rev The file's new revision
+     */
+    async #rebase(item, rev) {
+        for (const later of await this.#run('readonly', (store) => store.getAll())) {
+            if (later.mode === 'update' && later.rev === item.rev && later.path.toLowerCase() === item.path.toLowerCase()) {
+                await this.#run('readwrite', (store) => store.put({ ...later, rev: rev }));
+            }
+        }
+    }
+    /**
+     * Replays the kept uploads, if replaying may log in or the cloud is logged in already
+     * @returns {Promise<undefined>}
+     */
+    async #resume() {
+        try {
+            if (!this.#authorized) {
+                // Checks the stored tokens only when there's something to send
+                if (await this.#run('readonly', (store) => store.count()) === 0 || !await this.#cloud.isLoggedIn()) {
+                    return;
+                }
+                this.#authorized = true;
+            }
+            await this.replay();
+        } catch (reason) {
+            // Still offline, or logged out and reported as `blocked`: the uploads stay kept
+            if (!UploadOutbox.#isTransient(reason) && !UploadOutbox.#isAuthFailure(reason)) {
+                console.debug(new Error('Error replaying the upload outbox.', { cause: reason }));
+            }
+        }
+    }
+
+    ////////////////////////////
+    // PUBLIC API STARTS HERE //
+    ////////////////////////////
+
+    /** @property Seconds to wait before sending again after a rate limit that didn't say how long */
+    static RATE_LIMIT_DELAY = 60;
+
+    /**
+     * Sends the uploads kept from a previous page load right away if the cloud is still logged in, and the uploads kept later once back online.
+     * @param {CloudStorage} cloud Where the files are uploaded
+     * @param {String} dbName Optional. One database per outbox.
+     */
+    constructor(cloud, dbName = 'dropbox-outbox') {
+        super();
+        this.#cloud = cloud;
+        this.#dbName = dbName;
+        this.#onOnline = () => { this.#resume(); };
+        globalThis.addEventListener?.('online', this.#onOnline);
+        if (globalThis.navigator?.onLine !== false) {
+            this.#resume();
+        }
+    }
+
+    /**
+     * Uploads `file` once the uploads before it are done if possible, else keeps it to upload later.
+     * Takes the same arguments as `DropboxCloud.uploadFile`: see there.
+     * @param {File} file
+     * @param {String} dir Starts and ends with `/`
+     * @param {Number?} timeout for OAuth, in seconds, also when sending the uploads kept before it
+     * @param {Object} options Optional.
+     * @param {ProgressCallback?} options.onProgress Only for an upload sent right away.
+     * @param {AbortSignal?} options.signal Only for an upload sent right away. Cancelling doesn't keep it.
+     * @param {WriteMode?} options.mode Defaults to `overwrite`.
+     * @param {String?} options.rev Required for `update`.
+     * @param {Boolean?} options.autorename
+     * @param {Boolean?} options.strictConflict
+     * @return {Promise<APIResult?>} Metadata of the uploaded file, null if it was kept for later
+     */
+    async uploadFile(file, dir = '/', timeout = null, { onProgress = null, signal = null, mode = 'overwrite', rev = null, autorename = false, strictConflict = false } = {}) {
+        if (mode === 'update' && !rev) {
+            throw new DropboxCloudError(`Uploading ${file.name} in update mode requires the expected rev.`);
+        }
+        const item = {
+            file: file,
+            name: file.name,
+            dir: dir,
+            path: `/${dir}/${file.name}`.replace(/\/+/g, '/'),
+            mode: mode,
+            rev: rev,
+            autorename: autorename,
+            strictConflict: strictConflict,
+            queuedAt: Date.now(),
+        };
+        // Sent after the uploads made before it, even if they were sent directly and fail over to the outbox
+        return this.#exclusive( async () => {
+            if (globalThis.navigator?.onLine === false || await this.#run('readonly', (store) => store.count()) > 0) {
+                await this.#enqueue(item);
+                if (globalThis.navigator?.onLine !== false) {
+                    // Started by the caller, who may log in
+                    this.replay(timeout).catch( (reason) => null );
+                }
+                return null;
+            }
+            try {
+                const metadata = await this.#cloud.uploadFile(file, dir, timeout, { onProgress, signal, mode, rev, autorename, strictConflict });
+                this.#authorized = true;
+                return metadata;
+            } catch (reason) {
+                if (!(reason instanceof NetworkError)) {
+                    throw reason;
+                }
+                await this.#enqueue(item);
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Logs in if needed, then sends the kept uploads, in order, until none are left or the network fails again. Concurrent calls share the same run.
+     * Failing to log in, or a rejected token, stops at the upload it was sending, with a `blocked` event.
+     * Uploads rejected for other reasons than the network, authentication or rate limiting are dropped, with a `failed` event.
+     * @param {Number?} timeout for OAuth, in seconds
+     * @returns {Promise<Number>} How many uploads were sent
+     */
+    replay(timeout = null) {
+        this.#authorized = true;
+        this.#replaying ??= this.#exclusive( () => this.#replay(timeout) ).finally( () => { this.#replaying = null; } );
+        return this.#replaying;
+    }
+
+    /** @returns {Promise<OutboxItem[]>} Uploads waiting to be sent, oldest first */
+    async list() { return this.#run('readonly', (store) => store.getAll()); }
+
+    /**
+     * Drops a kept upload
+     * @param {Number} id Of an `OutboxItem`
+     */
+    async remove(id) { await this.#run('readwrite', (store) => store.delete(id)); }
+
+    /** Stops replaying when back online or after a rate limit, e.g. before dropping the outbox. Kept uploads stay kept. */
+    close() {
+        globalThis.removeEventListener?.('online', this.#onOnline);
+        clearTimeout(this.#retryTimer);
+        this.#retryTimer = null;
+    }
+}
@@ -0,0 +1,99 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloud } from '../DropboxCloud.esm.js';
+import { DropboxAccounts } from '../DropboxAccounts.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+
+describe('DropboxAccounts', () => {
+    /** @type {DropboxFake} */
+    let fake;
+    /** @type {{ active: String?, accounts: Object }?} What the storage holds */
+    let saved;
+    /** Keeps the accounts' state in memory, as a storage would */
+    const storage = {
+        loadAccounts: async () => structuredClone(saved),
+        saveAccounts: async (state) => { saved = structuredClone(state); },
+    };
+    /** @type {String?} Account the next login is for, null to fail it */
+    let nextAccount;
+    /** @type {String[]} Events of the manager, as `type accountId` */
+    let events;
+
+    /** @returns {DropboxAccounts} Logs in headlessly, as `nextAccount` */
+    const accounts = () => {
+        const manager = new DropboxAccounts('app-key', undefined, null, storage, true, DropboxCloud.pasteCode( (url) => {
+            assert.ok(nextAccount, 'Unexpected login');
+            return fake.createAuthorizationCode(new URL(url).searchParams.get('code_challenge'), undefined, nextAccount);
+        }));
+        for (const type of [ 'link', 'unlink', 'switch' ]) {
+            manager.addEventListener(type, (event) => events.push(`${type} ${event.detail.accountId}`));
+        }
+        return manager;
+    };
+
+    beforeEach(async () => {
+        fake = new DropboxFake({ teamSpace: true });
+        await DropboxCloud.init(fake.SDK);
+        saved = null;
+        nextAccount = 'dbid:personal';
+        events = [];
+    });
+
+    it('links accounts, each with its own client, and switches between them', async () => {
+        const manager = accounts();
+        assert.deepEqual(await manager.listAccounts(), []);
+        assert.equal(manager.active, null);
+        const personal = await manager.link();
+        nextAccount = 'dbid:work';
+        const work = await manager.link();
+        assert.equal(personal.accountId, 'dbid:personal');
+        assert.equal(work.accountId, 'dbid:work');
+        assert.equal(manager.active, work);
+        assert.deepEqual((await manager.listAccounts()).map( ({ accountId, active }) => [ accountId, active ] ), [ [ 'dbid:personal', false ], [ 'dbid:work', true ] ]);
+
+        assert.equal(await manager.switchTo('dbid:personal'), personal);
+        assert.equal(manager.activeAccountId, 'dbid:personal');
+        await manager.switchTo('dbid:personal');
+        assert.deepEqual(events, [ 'link dbid:personal', 'switch dbid:personal', 'link dbid:work', 'switch dbid:work', 'switch dbid:personal' ]);
+        await assert.rejects(manager.switchTo('dbid:other'), /isn't linked/);
+    });
+
+    it('restores the linked accounts, their path roots and the active one without logging in again', async () => {
+        const manager = accounts();
+        await manager.link();
+        nextAccount = 'dbid:work';
+        await manager.link();
+        const pathRoot = await manager.setPathRoot('team');
+        await manager.switchTo('dbid:personal');
+
+        nextAccount = null;
+        const reloaded = accounts();
+        const listed = await reloaded.listAccounts();
+        assert.deepEqual(listed.map( ({ accountId }) => accountId ), [ 'dbid:personal', 'dbid:work' ]);
+        assert.ok(listed[1].email);
+        assert.equal(reloaded.activeAccountId, 'dbid:personal');
+        assert.equal((await reloaded.active.getAccount()).account_id, 'dbid:personal');
+        assert.equal((await reloaded.get('dbid:work').getAccount()).account_id, 'dbid:work');
+        assert.deepEqual(reloaded.get('dbid:work').pathRoot, pathRoot);
+        assert.equal(reloaded.get('dbid:personal').pathRoot ?? null, null);
+    });
+
+    it('unlinks accounts, making another one active', async () => {
+        const manager = accounts();
+        await manager.link();
+        nextAccount = 'dbid:work';
+        await manager.link();
+        events = [];
+        assert.equal(await manager.unlink(), true);
+        assert.equal(manager.activeAccountId, 'dbid:personal');
+        assert.deepEqual(Object.keys(saved.accounts), [ 'dbid:personal' ]);
+        assert.equal(saved.active, 'dbid:personal');
+
+        // Logging out the client unlinks its account too
+        await manager.active.logout();
+        await new Promise( (resolve) => setTimeout(resolve) );
+        assert.equal(manager.active, null);
+        assert.deepEqual(saved, { active: null, accounts: {} });
+        assert.deepEqual(events, [ 'unlink dbid:work', 'switch dbid:personal', 'unlink dbid:personal', 'switch null' ]);
+    });
+});
@@ -0,0 +1,725 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloud, DropboxCloudError, ConflictError, NotFoundError, RateLimitError, ZipLimitError, InvalidDocumentError, MissingScopeError } from '../DropboxCloud.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+import { connect, restoreSettings } from './helpers.mjs';
+
+describe('DropboxCloud', () => {
+    /** @type {DropboxFake} */
+    let fake;
+    /** @type {DropboxCloud} */
+    let cloud;
+
+    beforeEach(async () => {
+        fake = new DropboxFake();
+        cloud = await connect(fake);
+    });
+
+    describe('upload sessions', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'FILE_SIZE_LIMIT', 'CHUNK_SIZE', 'RETRY_DELAY' ]);
+        beforeEach( () => {
+            DropboxCloud.FILE_SIZE_LIMIT = 8;
+            DropboxCloud.CHUNK_SIZE = 4;
+            DropboxCloud.RETRY_DELAY = 0.01;
+        });
+        afterEach(restore);
+
+        it('uploads large files in chunks, reporting progress', async () => {
+            const progress = [];
+            const metadata = await cloud.uploadFile(new File([ 'hello large world' ], 'big.txt'), '/', null, { onProgress: ({ loaded }) => progress.push(loaded) });
+            assert.equal(metadata.size, 17);
+            assert.equal(await (await fake.getFile('/big.txt')).text(), 'hello large world');
+            assert.deepEqual(progress, progress.toSorted( (a, b) => a - b ));
+            assert.equal(progress.at(-1), 17);
+        });
+
+        it('retries a failed chunk and recovers from an offset mismatch', async () => {
+            fake.injectError('files/upload_session/append_v2', 503, 'down');
+            fake.injectError('files/upload_session/append_v2', 409, { error_summary: 'incorrect_offset/', error: { '.tag': 'incorrect_offset', correct_offset: 4 } });
+            await cloud.uploadFile(new File([ '0123456789abcdef' ], 'big.txt'), '/');
+            assert.equal(await (await fake.getFile('/big.txt')).text(), '0123456789abcdef');
+        });
+
+        it('resumes a cancelled upload from its session', async () => {
+            const controller = new AbortController();
+            let session = null;
+            const onSession = (state) => {
+                session = state;
+                if (state.offset >= 8) {
+                    controller.abort();
+                }
+            };
+            await assert.rejects(cloud.uploadFile(new File([ '0123456789abcdefXYZ' ], 'big.txt'), '/', null, { signal: controller.signal, onSession }), { name: 'AbortError' });
+            assert.equal(session.offset, 8);
+            assert.equal(await fake.getFile('/big.txt'), null);
+            const progress = [];
+            await cloud.uploadFile(new File([ '0123456789abcdefXYZ' ], 'big.txt'), '/', null, { session, onProgress: ({ loaded }) => progress.push(loaded) });
+            assert.equal(await (await fake.getFile('/big.txt')).text(), '0123456789abcdefXYZ');
+            assert.ok(progress[0] >= 8);
+        });
+    });
+
+    describe('listing', () => {
+        beforeEach(async () => {
+            fake = new DropboxFake({ pageSize: 2 });
+            cloud = await connect(fake);
+            for (const name of [ 'a', 'b', 'c', 'd', 'e' ]) {
+                await fake.putFile(`/p/${name}.json`, name);
+            }
+            await fake.putFile('/p/sub/x.json', 'x');
+        });
+
+        it('iterates over every page of a folder', async () => {
+            const listing = cloud.listFolder('/p');
+            const names = [];
+            for await (const entry of listing) {
+                names.push(entry.name);
+            }
+            assert.deepEqual(names.toSorted(), [ 'a.json', 'b.json', 'c.json', 'd.json', 'e.json', 'sub' ]);
+            assert.ok(listing.cursor);
+        });
+
+        it('lists recursively, and only the changes since a cursor', async () => {
+            const all = await cloud.fetchFileList('/p', null, { recursive: true });
+            assert.equal(all.entries.length, 7);
+            await fake.putFile('/p/f.json', 'f');
+            const changes = await cloud.fetchFileList('/p', null, { cursor: all.cursor });
+            assert.deepEqual(changes.entries.map( (entry) => entry.name ), [ 'f.json' ]);
+        });
+
+        it('throws a NotFoundError for a missing folder', async () => {
+            await assert.rejects(cloud.fetchFileList('/none'), NotFoundError);
+        });
+    });
+
+    describe('file management', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'BATCH_POLL_INTERVAL' ]);
+        beforeEach( () => {
+            DropboxCloud.BATCH_POLL_INTERVAL = 0;
+        });
+        afterEach(restore);
+
+        it('creates, moves, copies, renames and deletes', async () => {
+            assert.equal((await cloud.createFolder('/A/B')).path_display, '/A/B');
+            await assert.rejects(cloud.createFolder('/A/B'), ConflictError);
+            await fake.putFile('/A/B/x.txt', 'x');
+            assert.equal((await cloud.move('/A/B', '/C')).path_display, '/C');
+            assert.equal((await cloud.copy('/C/x.txt', '/C/y.txt')).path_display, '/C/y.txt');
+            assert.equal((await cloud.rename('/C/y.txt', 'z.txt')).path_display, '/C/z.txt');
+            assert.equal((await cloud.delete('/A')).path_display, '/A');
+            assert.deepEqual(fake.listAll().map( (entry) => entry.path_display ).toSorted(), [ '/C', '/C/x.txt', '/C/z.txt' ]);
+            await assert.rejects(cloud.rename('/C/z.txt', 'a/b.txt'), DropboxCloudError);
+        });
+
+        it('reports each entry of a batch on its own', async () => {
+            await fake.putFile('/a.txt', 'a');
+            const [ moved, missing ] = await cloud.moveBatch([ { from_path: '/a.txt', to_path: '/D/a.txt' }, { from_path: '/none', to_path: '/D/none' } ]);
+            assert.equal(moved.success.path_display, '/D/a.txt');
+            assert.equal(missing['.tag'], 'failure');
+            const [ copied ] = await cloud.copyBatch([ { from_path: '/D/a.txt', to_path: '/D/b.txt' } ]);
+            assert.equal(copied.success.path_display, '/D/b.txt');
+            const deleted = await cloud.deleteBatch([ '/D/a.txt', '/D/b.txt' ]);
+            assert.deepEqual(deleted.map( (result) => result.metadata.path_display ), [ '/D/a.txt', '/D/b.txt' ]);
+            assert.deepEqual((await cloud.fetchFileList('/D')).entries, []);
+        });
+    });
+
+    describe('write modes', () => {
+        it('refuses to overwrite in add mode, with the existing metadata', async () => {
+            await fake.putFile('/d/a.txt', 'old');
+            await assert.rejects(
+                cloud.uploadFile(new File([ 'new' ], 'a.txt'), '/d/', null, { mode: 'add' }),
+                (reason) => reason instanceof ConflictError && reason.metadata?.name === 'a.txt',
+            );
+            assert.equal(await (await fake.getFile('/d/a.txt')).text(), 'old');
+        });
+
+        it('treats the same contents as no conflict, unless strict', async () => {
+            const first = await cloud.uploadFile(new File([ 'same' ], 'a.txt'), '/d/');
+            assert.equal((await cloud.uploadFile(new File([ 'same' ], 'a.txt'), '/d/', null, { mode: 'add' })).rev, first.rev);
+            await assert.rejects(cloud.uploadFile(new File([ 'same' ], 'a.txt'), '/d/', null, { mode: 'add', strictConflict: true }), ConflictError);
+        });
+
+        it('renames instead with autorename', async () => {
+            await fake.putFile('/d/a.txt', 'old');
+            const metadata = await cloud.uploadFile(new File([ 'new' ], 'a.txt'), '/d/', null, { mode: 'add', autorename: true });
+            assert.equal(metadata.path_display, '/d/a (1).txt');
+        });
+
+        it('updates only from the expected rev', async () => {
+            const first = await cloud.uploadFile(new File([ 'v1' ], 'a.txt'), '/d/');
+            const second = await cloud.uploadFile(new File([ 'v2' ], 'a.txt'), '/d/', null, { mode: 'update', rev: first.rev });
+            await assert.rejects(cloud.uploadFile(new File([ 'v3' ], 'a.txt'), '/d/', null, { mode: 'update', rev: first.rev }), ConflictError);
+            assert.equal((await cloud.getMetadata('/d/a.txt')).rev, second.rev);
+            await assert.rejects(cloud.uploadFile(new File([ 'v3' ], 'a.txt'), '/d/', null, { mode: 'update' }), DropboxCloudError);
+        });
+    });
+
+    describe('content hashes', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'HASH_BLOCK_SIZE' ]);
+        const restoreFake = restoreSettings(DropboxFake, [ 'BLOCK_SIZE' ]);
+        afterEach( () => {
+            restore();
+            restoreFake();
+        });
+
+        it('hashes like Dropbox, block by block', async () => {
+            assert.equal(await DropboxCloud.contentHash(new Blob([])), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+            DropboxCloud.HASH_BLOCK_SIZE = 4;
+            DropboxFake.BLOCK_SIZE = 4;
+            const blob = new Blob([ 'spans three blocks' ]);
+            const metadata = await cloud.uploadFile(new File([ blob ], 'a.txt'), '/');
+            assert.equal(await DropboxCloud.contentHash(blob), metadata.content_hash);
+        });
+
+        it('skips uploading an unchanged file', async () => {
+            const first = await cloud.uploadFile(new File([ 'same' ], 'a.txt'), '/');
+            fake.injectError('files/upload', 409, { error_summary: 'other/', error: { '.tag': 'other' } });
+            assert.equal((await cloud.uploadFile(new File([ 'same' ], 'a.txt'), '/', null, { skipUnchanged: true })).rev, first.rev);
+            // The upload wasn't sent: the injected error is still waiting
+            await assert.rejects(cloud.uploadFile(new File([ 'changed' ], 'a.txt'), '/', null, { skipUnchanged: true }), DropboxCloudError);
+        });
+    });
+
+    describe('authentication events', () => {
+        /**
+         * @param {DropboxCloud} client
+         * @returns {Array<[ String, Object ]>} The events `client` emits from now on
+         */
+        const record = (client) => {
+            const events = [];
+            for (const type of [ 'login', 'tokenrefresh', 'logout', 'autherror' ]) {
+                client.addEventListener(type, (event) => events.push([ type, event.detail ]));
+            }
+            return events;
+        };
+
+        it('emits login after an OAuth flow', async () => {
+            let stored = null;
+            const approve = DropboxCloud.pasteCode( (url) => fake.createAuthorizationCode(new URL(url).searchParams.get('code_challenge')) );
+            const client = new DropboxCloud('app-key', null, null, { loadTokens: () => stored, saveTokens: (tokens) => { stored = tokens; } }, true, approve);
+            const events = record(client);
+            await client.fetchFileList('');
+            assert.deepEqual(events.map( ([ type ]) => type ), [ 'login' ]);
+            assert.equal(events[0][1].accountId, 'dbid:AAfakeaccount');
+            assert.ok(stored.refresh_token);
+        });
+
+        it('emits tokenrefresh when a stored refresh token is used', async () => {
+            const events = record(cloud);
+            await cloud.fetchFileList('');
+            assert.deepEqual(events.map( ([ type ]) => type ), [ 'tokenrefresh' ]);
+            assert.ok(events[0][1].expiresAt > new Date());
+        });
+
+        it('revokes the tokens on logout', async () => {
+            await cloud.fetchFileList('');
+            const events = record(cloud);
+            assert.equal(await cloud.logout(), true);
+            assert.deepEqual(events, [ [ 'logout', { revoked: true } ] ]);
+        });
+
+        it('emits autherror when the refresh token is rejected', async () => {
+            fake.revokeAllTokens();
+            const events = record(cloud);
+            // Then logging in again fails: there's no browser to open the OAuth page in
+            await assert.rejects(cloud.fetchFileList(''), DropboxCloudError);
+            assert.equal(events[0][0], 'autherror');
+            assert.match(events[0][1].error.message, /refreshing token/);
+        });
+    });
+
+    describe('errors and retries', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'RETRY_DELAY', 'MAX_RETRIES' ]);
+        beforeEach( () => {
+            DropboxCloud.RETRY_DELAY = 0.01;
+        });
+        afterEach(restore);
+
+        it('throws a NotFoundError for a missing file', async () => {
+            await assert.rejects(cloud.downloadFile('/nope.txt'), (reason) => reason instanceof NotFoundError && reason.path === '/nope.txt' && reason.tag === 'path/not_found');
+            assert.equal(await cloud.getMetadata('/nope.txt'), null);
+        });
+
+        it('retries reads on server errors', async () => {
+            await fake.putFile('/a.txt', 'a');
+            fake.injectError('files/get_metadata', 500, 'oops');
+            fake.injectError('files/get_metadata', 503, 'down');
+            assert.equal((await cloud.getMetadata('/a.txt')).name, 'a.txt');
+        });
+
+        it('gives up after MAX_RETRIES', async () => {
+            DropboxCloud.MAX_RETRIES = 2;
+            await fake.putFile('/a.txt', 'a');
+            for (let i = 0; i < 3; i++) {
+                fake.injectError('files/get_metadata', 500, 'oops');
+            }
+            await assert.rejects(cloud.getMetadata('/a.txt'), (reason) => reason instanceof DropboxCloudError && reason.status === 500);
+        });
+
+        it('does not retry non-idempotent writes on server errors', async () => {
+            fake.injectError('files/create_folder_v2', 500, 'oops');
+            await assert.rejects(cloud.createFolder('/x'), (reason) => reason.status === 500);
+            assert.equal((await cloud.createFolder('/x')).name, 'x');
+        });
+
+        it('retries rate limited writes, then throws a RateLimitError', async () => {
+            DropboxCloud.MAX_RETRIES = 2;
+            const tooMany = { error_summary: 'too_many_requests/', error: { '.tag': 'too_many_requests', retry_after: 0.01 } };
+            fake.injectError('files/create_folder_v2', 429, tooMany);
+            assert.equal((await cloud.createFolder('/x')).name, 'x');
+            for (let i = 0; i < 3; i++) {
+                fake.injectError('files/delete_v2', 429, tooMany);
+            }
+            await assert.rejects(cloud.delete('/x'), (reason) => reason instanceof RateLimitError && reason.retry_after === 0.01);
+        });
+    });
+
+    describe('scheduler', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'MAX_CONCURRENT_REQUESTS' ]);
+        beforeEach(async () => {
+            DropboxCloud.MAX_CONCURRENT_REQUESTS = 1;
+            for (const name of [ 'a', 'b', 'c' ]) {
+                await fake.putFile(`/${name}.txt`, name);
+            }
+            // Logged in, so requests go straight to the queue
+            await cloud.fetchFileList('');
+        });
+        afterEach(restore);
+
+        it('sends queued requests with a higher priority first', async () => {
+            const done = [];
+            await Promise.all([ [ 'a', 0 ], [ 'b', 0 ], [ 'c', 5 ] ].map( ([ name, priority ]) =>
+                cloud.getMetadata(`/${name}.txt`, null, { priority }).then( (metadata) => done.push(metadata.name) )
+            ));
+            assert.deepEqual(done, [ 'a.txt', 'c.txt', 'b.txt' ]);
+        });
+
+        it('drops a queued request once aborted, without sending it', async () => {
+            const controller = new AbortController();
+            const running = cloud.getMetadata('/a.txt');
+            const queued = cloud.createFolder('/x', null, { signal: controller.signal });
+            controller.abort();
+            await assert.rejects(queued, { name: 'AbortError' });
+            await running;
+            assert.equal(await cloud.getMetadata('/x'), null);
+        });
+
+        it('rejects at once with an aborted signal', async () => {
+            await assert.rejects(cloud.downloadFile('/a.txt', null, { signal: AbortSignal.abort() }), { name: 'AbortError' });
+        });
+    });
+
+    describe('multi-file uploads', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'CHUNK_SIZE', 'UPLOAD_BATCH_SIZE', 'BATCH_POLL_INTERVAL' ]);
+        beforeEach( () => {
+            DropboxCloud.CHUNK_SIZE = 4;
+            DropboxCloud.UPLOAD_BATCH_SIZE = 2;
+            DropboxCloud.BATCH_POLL_INTERVAL = 0;
+        });
+        afterEach(restore);
+
+        /**
+         * @param {String} relativePath
+         * @param {String} contents
+         * @returns {File} As from `<input type="file" webkitdirectory>`
+         */
+        const picked = (relativePath, contents) => {
+            const file = new File([ contents ], relativePath.slice(relativePath.lastIndexOf('/') + 1));
+            Object.defineProperty(file, 'webkitRelativePath', { value: relativePath });
+            return file;
+        };
+
+        it('keeps the folder structure, and reports progress across files', async () => {
+            const folder = {
+                kind: 'directory',
+                name: 'docs',
+                async *values() { yield { kind: 'file', name: 'd.txt', getFile: async () => new File([ 'dd' ], 'd.txt') }; },
+            };
+            const progress = [];
+            const results = await cloud.uploadFiles([ picked('photos/a.txt', 'hello world'), picked('photos/sub/b.txt', ''), folder ], '/up/', null, {
+                onProgress: ({ loaded, total }) => progress.push([ loaded, total ]),
+            });
+            assert.deepEqual(results.map( (result) => [ result.path, result.metadata?.size, result.error ] ), [
+                [ '/up/photos/a.txt', 11, null ],
+                [ '/up/photos/sub/b.txt', 0, null ],
+                [ '/up/docs/d.txt', 2, null ],
+            ]);
+            assert.equal(await (await fake.getFile('/up/photos/a.txt')).text(), 'hello world');
+            assert.deepEqual(progress.at(-1), [ 13, 13 ]);
+            assert.deepEqual(progress, progress.toSorted( (a, b) => a[0] - b[0] ));
+        });
+
+        it('fails only the files that conflict', async () => {
+            await fake.putFile('/up/photos/a.txt', 'old');
+            const results = await cloud.uploadFiles([ picked('photos/a.txt', 'new'), picked('photos/c.txt', 'c') ], '/up/', null, { mode: 'add' });
+            assert.ok(results[0].error instanceof ConflictError);
+            assert.equal(results[0].metadata, null);
+            assert.equal(results[1].metadata.path_display, '/up/photos/c.txt');
+            assert.equal(await (await fake.getFile('/up/photos/a.txt')).text(), 'old');
+        });
+    });
+
+    describe('folder downloads', () => {
+        const restoreFake = restoreSettings(DropboxFake, [ 'ZIP_ENTRY_LIMIT', 'ZIP_SIZE_LIMIT' ]);
+        beforeEach(async () => {
+            await fake.putFile('/work/project/src/main.js', 'console.log(1)');
+            await fake.putFile('/work/project/empty.txt', '');
+            await cloud.createFolder('/work/project/emptydir');
+        });
+        afterEach(restoreFake);
+
+        it('downloads a folder as a zip archive', async () => {
+            const zip = await cloud.downloadFolder('/work/project');
+            const signature = new Uint8Array(await zip.slice(0, 4).arrayBuffer());
+            assert.deepEqual(Array.from(signature), [ 0x50, 0x4b, 0x03, 0x04 ]);
+        });
+
+        it('extracts the archive, by archive path', async () => {
+            const files = await cloud.downloadFolder('/work/project', null, { extract: true });
+            assert.deepEqual(Array.from(files.keys()).toSorted(), [ 'project/empty.txt', 'project/src/main.js' ]);
+            assert.equal(await files.get('project/src/main.js').text(), 'console.log(1)');
+            assert.equal(files.get('project/empty.txt').size, 0);
+        });
+
+        it('throws a ZipLimitError for a folder over the limits', async () => {
+            DropboxFake.ZIP_ENTRY_LIMIT = 3;
+            await assert.rejects(cloud.downloadFolder('/work/project'), (reason) => reason instanceof ZipLimitError && reason.tag.endsWith('too_many_files'));
+            DropboxFake.ZIP_ENTRY_LIMIT = 10000;
+            DropboxFake.ZIP_SIZE_LIMIT = 10;
+            await assert.rejects(cloud.downloadFolder('/work/project', null, { extract: true }), (reason) => reason instanceof ZipLimitError && reason.tag.endsWith('too_large'));
+            await assert.rejects(cloud.downloadFolder('/none'), NotFoundError);
+        });
+    });
+
+    describe('sharing', () => {
+        beforeEach(async () => {
+            await fake.putFile('/a/b.txt', 'b');
+        });
+
+        it('gives temporary links to files only', async () => {
+            assert.match(await cloud.getTemporaryLink('/a/b.txt'), /^https:\/\//);
+            await assert.rejects(cloud.getTemporaryLink('/a'), DropboxCloudError);
+        });
+
+        it('creates a shared link with settings, and reuses it', async () => {
+            const expires = new Date(Date.UTC(2030, 0, 1));
+            const link = await cloud.createSharedLink('/a/b.txt', { password: 'secret', expires: expires, allowDownload: false });
+            assert.equal(new Date(link.expires).getTime(), expires.getTime());
+            const again = await cloud.createSharedLink('/a/b.txt', { visibility: 'public' });
+            assert.equal(again.url, link.url);
+            await cloud.createSharedLink('/a');
+            assert.deepEqual((await cloud.listSharedLinks('/a/b.txt')).map( (shared) => shared.url ), [ link.url ]);
+            assert.equal((await cloud.listSharedLinks()).length, 2);
+        });
+
+        it('revokes a shared link', async () => {
+            const link = await cloud.createSharedLink('/a/b.txt');
+            await cloud.revokeSharedLink(link.url);
+            assert.deepEqual(await cloud.listSharedLinks('/a/b.txt'), []);
+            await assert.rejects(cloud.revokeSharedLink(link.url), NotFoundError);
+            assert.notEqual((await cloud.createSharedLink('/a/b.txt')).url, link.url);
+        });
+    });
+
+    describe('watch', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'LONGPOLL_TIMEOUT' ]);
+        beforeEach(async () => {
+            DropboxCloud.LONGPOLL_TIMEOUT = 0.2;
+            await fake.putFile('/w/a.txt', 'a');
+            await fake.putFile('/w/sub/b.txt', 'b');
+        });
+        afterEach(restore);
+
+        /** @returns {Promise<Event>} The next `type` event of `watcher` */
+        const next = (watcher, type) => new Promise( (resolve) => watcher.addEventListener(type, resolve, { once: true }) );
+        const paths = (entries) => entries.map( (entry) => entry.path_display ).toSorted();
+
+        it('emits the changes a longpoll reports', async () => {
+            const watcher = cloud.watch('/w', { recursive: true });
+            try {
+                // Let the watch get its cursor first
+                await new Promise( (resolve) => setTimeout(resolve, 100) );
+                const changed = next(watcher, 'change');
+                await fake.putFile('/w/new.txt', 'n');
+                await fake.putFile('/other.txt', 'o');
+                const { detail } = await changed;
+                assert.deepEqual(paths(detail.added), [ '/w/new.txt' ]);
+                assert.deepEqual(detail.modified, []);
+                const deleted = next(watcher, 'change');
+                await cloud.delete('/w/sub');
+                assert.ok(paths((await deleted).detail.deleted).includes('/w/sub'));
+                assert.equal(typeof watcher.cursor, 'string');
+            } finally {
+                watcher.stop();
+            }
+            assert.ok(watcher.stopped);
+        });
+
+        it('stops when its signal is aborted', async () => {
+            const controller = new AbortController();
+            const watcher = cloud.watch('/w', { signal: controller.signal });
+            controller.abort();
+            assert.ok(watcher.stopped);
+        });
+
+        it('stops with an error event when the folder is missing', async () => {
+            const watcher = cloud.watch('/nope');
+            const { detail } = await next(watcher, 'error');
+            assert.ok(detail.error instanceof NotFoundError);
+            assert.ok(watcher.stopped);
+        });
+    });
+
+    describe('search', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'SEARCH_PAGE_SIZE' ]);
+        beforeEach(async () => {
+            DropboxCloud.SEARCH_PAGE_SIZE = 2;
+            for (const path of [ '/p/a.json', '/p/sub/b.json', '/p/c.txt', '/other/d.json' ]) {
+                await fake.putFile(path, path);
+            }
+        });
+        afterEach(restore);
+
+        const paths = async (matches) => (await Array.fromAsync(matches)).map( (entry) => entry.path_display ).toSorted();
+
+        it('follows the result pages, filtered by folder and extension', async () => {
+            assert.deepEqual(await paths(cloud.search('', { path: '/p', extensions: [ '.json' ] })), [ '/p/a.json', '/p/sub/b.json' ]);
+            assert.deepEqual(await paths(cloud.search('json')), [ '/other/d.json', '/p/a.json', '/p/sub/b.json' ]);
+        });
+
+        it('stops after maxResults, and finds nothing below 1', async () => {
+            assert.equal((await paths(cloud.search('json', { maxResults: 1 }))).length, 1);
+            assert.equal((await paths(cloud.search('json', { maxResults: 3 }))).length, 3);
+            assert.deepEqual(await paths(cloud.search('json', { maxResults: 0 })), []);
+        });
+
+        it('gets the metadata of an entry, null if missing', async () => {
+            assert.equal((await cloud.getMetadata('/P/A.json')).path_display, '/p/a.json');
+            assert.equal((await cloud.getMetadata('/p/sub'))['.tag'], 'folder');
+            assert.equal(await cloud.getMetadata('/p/none.json'), null);
+        });
+    });
+
+    describe('revisions', () => {
+        it('lists, downloads and restores revisions', async () => {
+            const first = await cloud.uploadFile(new File([ 'v1' ], 'f.txt'), '/d/');
+            const second = await cloud.uploadFile(new File([ 'v2' ], 'f.txt'), '/d/');
+            assert.deepEqual((await cloud.listRevisions('/d/f.txt')).map( (revision) => revision.rev ), [ second.rev, first.rev ]);
+            assert.equal((await cloud.listRevisions('/d/f.txt', null, { limit: 1 })).length, 1);
+            assert.equal(await (await cloud.downloadRevision('/d/f.txt', first.rev)).fileBlob.text(), 'v1');
+            const restored = await cloud.restore('/d/f.txt', first.rev);
+            assert.notEqual(restored.rev, second.rev);
+            assert.equal(await (await fake.getFile('/d/f.txt')).text(), 'v1');
+        });
+
+        it('undeletes a file to its last revision', async () => {
+            await cloud.uploadFile(new File([ 'v1' ], 'f.txt'), '/d/');
+            await cloud.uploadFile(new File([ 'v2' ], 'f.txt'), '/d/');
+            await cloud.uploadFile(new File([ 'g' ], 'g.txt'), '/d/');
+            await cloud.delete('/d/f.txt');
+            assert.deepEqual((await cloud.listDeleted('/d')).map( (entry) => entry.path_display ), [ '/d/f.txt' ]);
+            await cloud.undelete('/d/f.txt');
+            assert.equal(await (await cloud.downloadFile('/d/f.txt')).fileBlob.text(), 'v2');
+            assert.deepEqual(await cloud.listDeleted('/d'), []);
+        });
+
+        it('throws a NotFoundError undeleting a path without revisions', async () => {
+            await assert.rejects(cloud.undelete('/d/none.txt'), (reason) => reason instanceof NotFoundError && reason.path === '/d/none.txt');
+        });
+    });
+
+    describe('thumbnails', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'THUMBNAIL_BATCH_SIZE' ]);
+        const png = new Blob([ new Uint8Array([ 137, 80, 78, 71 ]) ]);
+        afterEach(restore);
+
+        it('fetches a thumbnail, or thumbnails in batches with an error per entry', async () => {
+            DropboxCloud.THUMBNAIL_BATCH_SIZE = 2;
+            await fake.putFile('/a.jpg', png);
+            await fake.putFile('/b.jpg', png);
+            assert.ok(await cloud.getThumbnail('/a.jpg') instanceof Blob);
+            const [ a, b, missing ] = await cloud.getThumbnails([ '/a.jpg', '/b.jpg', '/c.jpg' ]);
+            assert.equal(a.path, '/a.jpg');
+            assert.equal(a.thumbnail.type, 'image/jpeg');
+            assert.ok(b.thumbnail instanceof Blob);
+            assert.equal(missing.thumbnail, null);
+            assert.ok(missing.error instanceof DropboxCloudError);
+        });
+
+        it('reports a failed thumbnail batch on its entries only', async () => {
+            DropboxCloud.THUMBNAIL_BATCH_SIZE = 1;
+            await fake.putFile('/a.jpg', png);
+            await fake.putFile('/b.jpg', png);
+            fake.injectError('files/get_thumbnail_batch', 409, { error_summary: 'other/', error: { '.tag': 'other' } });
+            const [ a, b ] = await cloud.getThumbnails([ '/a.jpg', '/b.jpg' ]);
+            assert.ok(a.error instanceof DropboxCloudError);
+            assert.equal(a.thumbnail, null);
+            assert.equal(b.error, null);
+            assert.ok(b.thumbnail instanceof Blob);
+        });
+
+        it('reuses the thumbnails of unchanged revisions', async () => {
+            const metadata = await fake.putFile('/a.jpg', png);
+            const [ first ] = await cloud.getThumbnails([ metadata ]);
+            await fake.putFile('/a.jpg', 'not an image anymore');
+            const [ second ] = await cloud.getThumbnails([ metadata ]);
+            assert.equal(second.thumbnail, first.thumbnail);
+        });
+    });
+
+    describe('JSON documents', () => {
+        const restore = restoreSettings(DropboxCloud, [ 'MAX_UPDATE_RETRIES' ]);
+        afterEach(restore);
+
+        it('writes and reads a document, and validates it', async () => {
+            const metadata = await cloud.writeJSON('/n.json', { count: 1 });
+            assert.deepEqual(await cloud.readJSON('/n.json'), { count: 1 });
+            await assert.rejects(cloud.writeJSON('/n.json', { count: 3 }, null, { rev: 'stale' }), ConflictError);
+            await cloud.writeJSON('/n.json', { count: 2 }, null, { rev: metadata.rev });
+            await assert.rejects(cloud.readJSON('/n.json', null, { validate: (value) => value.count < 2 }), InvalidDocumentError);
+            await fake.putFile('/bad.json', '{');
+            await assert.rejects(cloud.readJSON('/bad.json'), (reason) => reason instanceof InvalidDocumentError && reason.path === '/bad.json');
+        });
+
+        it('creates a document with updateJSON', async () => {
+            assert.deepEqual(await cloud.updateJSON('/n.json', (value) => ({ count: (value?.count ?? 0) + 1 })), { count: 1 });
+            assert.deepEqual(await cloud.updateJSON('/n.json', (value) => { value.count++; }), { count: 2 });
+            assert.deepEqual(await cloud.readJSON('/n.json'), { count: 2 });
+        });
+
+        it('retries updateJSON on a conflict, then gives up', async () => {
+            await cloud.writeJSON('/n.json', { count: 0 });
+            let calls = 0;
+            const result = await cloud.updateJSON('/n.json', async (value) => {
+                if (calls++ === 0) {
+                    await fake.putFile('/n.json', JSON.stringify({ count: 10 }));
+                }
+                return { count: value.count + 1 };
+            });
+            assert.equal(calls, 2);
+            assert.deepEqual(result, { count: 11 });
+            assert.deepEqual(await cloud.readJSON('/n.json'), { count: 11 });
+
+            DropboxCloud.MAX_UPDATE_RETRIES = 1;
+            const busy = cloud.updateJSON('/n.json', async (value) => {
+                await fake.putFile('/n.json', JSON.stringify({ count: value.count + 100 }));
+                return { count: 0 };
+            });
+            await assert.rejects(busy, ConflictError);
+        });
+    });
+
+    describe('headless OAuth', () => {
+        it('needs a headless redirect outside browsers', async () => {
+            await assert.rejects(new DropboxCloud('app-key').OAuth(), (reason) => reason instanceof DropboxCloudError && /headless redirect/.test(reason.cause?.message));
+        });
+
+        it('logs in with a pasted code', async () => {
+            await fake.putFile('/a.txt', 'a');
+            const pasted = new DropboxCloud('app-key', undefined, null, null, true, DropboxCloud.pasteCode( (url) => {
+                const params = new URL(url).searchParams;
+                assert.equal(params.get('redirect_uri'), null);
+                // Pasted codes often come with surrounding whitespace
+                return ` ${fake.createAuthorizationCode(params.get('code_challenge'))}\n`;
+            }));
+            const login = new Promise( (resolve) => pasted.addEventListener('login', resolve, { once: true }) );
+            await pasted.OAuth();
+            assert.equal((await login).detail.accountId, pasted.accountId);
+            assert.equal((await pasted.getMetadata('/a.txt')).name, 'a.txt');
+        });
+
+        it('logs in through a loopback redirect, and reports a refusal', async () => {
+            const approve = new DropboxCloud('app-key', 'http://127.0.0.1:53711/callback', null, null, true, DropboxCloud.loopback( async (url) => {
+                const params = new URL(url).searchParams;
+                const redirect = new URL(params.get('redirect_uri'));
+                redirect.searchParams.set('code', fake.createAuthorizationCode(params.get('code_challenge')));
+                redirect.searchParams.set('state', params.get('state'));
+                assert.ok((await fetch(redirect)).ok);
+            }));
+            await approve.OAuth();
+            assert.ok(approve.accountId);
+
+            const refuse = new DropboxCloud('app-key', 'http://localhost:53712/', null, null, true, DropboxCloud.loopback( async (url) => {
+                const redirect = new URL(new URL(url).searchParams.get('redirect_uri'));
+                redirect.searchParams.set('error', 'access_denied');
+                redirect.searchParams.set('error_description', 'The user chose not to give your app access');
+                await fetch(redirect);
+            }));
+            await assert.rejects(refuse.OAuth(), (reason) => reason instanceof DropboxCloudError && /refused/.test(reason.cause?.message));
+        });
+
+        it('needs a localhost redirect URI for loopback redirects', async () => {
+            await assert.rejects(new DropboxCloud('app-key', 'https://example.com/', null, null, true, DropboxCloud.loopback()).OAuth(), DropboxCloudError);
+        });
+    });
+
+    describe('scopes', () => {
+        /**
+         * @param {String[]} scopes Granted, and known from the stored tokens
+         * @returns {DropboxCloud}
+         */
+        const connectWith = (scopes, redirect = null) => {
+            const tokens = { refresh_token: fake.createRefreshToken(scopes), scopes: scopes };
+            return new DropboxCloud('app-key', undefined, null, { loadTokens: async () => tokens, saveTokens: async () => {} }, true, redirect);
+        };
+        /** @returns {(reason: any) => Boolean} Whether `reason` is a MissingScopeError for `scope`, thrown before any request */
+        const missing = (scope) => (reason) => reason instanceof MissingScopeError && reason.scopes.includes(scope) && !reason.status;
+
+        it('throws a MissingScopeError naming the missing scopes, without starting OAuth', async () => {
+            await fake.putFile('/a.txt', 'a');
+            const reader = connectWith([ 'files.metadata.read' ]);
+            assert.equal((await reader.getMetadata('/a.txt')).name, 'a.txt');
+            await assert.rejects(reader.createFolder('/x'), missing('files.content.write'));
+        });
+
+        it('also checks the scopes of the requests methods fall back on', async () => {
+            await fake.putFile('/a.txt', 'a');
+            const writer = connectWith([ 'files.content.read', 'files.content.write' ]);
+            await assert.rejects(writer.undelete('/a.txt'), missing('files.metadata.read'));
+            await assert.rejects(writer.uploadFile(new File([ 'a' ], 'a.txt'), '/', null, { skipUnchanged: true }), missing('files.metadata.read'));
+            await writer.uploadFile(new File([ 'b' ], 'a.txt'), '/');
+            await assert.rejects(connectWith([ 'sharing.write' ]).createSharedLink('/a.txt'), missing('sharing.read'));
+        });
+
+        it('checks JSON updates before reading', async () => {
+            await fake.putFile('/n.json', '{}');
+            let called = false;
+            const reader = connectWith([ 'files.content.read' ]);
+            await assert.rejects(reader.updateJSON('/n.json', () => { called = true; }), missing('files.content.write'));
+            assert.ok(!called);
+        });
+
+        it('requests more scopes with authorize', async () => {
+            const flows = [];
+            const granted = [ 'files.metadata.read' ];
+            const cloud = connectWith(granted, DropboxCloud.pasteCode( (url) => {
+                const params = new URL(url).searchParams;
+                flows.push(params);
+                const scopes = [ ...granted, ...params.get('scope').split(' ') ];
+                return fake.createAuthorizationCode(params.get('code_challenge'), scopes);
+            }));
+            await assert.rejects(cloud.listSharedLinks(), missing('sharing.read'));
+            assert.equal(flows.length, 0);
+            await cloud.authorize(DropboxCloud.REQUIRED_SCOPES.listSharedLinks);
+            assert.equal(flows.length, 1);
+            assert.equal(flows[0].get('scope'), 'sharing.read');
+            assert.equal(flows[0].get('include_granted_scopes'), 'user');
+            assert.deepEqual(await cloud.listSharedLinks(), []);
+            // Granted already: no flow
+            await cloud.authorize([ 'files.metadata.read' ]);
+            assert.equal(flows.length, 1);
+        });
+
+        it('remembers the scopes the app can\'t get', async () => {
+            let flows = 0;
+            const cloud = connectWith([ 'files.metadata.read' ], DropboxCloud.pasteCode( (url) => {
+                flows++;
+                return fake.createAuthorizationCode(new URL(url).searchParams.get('code_challenge'), [ 'files.metadata.read' ]);
+            }));
+            await assert.rejects(cloud.authorize([ 'sharing.write' ]), (reason) => missing('sharing.write')(reason) && /permissions/.test(reason.message));
+            await assert.rejects(cloud.authorize([ 'sharing.write' ]), MissingScopeError);
+            assert.equal(flows, 1);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloud, DropboxCloudError, AuthError } from '../DropboxCloud.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+import { connect } from './helpers.mjs';
+
+describe('DropboxFake', () => {
+    // Runs first: no SDK has been injected yet, and importing the SDK from its CDN fails in Node
+    it('reports why the SDK could not be imported until one is injected', () => {
+        assert.throws( () => new DropboxCloud('app-key'), (reason) => reason.message.startsWith('Error importing the Dropbox js SDK') && reason.cause !== undefined );
+    });
+
+    describe('as the SDK', () => {
+        /** @type {DropboxFake} */
+        let fake;
+        /** @type {DropboxCloud} */
+        let cloud;
+
+        beforeEach(async () => {
+            fake = new DropboxFake();
+            cloud = await connect(fake);
+        });
+
+        it('serves the files put in it, and stores uploads', async () => {
+            await fake.putFile('/Docs/a.txt', 'hello');
+            assert.equal(await (await cloud.downloadFile('/docs/A.txt')).fileBlob.text(), 'hello');
+            await cloud.uploadFile(new File([ 'world' ], 'b.txt'), '/Docs/');
+            assert.equal(await (await fake.getFile('/docs/b.txt')).text(), 'world');
+            assert.deepEqual(fake.listAll().map( (entry) => entry.path_display ).toSorted(), [ '/Docs', '/Docs/a.txt', '/Docs/b.txt' ]);
+        });
+
+        it('shares its files between clients', async () => {
+            const other = await connect(fake);
+            await cloud.uploadFile(new File([ 'shared' ], 'a.txt'), '/');
+            assert.equal(await (await other.downloadFile('/a.txt')).fileBlob.text(), 'shared');
+        });
+
+        it('fails the next call to a route with an injected error', async () => {
+            await fake.putFile('/a.txt', 'a');
+            fake.injectError('files/download', 409, { error_summary: 'other/', error: { '.tag': 'other' } });
+            await assert.rejects(cloud.downloadFile('/a.txt'), (reason) => reason instanceof DropboxCloudError && reason.status === 409);
+            assert.equal(await (await cloud.downloadFile('/a.txt')).fileBlob.text(), 'a');
+        });
+
+        it('rejects revoked tokens', async () => {
+            await cloud.fetchFileList('');
+            fake.revokeAllTokens();
+            await assert.rejects(cloud.fetchFileList(''), AuthError);
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloud, NetworkError } from '../DropboxCloud.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+import { DropboxSync, MemorySyncStore, IndexedDBSyncStore } from '../DropboxSync.esm.js';
+import { connect, restoreSettings } from './helpers.mjs';
+import { MemoryIndexedDB } from './indexeddb.mjs';
+
+describe('DropboxSync', () => {
+    /** @type {DropboxFake} */
+    let fake;
+    /** @type {DropboxCloud} */
+    let cloud;
+    /** @type {MemorySyncStore} */
+    let store;
+    const restore = restoreSettings(DropboxCloud, [ 'RETRY_DELAY' ]);
+
+    /**
+     * @param {String} path In the store
+     * @returns {Promise<String?>}
+     */
+    const local = async (path) => (await store.read(path))?.text() ?? null;
+
+    beforeEach(async () => {
+        fake = new DropboxFake({ pageSize: 2 });
+        cloud = await connect(fake);
+        store = new MemorySyncStore();
+        DropboxCloud.RETRY_DELAY = 0.01;
+        await fake.putFile('/proj/a.txt', 'a1');
+        await fake.putFile('/proj/sub/b.txt', 'b1');
+        await fake.putFile('/other.txt', 'outside');
+    });
+    afterEach(restore);
+
+    it('pulls the synced folder only', async () => {
+        const report = await new DropboxSync(cloud, '/proj/', store).sync();
+        assert.deepEqual(report.pulled.toSorted(), [ '/a.txt', '/sub/b.txt' ]);
+        assert.deepEqual((await store.list()).toSorted(), [ '/a.txt', '/sub/b.txt' ]);
+        assert.equal(await local('/sub/b.txt'), 'b1');
+    });
+
+    it('pushes local changes and pulls remote ones, then has nothing left to do', async () => {
+        const sync = new DropboxSync(cloud, '/proj', store);
+        await sync.sync();
+        await store.write('/a.txt', new Blob([ 'a2 local' ]));
+        await store.write('/c.txt', new Blob([ 'c local' ]));
+        await fake.putFile('/proj/sub/b.txt', 'b2 remote');
+        const report = await sync.sync();
+        assert.deepEqual(report.pushed.toSorted(), [ '/a.txt', '/c.txt' ]);
+        assert.deepEqual(report.pulled, [ '/sub/b.txt' ]);
+        assert.equal(await (await fake.getFile('/proj/a.txt')).text(), 'a2 local');
+        assert.equal(await local('/sub/b.txt'), 'b2 remote');
+        assert.deepEqual(await sync.sync(), { pulled: [], pushed: [], removedLocally: [], removedRemotely: [], conflicts: [] });
+    });
+
+    it('propagates deletions both ways', async () => {
+        const sync = new DropboxSync(cloud, '/proj', store);
+        await sync.sync();
+        await store.remove('/a.txt');
+        await cloud.delete('/proj/sub');
+        const report = await sync.sync();
+        assert.deepEqual(report.removedRemotely, [ '/a.txt' ]);
+        assert.deepEqual(report.removedLocally, [ '/sub/b.txt' ]);
+        assert.equal(await fake.getFile('/proj/a.txt'), null);
+        assert.deepEqual(await store.list(), []);
+    });
+
+    it('keeps both versions of a file changed on both sides by default', async () => {
+        const sync = new DropboxSync(cloud, '/proj', store);
+        await sync.sync();
+        await store.write('/a.txt', new Blob([ 'a local' ]));
+        await fake.putFile('/proj/a.txt', 'a remote');
+        const report = await sync.sync();
+        assert.deepEqual(report.conflicts.map( (conflict) => [ conflict.path, conflict.resolution ] ), [ [ '/a.txt', 'both' ] ]);
+        assert.equal(await local('/a.txt'), 'a remote');
+        assert.equal(await local('/a (1).txt'), 'a local');
+        assert.equal(await (await fake.getFile('/proj/a (1).txt')).text(), 'a local');
+    });
+
+    it('lets the resolver pick a side', async () => {
+        const sync = new DropboxSync(cloud, '/proj', store, (conflict) => 'local');
+        await sync.sync();
+        await store.write('/a.txt', new Blob([ 'a local' ]));
+        await fake.putFile('/proj/a.txt', 'a remote');
+        await sync.sync();
+        assert.equal(await (await fake.getFile('/proj/a.txt')).text(), 'a local');
+        assert.deepEqual((await store.list()).toSorted(), [ '/a.txt', '/sub/b.txt' ]);
+    });
+
+    it('keeps what a failed sync got done', async () => {
+        await new DropboxSync(cloud, '/proj', store).sync();
+        await store.write('/a.txt', new Blob([ 'a2 local' ]));
+        await store.write('/c.txt', new Blob([ 'c' ]));
+        let uploads = 0;
+        // Goes offline after the first upload
+        const flaky = new Proxy(cloud, {
+            get: (target, key) => {
+                if (key === 'uploadFile') {
+                    return async (...args) => {
+                        if (++uploads > 1) {
+                            throw new NetworkError('Offline');
+                        }
+                        return target.uploadFile(...args);
+                    };
+                }
+                return typeof target[key] === 'function' ? target[key].bind(target) : target[key];
+            },
+        });
+        await assert.rejects(new DropboxSync(flaky, '/proj', store).sync(), NetworkError);
+        const report = await new DropboxSync(cloud, '/proj', store).sync();
+        assert.equal(report.pushed.length, 1);
+        assert.equal(await (await fake.getFile('/proj/a.txt')).text(), 'a2 local');
+        assert.equal(await (await fake.getFile('/proj/c.txt')).text(), 'c');
+    });
+
+    it('keeps the local copy and the sync state in IndexedDB', async () => {
+        globalThis.indexedDB = new MemoryIndexedDB();
+        try {
+            await new DropboxSync(cloud, '/proj', new IndexedDBSyncStore('sync')).sync();
+            const reopened = new IndexedDBSyncStore('sync');
+            assert.deepEqual((await reopened.list()).toSorted(), [ '/a.txt', '/sub/b.txt' ]);
+            assert.equal(await (await reopened.read('/a.txt')).text(), 'a1');
+            await reopened.write('/c.txt', new Blob([ 'c' ]));
+            const report = await new DropboxSync(cloud, '/proj', reopened).sync();
+            assert.deepEqual([ report.pulled, report.pushed ], [ [], [ '/c.txt' ] ]);
+        } finally {
+            delete globalThis.indexedDB;
+        }
+    });
+});
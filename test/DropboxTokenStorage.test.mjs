@@ -0,0 +1,82 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloud } from '../DropboxCloud.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+import { WebStorageTokenStorage, IndexedDBTokenStorage, EncryptedTokenStorage } from '../DropboxTokenStorage.esm.js';
+import { MemoryIndexedDB } from './indexeddb.mjs';
+
+const tokens = { access_token: 'access', expires_at: 1234, refresh_token: 'refresh', account_id: 'dbid:account' };
+
+/** In-memory `Storage`, like `localStorage` */
+class MemoryStorage {
+    /** @type {Map<String, String>} */
+    items = new Map();
+    getItem(key) { return this.items.get(key) ?? null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+}
+
+describe('DropboxTokenStorage', () => {
+    beforeEach( () => {
+        globalThis.indexedDB = new MemoryIndexedDB();
+    });
+    afterEach( () => {
+        delete globalThis.indexedDB;
+    });
+
+    it('round-trips tokens through web storage', async () => {
+        const storage = new MemoryStorage();
+        await new WebStorageTokenStorage(storage).saveTokens(tokens);
+        assert.deepEqual(await new WebStorageTokenStorage(storage).loadTokens(), tokens);
+        await new WebStorageTokenStorage(storage).saveTokens(null);
+        assert.equal(await new WebStorageTokenStorage(storage).loadTokens(), null);
+        assert.equal(storage.items.size, 0);
+    });
+
+    it('round-trips tokens through IndexedDB', async () => {
+        await new IndexedDBTokenStorage('db').saveTokens(tokens);
+        assert.deepEqual(await new IndexedDBTokenStorage('db').loadTokens(), tokens);
+        await new IndexedDBTokenStorage('db').saveTokens(null);
+        assert.equal(await new IndexedDBTokenStorage('db').loadTokens(), null);
+    });
+
+    describe('encrypted', () => {
+        it('round-trips tokens, storing only ciphertext', async () => {
+            await new EncryptedTokenStorage('db').saveTokens(tokens);
+            assert.deepEqual(await new EncryptedTokenStorage('db').loadTokens(), tokens);
+            const stored = await new IndexedDBTokenStorage('db').loadTokens();
+            assert.ok(!new TextDecoder().decode(stored.data).includes('refresh'));
+        });
+
+        it('ignores tokens that can\'t be decrypted', async () => {
+            await new EncryptedTokenStorage('db').saveTokens(tokens);
+            const stored = await new IndexedDBTokenStorage('db').loadTokens();
+            const data = new Uint8Array(stored.data);
+            data[0] ^= 1;
+            await new IndexedDBTokenStorage('db').saveTokens({ iv: stored.iv, data: data.buffer });
+            assert.equal(await new EncryptedTokenStorage('db').loadTokens(), null);
+        });
+
+        it('rejects when the key can\'t be loaded, rather than looking logged out', async () => {
+            await new EncryptedTokenStorage('db').saveTokens(tokens);
+            const storage = new EncryptedTokenStorage('db');
+            // The tokens load, then opening the database again for the key is blocked by another tab
+            const loading = storage.loadTokens();
+            indexedDB.blocked = true;
+            await assert.rejects(loading, /blocked/);
+            indexedDB.blocked = false;
+            assert.deepEqual(await storage.loadTokens(), tokens);
+        });
+    });
+
+    it('is used by DropboxCloud to keep the tokens it refreshes', async () => {
+        const fake = new DropboxFake();
+        await DropboxCloud.init(fake.SDK);
+        const storage = new MemoryStorage();
+        await new WebStorageTokenStorage(storage).saveTokens({ refresh_token: fake.createRefreshToken() });
+        await new DropboxCloud('app-key', 'https://example.test/', null, new WebStorageTokenStorage(storage)).fetchFileList('');
+        const saved = await new WebStorageTokenStorage(storage).loadTokens();
+        assert.ok(saved.access_token);
+        assert.ok(saved.expires_at > Date.now());
+    });
+});
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloud, DropboxCloudError, ConflictError, NotFoundError } from '../DropboxCloud.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+import { EncryptedCloud, DecryptionError } from '../EncryptedCloud.esm.js';
+import { OPFSCloud } from '../OPFSCloud.esm.js';
+import { DropboxSync, MemorySyncStore } from '../DropboxSync.esm.js';
+import { connect, restoreSettings, MemoryDirectoryHandle } from './helpers.mjs';
+
+/** Spans several encrypted chunks, and an upload session once `FILE_SIZE_LIMIT` is lowered */
+const contents = new Uint8Array(200 * 1024).map( (value, index) => (index * 7) % 251 );
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<Boolean>} Whether `blob` holds `contents`
+ */
+async function isContents(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return bytes.length === contents.length && bytes.every( (value, index) => value === contents[index] );
+}
+
+describe('EncryptedCloud', () => {
+    /** @type {DropboxFake} */
+    let fake;
+    /** @type {DropboxCloud} */
+    let dropbox;
+    const restore = restoreSettings(DropboxCloud, [ 'FILE_SIZE_LIMIT', 'CHUNK_SIZE' ]);
+    const restoreIterations = restoreSettings(EncryptedCloud, [ 'PBKDF2_ITERATIONS' ]);
+
+    beforeEach(async () => {
+        fake = new DropboxFake();
+        dropbox = await connect(fake);
+        DropboxCloud.FILE_SIZE_LIMIT = 100 * 1024;
+        DropboxCloud.CHUNK_SIZE = 48 * 1024;
+        EncryptedCloud.PBKDF2_ITERATIONS = 1000;
+    });
+    afterEach( () => {
+        restore();
+        restoreIterations();
+    });
+
+    for (const encryptNames of [ false, true ]) {
+        describe(encryptNames ? 'with encrypted names' : 'with plain names', () => {
+            /** @type {EncryptedCloud} */
+            let cloud;
+            beforeEach( () => {
+                cloud = new EncryptedCloud(dropbox, { passphrase: 'secret', salt: 'account', encryptNames });
+            });
+
+            it('round-trips a file through an upload session, storing only ciphertext', async () => {
+                const metadata = await cloud.uploadFile(new File([ contents ], 'Big File.bin'), '/Docs/');
+                assert.equal(metadata.path_display, '/Docs/Big File.bin');
+                assert.equal(metadata.size, contents.length);
+                const stored = fake.listAll().find( (entry) => entry['.tag'] === 'file' );
+                assert.equal(stored.path_display.endsWith('/Big File.bin'), !encryptNames);
+                assert.ok(stored.size > contents.length);
+                assert.ok(!(await isContents(await fake.getFile(stored.path_display))));
+                const download = await cloud.downloadFile('/Docs/Big File.bin');
+                assert.ok(await isContents(download.fileBlob));
+                assert.deepEqual((await cloud.fetchFileList('/Docs')).entries.map( (entry) => [ entry.name, entry.size ] ), [ [ 'Big File.bin', contents.length ] ]);
+            });
+
+            it('conflicts in add mode, and renames with autorename', async () => {
+                await cloud.uploadFile(new File([ 'one' ], 'a.txt'), '/d');
+                await assert.rejects(cloud.uploadFile(new File([ 'two' ], 'a.txt'), '/d', null, { mode: 'add' }), ConflictError);
+                const renamed = await cloud.uploadFile(new File([ 'two' ], 'a.txt'), '/d', null, { mode: 'add', autorename: true });
+                assert.equal(renamed.name, 'a (1).txt');
+                assert.equal(await (await cloud.downloadFile('/d/a (1).txt')).fileBlob.text(), 'two');
+            });
+
+            it('looks paths up ignoring case', async () => {
+                await cloud.uploadFile(new File([ 'one' ], 'Big File.bin'), '/Docs/');
+                assert.equal((await cloud.getMetadata('/docs/big file.bin')).name, 'Big File.bin');
+                assert.equal(await (await cloud.downloadFile('/DOCS/BIG FILE.BIN')).fileBlob.text(), 'one');
+                await cloud.uploadFile(new File([ 'two' ], 'big file.bin'), '/docs/');
+                assert.equal((await cloud.fetchFileList('/Docs')).entries.length, 1);
+                assert.equal(await cloud.getMetadata('/docs/none'), null);
+                await assert.rejects(cloud.downloadFile('/docs/none'), NotFoundError);
+            });
+        });
+    }
+
+    it('refuses tampered, truncated or foreign-key files', async () => {
+        const cloud = new EncryptedCloud(dropbox, { passphrase: 'secret', salt: 'account' });
+        await cloud.uploadFile(new File([ contents ], 'f.bin'), '/');
+        const bytes = new Uint8Array(await (await fake.getFile('/f.bin')).arrayBuffer());
+
+        const other = new EncryptedCloud(dropbox, { key: crypto.getRandomValues(new Uint8Array(32)) });
+        await assert.rejects(other.downloadFile('/f.bin'), (reason) => reason instanceof DecryptionError && reason instanceof DropboxCloudError);
+
+        const tampered = bytes.slice();
+        tampered[70000] ^= 1;
+        await fake.putFile('/f.bin', new Blob([ tampered ]));
+        await assert.rejects(cloud.downloadFile('/f.bin'), DecryptionError);
+
+        // Cut right after a whole chunk
+        await fake.putFile('/f.bin', new Blob([ bytes.slice(0, 21 + 65552) ]));
+        await assert.rejects(cloud.downloadFile('/f.bin'), DecryptionError);
+    });
+
+    it('skips entries it can\'t decrypt in listings', async () => {
+        const cloud = new EncryptedCloud(dropbox, { key: new Uint8Array(32), encryptNames: true });
+        await cloud.uploadFile(new File([ 'one' ], 'a.txt'), '/');
+        await fake.putFile('/plain.txt', 'foreign');
+        const listing = cloud.listFolder('/');
+        assert.deepEqual((await Array.fromAsync(listing)).map( (entry) => entry.name ), [ 'a.txt' ]);
+        assert.deepEqual(listing.skipped.map( (entry) => entry.name ), [ 'plain.txt' ]);
+    });
+
+    it('requires a salt with a passphrase, and rejects upload sessions', async () => {
+        assert.throws( () => new EncryptedCloud(dropbox, {}) );
+        assert.throws( () => new EncryptedCloud(dropbox, { passphrase: 'secret' }) );
+        const cloud = new EncryptedCloud(dropbox, { key: new Uint8Array(32) });
+        await assert.rejects(cloud.uploadFile(new File([ 'x' ], 'x'), '/', null, { session: { session_id: 'id', offset: 0 } }), DropboxCloudError);
+    });
+
+    it('syncs through an OPFSCloud', async () => {
+        const opfs = new OPFSCloud(new MemoryDirectoryHandle());
+        const cloud = new EncryptedCloud(opfs, { key: new Uint8Array(32), encryptNames: true });
+        await cloud.uploadFile(new File([ 'remote' ], 'remote.txt'), '/S');
+        const store = new MemorySyncStore();
+        await store.write('/sub/local.txt', new Blob([ 'local' ]));
+        const sync = new DropboxSync(cloud, '/S', store);
+        const report = await sync.sync();
+        assert.deepEqual(report.pulled, [ '/remote.txt' ]);
+        assert.deepEqual(report.pushed, [ '/sub/local.txt' ]);
+        assert.equal(await (await cloud.downloadFile('/S/sub/local.txt')).fileBlob.text(), 'local');
+        assert.equal(await (await store.read('/remote.txt')).text(), 'remote');
+        assert.ok((await opfs.fetchFileList('', null, { recursive: true })).entries.every( (entry) => !entry.name.includes('.txt') ));
+        assert.equal((await sync.sync()).pulled.length, 0);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DropboxCloudError, ConflictError, NotFoundError } from '../DropboxCloud.esm.js';
+import { OPFSCloud } from '../OPFSCloud.esm.js';
+import { MemoryDirectoryHandle } from './helpers.mjs';
+
+describe('OPFSCloud', () => {
+    /** @type {OPFSCloud} */
+    let cloud;
+
+    beforeEach( () => {
+        cloud = new OPFSCloud(new MemoryDirectoryHandle());
+    });
+
+    it('writes, lists, reads and deletes files', async () => {
+        const metadata = await cloud.uploadFile(new File([ 'hello' ], 'a.txt'), '/Docs/');
+        assert.equal(metadata.path_display, '/Docs/a.txt');
+        assert.equal(metadata.size, 5);
+        assert.deepEqual((await cloud.fetchFileList('/docs')).entries.map( (entry) => entry.name ), [ 'a.txt' ]);
+        assert.equal(await (await cloud.downloadFile('/docs/A.txt')).fileBlob.text(), 'hello');
+        await cloud.delete('/Docs/a.txt');
+        assert.equal(await cloud.getMetadata('/Docs/a.txt'), null);
+        await assert.rejects(cloud.downloadFile('/Docs/a.txt'), NotFoundError);
+        await assert.rejects(cloud.delete('/Docs/a.txt'), NotFoundError);
+    });
+
+    it('lists folders recursively, folders included', async () => {
+        await cloud.uploadFile(new File([ 'a' ], 'a.txt'), '/p/');
+        await cloud.uploadFile(new File([ 'b' ], 'b.txt'), '/p/sub/');
+        const paths = async (listing) => (await Array.fromAsync(listing)).map( (entry) => `${entry['.tag']} ${entry.path_display}` ).toSorted();
+        assert.deepEqual(await paths(cloud.listFolder('/p')), [ 'file /p/a.txt', 'folder /p/sub' ]);
+        assert.deepEqual(await paths(cloud.listFolder('/p', { recursive: true })), [ 'file /p/a.txt', 'file /p/sub/b.txt', 'folder /p/sub' ]);
+        assert.equal((await cloud.getMetadata('/p/sub'))['.tag'], 'folder');
+        await cloud.delete('/p/sub');
+        assert.deepEqual(await paths(cloud.listFolder('/p', { recursive: true })), [ 'file /p/a.txt' ]);
+    });
+
+    it('conflicts like Dropbox', async () => {
+        const first = await cloud.uploadFile(new File([ 'v1' ], 'a.txt'), '/');
+        // Same contents is a no-op, unless strict
+        assert.equal((await cloud.uploadFile(new File([ 'v1' ], 'a.txt'), '/', null, { mode: 'add' })).rev, first.rev);
+        await assert.rejects(cloud.uploadFile(new File([ 'v1' ], 'a.txt'), '/', null, { mode: 'add', strictConflict: true }), ConflictError);
+        await assert.rejects(
+            cloud.uploadFile(new File([ 'v2' ], 'a.txt'), '/', null, { mode: 'add' }),
+            (reason) => reason instanceof ConflictError && reason.metadata?.rev === first.rev,
+        );
+        assert.equal((await cloud.uploadFile(new File([ 'v2' ], 'a.txt'), '/', null, { mode: 'add', autorename: true })).name, 'a (1).txt');
+
+        const second = await cloud.uploadFile(new File([ 'v2' ], 'a.txt'), '/', null, { mode: 'update', rev: first.rev });
+        assert.notEqual(second.rev, first.rev);
+        await assert.rejects(cloud.uploadFile(new File([ 'v3' ], 'a.txt'), '/', null, { mode: 'update', rev: first.rev }), ConflictError);
+        await assert.rejects(cloud.uploadFile(new File([ 'v3' ], 'a.txt'), '/', null, { mode: 'update' }), DropboxCloudError);
+        assert.equal(await (await cloud.downloadFile('/a.txt')).fileBlob.text(), 'v2');
+    });
+
+    it('leaves the previous version when an upload is cancelled', async () => {
+        await cloud.uploadFile(new File([ 'v1' ], 'a.txt'), '/');
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(cloud.uploadFile(new File([ 'v2' ], 'a.txt'), '/', null, { signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(await (await cloud.downloadFile('/a.txt')).fileBlob.text(), 'v1');
+    });
+});
@@ -0,0 +1,182 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuthError, ConflictError, NetworkError, RateLimitError } from '../DropboxCloud.esm.js';
+import { OPFSCloud } from '../OPFSCloud.esm.js';
+import { UploadOutbox } from '../UploadOutbox.esm.js';
+import { MemoryDirectoryHandle } from './helpers.mjs';
+import { MemoryIndexedDB } from './indexeddb.mjs';
+
+/** An `OPFSCloud` whose logins and uploads fail on demand */
+class FlakyCloud extends OPFSCloud {
+    /** @type {Error?} Thrown by uploads */
+    uploadError = null;
+    /** @type {Error?} Thrown by `OAuth` */
+    loginError = null;
+    /** @type {Boolean} What `isLoggedIn` says */
+    loggedIn = true;
+    /** @type {Number} */
+    logins = 0;
+
+    constructor() { super(new MemoryDirectoryHandle()); }
+
+    async OAuth(timeout = null) {
+        this.logins++;
+        if (this.loginError) {
+            throw this.loginError;
+        }
+    }
+
+    async isLoggedIn() { return this.loggedIn; }
+
+    async uploadFile(file, ...args) {
+        if (this.uploadError) {
+            throw this.uploadError;
+        }
+        return super.uploadFile(file, ...args);
+    }
+
+    /** @returns {Promise<String>} Contents of the file at `path` */
+    async read(path) { return (await this.downloadFile(path)).fileBlob.text(); }
+}
+
+/** @returns {Promise<CustomEvent>} The next `type` event of `target` */
+const next = (target, type) => new Promise( (resolve) => target.addEventListener(type, resolve, { once: true }) );
+
+describe('UploadOutbox', () => {
+    /** @type {FlakyCloud} */
+    let cloud;
+    /** @type {UploadOutbox[]} Closed after each test */
+    let outboxes;
+    /** @type {String[]} Events of the outboxes, as `type path` */
+    let events;
+
+    /** @returns {UploadOutbox} On the same database as the others, as after a page load */
+    const open = () => {
+        const outbox = new UploadOutbox(cloud, 'outbox');
+        for (const type of [ 'queued', 'sent', 'failed', 'blocked' ]) {
+            outbox.addEventListener(type, (event) => events.push(`${type} ${event.detail.item.path}`));
+        }
+        outboxes.push(outbox);
+        return outbox;
+    };
+
+    beforeEach( () => {
+        globalThis.indexedDB = new MemoryIndexedDB();
+        cloud = new FlakyCloud();
+        outboxes = [];
+        events = [];
+    });
+    afterEach( () => {
+        outboxes.forEach( (outbox) => outbox.close() );
+        delete globalThis.indexedDB;
+    });
+
+    it('keeps uploads that fail on the network, and sends them in order', async () => {
+        const outbox = open();
+        assert.equal((await outbox.uploadFile(new File([ 'a1' ], 'a.txt'), '/d/')).path_display, '/d/a.txt');
+        cloud.uploadError = new NetworkError('Offline');
+        assert.equal(await outbox.uploadFile(new File([ 'a2' ], 'a.txt'), '/d/'), null);
+        cloud.uploadError = null;
+        // Queued behind the kept upload, even though the network is back
+        const queued = outbox.uploadFile(new File([ 'a3' ], 'a.txt'), '/d/');
+        await outbox.replay();
+        assert.equal(await queued, null);
+        await outbox.replay();
+        assert.equal(await cloud.read('/d/a.txt'), 'a3');
+        assert.deepEqual(await outbox.list(), []);
+        assert.deepEqual(events, [ 'queued /d/a.txt', 'queued /d/a.txt', 'sent /d/a.txt', 'sent /d/a.txt' ]);
+    });
+
+    it('rejects replay while still offline, keeping the uploads', async () => {
+        const outbox = open();
+        cloud.uploadError = new NetworkError('Offline');
+        await outbox.uploadFile(new File([ 'a' ], 'a.txt'), '/');
+        await assert.rejects(outbox.replay(), NetworkError);
+        assert.deepEqual((await outbox.list()).map( (item) => item.path ), [ '/a.txt' ]);
+    });
+
+    it('rebases updates made offline from the same revision on the one sent before them', async () => {
+        const outbox = open();
+        const first = await outbox.uploadFile(new File([ 'v1' ], 'a.txt'), '/');
+        cloud.uploadError = new NetworkError('Offline');
+        await outbox.uploadFile(new File([ 'v2' ], 'a.txt'), '/', null, { mode: 'update', rev: first.rev });
+        await outbox.uploadFile(new File([ 'v3' ], 'a.txt'), '/', null, { mode: 'update', rev: first.rev });
+        await outbox.uploadFile(new File([ 'b' ], 'b.txt'), '/', null, { mode: 'update', rev: first.rev });
+        const [ , second ] = await outbox.list();
+        cloud.uploadError = null;
+        const sent = [];
+        outbox.addEventListener('sent', (event) => sent.push(event.detail));
+        const failed = [];
+        outbox.addEventListener('failed', (event) => failed.push(event.detail));
+        assert.equal(await outbox.replay(), 2);
+        assert.equal(await cloud.read('/a.txt'), 'v3');
+        assert.equal(sent[1].item.id, second.id);
+        assert.equal(sent[1].item.rev, sent[0].metadata.rev);
+        // Another file's revision isn't rebased
+        assert.equal(failed[0].item.path, '/b.txt');
+        assert.ok(failed[0].error instanceof ConflictError);
+    });
+
+    it('blocks on authentication failures, keeping the uploads until the next replay', async () => {
+        const outbox = open();
+        cloud.uploadError = new NetworkError('Offline');
+        await outbox.uploadFile(new File([ 'a' ], 'a.txt'), '/');
+        cloud.uploadError = null;
+        cloud.loginError = new AuthError('Logged out');
+        const blocked = next(outbox, 'blocked');
+        await assert.rejects(outbox.replay(), AuthError);
+        assert.equal((await blocked).detail.error, cloud.loginError);
+        cloud.loginError = null;
+        cloud.uploadError = new AuthError('Token revoked');
+        await assert.rejects(outbox.replay(), AuthError);
+        assert.equal((await outbox.list()).length, 1);
+        cloud.uploadError = null;
+        assert.equal(await outbox.replay(), 1);
+        assert.deepEqual(events, [ 'queued /a.txt', 'blocked /a.txt', 'blocked /a.txt', 'sent /a.txt' ]);
+    });
+
+    it('drops uploads that conflict, and sends the next ones', async () => {
+        const outbox = open();
+        await cloud.uploadFile(new File([ 'theirs' ], 'a.txt'), '/');
+        cloud.uploadError = new NetworkError('Offline');
+        await outbox.uploadFile(new File([ 'ours' ], 'a.txt'), '/', null, { mode: 'add' });
+        await outbox.uploadFile(new File([ 'b' ], 'b.txt'), '/');
+        cloud.uploadError = null;
+        const failed = next(outbox, 'failed');
+        assert.equal(await outbox.replay(), 1);
+        assert.ok((await failed).detail.error instanceof ConflictError);
+        assert.equal(await cloud.read('/a.txt'), 'theirs');
+        assert.equal(await cloud.read('/b.txt'), 'b');
+        assert.deepEqual(await outbox.list(), []);
+    });
+
+    it('sends the uploads kept before a page load, if still logged in', async () => {
+        cloud.uploadError = new NetworkError('Offline');
+        await open().uploadFile(new File([ 'a' ], 'a.txt'), '/');
+        cloud.uploadError = null;
+        outboxes.forEach( (outbox) => outbox.close() );
+
+        cloud.loggedIn = false;
+        const loggedOut = open();
+        await new Promise( (resolve) => setTimeout(resolve, 20) );
+        assert.equal(cloud.logins, 0);
+        assert.equal((await loggedOut.list()).length, 1);
+        loggedOut.close();
+
+        cloud.loggedIn = true;
+        const { detail } = await next(open(), 'sent');
+        assert.equal(detail.item.path, '/a.txt');
+        assert.equal(await cloud.read('/a.txt'), 'a');
+    });
+
+    it('sends again once a rate limit is over', async () => {
+        const outbox = open();
+        cloud.uploadError = new NetworkError('Offline');
+        await outbox.uploadFile(new File([ 'a' ], 'a.txt'), '/');
+        cloud.uploadError = new RateLimitError('Too many requests', { retry_after: 0.05 });
+        await assert.rejects(outbox.replay(), RateLimitError);
+        cloud.uploadError = null;
+        await next(outbox, 'sent');
+        assert.equal(await cloud.read('/a.txt'), 'a');
+    });
+});
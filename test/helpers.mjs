@@ -0,0 +1,91 @@
+import { DropboxCloud } from '../DropboxCloud.esm.js';
+import { DropboxFake } from '../DropboxFake.esm.js';
+
+/**
+ * Logs in to `fake` with a refresh token, so OAuth is never needed
+ * @param {DropboxFake} fake
+ * @param {String[]} scopes Optional. Granted to the token.
+ * @returns {Promise<DropboxCloud>}
+ */
+export async function connect(fake, scopes = DropboxFake.SCOPES) {
+    await DropboxCloud.init(fake.SDK);
+    const token = fake.createRefreshToken(scopes);
+    return new DropboxCloud('app-key', 'https://example.test/', null, { loadTokens: async () => ({ refresh_token: token }), saveTokens: async () => {} });
+}
+
+/**
+ * @param {Function} Class
+ * @param {String[]} names Static settings a test may change
+ * @returns {() => void} Puts them back as they were now
+ */
+export function restoreSettings(Class, names) {
+    const saved = Object.fromEntries(names.map( (name) => [ name, Class[name] ] ));
+    return () => Object.assign(Class, saved);
+}
+
+/** In-memory `FileSystemFileHandle`, enough for `OPFSCloud` */
+class MemoryFileHandle {
+    kind = 'file';
+    /** @type {Blob} */
+    #contents = new Blob([]);
+    /** @type {Number} */
+    #lastModified = Date.now();
+
+    /** @param {String} name */
+    constructor(name) { this.name = name; }
+
+    async getFile() { return new File([ this.#contents ], this.name, { lastModified: this.#lastModified }); }
+
+    async createWritable() {
+        const parts = [];
+        let aborted = false;
+        return {
+            write: async (data) => { parts.push(data); },
+            close: async () => {
+                if (!aborted) {
+                    this.#contents = new Blob(parts);
+                    this.#lastModified++;
+                }
+            },
+            abort: async () => { aborted = true; },
+        };
+    }
+}
+
+/** In-memory `FileSystemDirectoryHandle`, enough for `OPFSCloud` */
+export class MemoryDirectoryHandle {
+    kind = 'directory';
+    /** @type {Map<String, MemoryFileHandle|MemoryDirectoryHandle>} */
+    #entries = new Map();
+
+    /** @param {String} name */
+    constructor(name = '') { this.name = name; }
+
+    async *values() { yield* this.#entries.values(); }
+
+    async *keys() { yield* this.#entries.keys(); }
+
+    async getDirectoryHandle(name, { create = false } = {}) { return this.#get(name, create, MemoryDirectoryHandle); }
+
+    async getFileHandle(name, { create = false } = {}) { return this.#get(name, create, MemoryFileHandle); }
+
+    async removeEntry(name) {
+        if (!this.#entries.delete(name)) {
+            throw new DOMException(`${name} not found`, 'NotFoundError');
+        }
+    }
+
+    #get(name, create, Handle) {
+        if (!this.#entries.has(name)) {
+            if (!create) {
+                throw new DOMException(`${name} not found`, 'NotFoundError');
+            }
+            this.#entries.set(name, new Handle(name));
+        }
+        const handle = this.#entries.get(name);
+        if (!(handle instanceof Handle)) {
+            throw new DOMException(`${name} is a ${handle.kind}`, 'TypeMismatchError');
+        }
+        return handle;
+    }
+}
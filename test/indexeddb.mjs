@@ -0,0 +1,162 @@
+/**
+ * In-memory `indexedDB`, enough for the stores here: object stores without indexes, one database version.
+ * Requests succeed or fail on a later task, as in browsers. Values are kept as they are, not cloned.
+ */
+export class MemoryIndexedDB {
+    /** @type {Map<String, Map<String, MemoryObjectStore>>} Object stores by database */
+    #databases = new Map();
+    /** @type {Boolean} Set to block opening, as another tab on an older version would */
+    blocked = false;
+
+    /**
+     * @param {String} name
+     * @returns {MemoryRequest} Its `result` is a `MemoryDatabase`
+     */
+    open(name) {
+        const request = new MemoryRequest();
+        if (this.blocked) {
+            setTimeout( () => request.onblocked?.() );
+            return request;
+        }
+        setTimeout( () => {
+            const upgrade = !this.#databases.has(name);
+            if (upgrade) {
+                this.#databases.set(name, new Map());
+            }
+            request.result = new MemoryDatabase(this.#databases.get(name));
+            if (upgrade) {
+                request.onupgradeneeded?.();
+            }
+            request.onsuccess?.();
+        });
+        return request;
+    }
+}
+
+class MemoryRequest {
+    result = undefined;
+    error = null;
+    onsuccess = null;
+    onerror = null;
+    onupgradeneeded = null;
+    onblocked = null;
+
+    /** @param {() => any} operation Run on a later task, its result or error settles the request */
+    settle(operation) {
+        setTimeout( () => {
+            try {
+                this.result = operation();
+            } catch (reason) {
+                this.error = reason;
+                this.onerror?.();
+                return;
+            }
+            this.onsuccess?.();
+        });
+        return this;
+    }
+}
+
+class MemoryDatabase {
+    /** @type {Map<String, MemoryObjectStore>} */
+    #stores;
+    onversionchange = null;
+
+    /** @param {Map<String, MemoryObjectStore>} stores */
+    constructor(stores) { this.#stores = stores; }
+
+    createObjectStore(name, { keyPath = null, autoIncrement = false } = {}) {
+        this.#stores.set(name, new MemoryObjectStore(keyPath, autoIncrement));
+    }
+
+    transaction(name, mode = 'readonly') {
+        return { objectStore: (storeName) => new MemoryStoreHandle(this.#stores.get(storeName), mode) };
+    }
+
+    close() {}
+}
+
+class MemoryObjectStore {
+    /** @type {Map<any, any>} */
+    records = new Map();
+    /** @type {Number} */
+    nextKey = 1;
+
+    /**
+     * @param {String?} keyPath
+     * @param {Boolean} autoIncrement
+     */
+    constructor(keyPath, autoIncrement) {
+        this.keyPath = keyPath;
+        this.autoIncrement = autoIncrement;
+    }
+
+    /** @returns {any[]} Keys in IndexedDB order: numbers, then strings */
+    keys() {
+        return Array.from(this.records.keys()).sort( (a, b) => typeof a === typeof b ? (a < b ? -1 : a > b ? 1 : 0) : typeof a === 'number' ? -1 : 1 );
+    }
+}
+
+/** An object store, as seen through a transaction */
+class MemoryStoreHandle {
+    /** @type {MemoryObjectStore} */
+    #store;
+    /** @type {String} */
+    #mode;
+
+    constructor(store, mode) {
+        this.#store = store;
+        this.#mode = mode;
+    }
+
+    #write(operation) {
+        if (this.#mode !== 'readwrite') {
+            throw new DOMException('The transaction is read-only.', 'ReadOnlyError');
+        }
+        return new MemoryRequest().settle(operation);
+    }
+
+    #put(value, key, overwrite) {
+        const store = this.#store;
+        if (store.keyPath) {
+            key = value[store.keyPath];
+            if (key === undefined && store.autoIncrement) {
+                key = store.nextKey;
+                value = { ...value, [store.keyPath]: key };
+            }
+        }
+        if (!overwrite && store.records.has(key)) {
+            throw new DOMException(`Key ${key} already exists.`, 'ConstraintError');
+        }
+        if (typeof key === 'number') {
+            store.nextKey = Math.max(store.nextKey, Math.floor(key) + 1);
+        }
+        store.records.set(key, value);
+        return key;
+    }
+
+    get(key) { return new MemoryRequest().settle( () => this.#store.records.get(key) ); }
+
+    getAll() { return new MemoryRequest().settle( () => this.#store.keys().map( (key) => this.#store.records.get(key) ) ); }
+
+    getAllKeys() { return new MemoryRequest().settle( () => this.#store.keys() ); }
+
+    count() { return new MemoryRequest().settle( () => this.#store.records.size ); }
+
+    /** @returns {MemoryRequest} Its `result` is a cursor on the first record, or null */
+    openCursor() {
+        const request = new MemoryRequest();
+        const keys = this.#store.keys();
+        const at = (index) => () => index < keys.length
+            ? { key: keys[index], value: this.#store.records.get(keys[index]), continue: () => { request.settle(at(index + 1)); } }
+            : null
+        ;
+        return request.settle(at(0));
+    }
+
+    add(value, key) { return this.#write( () => this.#put(value, key, false) ); }
+
+    put(value, key) { return this.#write( () => this.#put(value, key, true) ); }
+
+    delete(key) { return this.#write( () => { this.#store.records.delete(key); } ); }
+}